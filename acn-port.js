@@ -15,18 +15,46 @@ var util = require('util');
 // Node event emitter module
 var EventEmitter = require('events').EventEmitter;
 
-// Module which manages the serial port
-var serialPortFactory = require('serialport');
+// Factories for the connection types we can communicate through
+var connectionFactories = require('./lib/connections');
 
 // Include the MODBUS master
 var Modbus = require('@csllc/cs-modbus');
 
+// Register maps for each firmware version
+var maps = require('./lib/maps');
+
+// Errors reported by the port
+var errors = require('./lib/errors');
+
+// Queue that all MODBUS requests go through
+var RequestQueue = require('./lib/RequestQueue');
+
+// Delivers reports from CS1108 controllers
+var SensorStream = require('./lib/SensorStream');
+
+// Firmware update procedure
+var FirmwareUpdate = require('./lib/FirmwareUpdate');
+
+// Output and remote switch control
+var outputs = require('./lib/outputs');
+
+// Pairing with progress reporting
+var PairingSession = require('./lib/PairingSession');
+
+// The object used for each register map item
+var Register = require('./lib/Register');
+
 // assertion library
 var chai = require('chai');
 
 // Promise library
 var Promise = require('bluebird');
 
+// for debugging.  This has to be enabled before any promises are created,
+// so it can't wait for the AcnPort constructor
+Promise.longStackTraces();
+
 // Extra Buffer handling stuff
 var buffers = require('h5.buffers');
 
@@ -77,23 +105,110 @@ function zeroPad( number, length ) {
   return (pad+number).slice(-pad.length);
 }
 
+/**
+ * Finds the register map item to use for a read or write
+ *
+ * Items can be given by name, or as a Register.  Once the map for the
+ * device's firmware is known (see getMap), Registers are looked up by name
+ * in that map, so the addresses match the firmware.
+ *
+ * @param  {AcnPort} port          the port
+ * @param  {string|Register} item  the item, or its name
+ * @return {Register}              the item to use
+ * @throws {Error}                 if the item is not in the map
+ */
+function resolveItem( port, item ) {
+  var map = port.map || maps.defaultMap;
+  var name = ( 'string' === typeof( item )) ? item : item.name;
+
+  if( !port.map && 'string' !== typeof( item )) {
+    return item;
+  }
+
+  if( name && map[ name ] instanceof Register ) {
+    return map[ name ];
+  }
+
+  if( port.map ) {
+    throw new Error( ( item.title || name ) + ' is not supported by firmware ' + port.firmwareVersion );
+  }
+
+  throw new Error( 'Unknown register: ' + name );
+}
+
+/**
+ * Creates the connection that the MODBUS master communicates through
+ *
+ * The connection type comes from config.master.transport.connection.type
+ * (default 'serial'), unless the caller supplies a connectionFactory.
+ *
+ * @param  {string} name    the name of the port
+ * @param  {object} options AcnPort configuration
+ * @return {object}         connection (see lib/connections/Connection.js)
+ */
+function createConnection( name, options ) {
+
+  var connection = Object.assign( {
+    type: 'serial',
+    serialOptions: options.port && options.port.options
+  }, options.master.transport.connection );
+
+  var factory = options.connectionFactory ||
+    AcnPort.connectionFactories[ connection.type ];
+
+  if( !factory ) {
+    throw new Error( 'Unknown connection type: ' + connection.type );
+  }
+
+  return factory( name, connection );
+}
+
+/**
+ * Makes a copy of the MODBUS master options that uses the connection
+ *
+ * cs-modbus replaces the transport options with the objects it creates,
+ * so it is given a copy in order to leave the caller's configuration intact
+ *
+ * @param  {object} options    master options
+ * @param  {object} connection the connection created for this port
+ * @return {object}            options for the MODBUS master
+ */
+function masterOptions( options, connection ) {
+  var copy = Object.assign( {}, options );
+
+  copy.transport = Object.assign( {}, options.transport );
+  copy.transport.connection = { type: 'generic', device: connection };
+
+  return copy;
+}
+
 /**
  * Constructor: initializes the object and declares its public interface
  *
  * @param string name: the name of the port (as known to the operating system)
  * @param object config: optional object containing configuration parameters:
+ *   connectionFactory: function(name, connectionOptions) that returns the
+ *     connection to use, instead of the one named by
+ *     master.transport.connection.type
+ *   autoReconnect: false to leave the port closed when it disconnects
+ *     (default true)
  */
 function AcnPort (name, options) {
   var me = this;
 
-  // for debugging
-  Promise.longStackTraces();
-
   // Initialize the state of this object instance
   me.name = name;
 
   // keep track of reconnection timers
   me.reconnectTimer = null;
+  me.autoReconnect = options.autoReconnect !== false;
+
+  // Polls for sensor data, once sensorStream() is called
+  me.sensors = null;
+
+  // The register map for the device's firmware (see getMap)
+  me.map = null;
+  me.firmwareVersion = null;
 
   // Modbus object IDs for this device
   me.object = {
@@ -104,7 +219,11 @@ function AcnPort (name, options) {
     CONNECTION_TABLE  : 4,
     COORD_STATUS      : 5,
 
-    SENSOR_DATA       : 7
+    SENSOR_DATA       : 7,
+
+    // bootloader objects
+    FIRMWARE_BLOCK    : 0x80,
+    FIRMWARE_CHECK    : 0x81
   };
 
 
@@ -123,29 +242,31 @@ function AcnPort (name, options) {
   'ping'
   ];
 
-  // The serial port object that is managed by this instance.
-  // The port is not opened, just instantiated
-  options.port.options.autoOpen = false;
-  me.port = new serialPortFactory( name, options.port.options );
-
-  me.list = serialPortFactory.list;
-
-  options.master.transport.connection.serialPort = me.port;
+  // The connection (serial port, socket...) managed by this instance.
+  // It is not opened, just instantiated
+  me.port = createConnection( name, options );
 
   // Create the MODBUS master using the supplied options
-  me.master = Modbus.createMaster( options.master );
+  me.master = Modbus.createMaster( masterOptions( options.master, me.port ));
+
+  // Requests are queued here before they go to the master
+  me.requests = new RequestQueue( me.master, {
+    concurrency: options.master.maxConcurrentRequests,
+    retries: options.master.defaultMaxRetries
+  });
 
   // Catch an event if the port gets disconnected
   me.master.on( 'disconnected', function() {
 
-    // FYI - the port object drops all listeners when it disconnects
-    // but after the disconnected event, so they haven't been dropped at
-    // this point.
-
     me.emit( 'disconnected');
 
+    // a different device (or firmware) might be there when we reconnect
+    me.map = null;
+
     // let the port finish disconnecting, then work on reconnecting
-    process.nextTick( function() { me.reconnect(); } );
+    if( me.autoReconnect ) {
+      process.nextTick( function() { me.reconnect(); } );
+    }
 
   });
 }
@@ -155,7 +276,7 @@ function AcnPort (name, options) {
 util.inherits(AcnPort, EventEmitter);
 
 /**
- * Open the serial port.
+ * Open the port.
  *
  * @returns {object} promise
  */
@@ -178,19 +299,27 @@ AcnPort.prototype.open = function() {
   });
 };
 
+/**
+ * Retrieves a list of the serial ports on the system
+ *
+ * @param {Function} callback (err, ports)
+ */
+AcnPort.prototype.list = function( callback ) {
+  AcnPort.list( callback );
+};
+
 /**
  * Attempt to reopen the port
  *
+ * Retries once a second until the port opens
  */
 AcnPort.prototype.reconnect = function() {
 
   var me = this;
 
-  // re-attach event hooks for the serial port
-  me.master.connection.setUpSerialPort(me.port);
-
-  // re-attach event hooks for the serial port
-  me.master.setUpConnection();
+  if( me.reconnectTimer ) {
+    return;
+  }
 
   me.reconnectTimer = setInterval( function() {
    me.open()
@@ -210,6 +339,15 @@ AcnPort.prototype.reconnect = function() {
  */
 AcnPort.prototype.destroy = function() {
 
+  if( this.sensors ) {
+    this.sensors.stop();
+  }
+
+  if( this.reconnectTimer ) {
+    clearInterval( this.reconnectTimer );
+    this.reconnectTimer = null;
+  }
+
   // this causes an error about port not open; I think it gets cleaned 
   // up in master destroy anyway
   //this.port.close();
@@ -230,34 +368,75 @@ AcnPort.prototype.zeroPad = function( number, length ) {
   return (pad+number).slice(-pad.length);
 };
 
+/**
+ * Sends a MODBUS request through the request queue
+ *
+ * All of the methods that communicate with the device use this, so
+ * timeouts, retries, priority, cancellation and error reporting work the
+ * same way for each of them.
+ *
+ * @param {string} method name of the MODBUS master's method to call
+ * @param {Array} args arguments for the method (without the options)
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with the response
+ */
+AcnPort.prototype.request = function( method, args, options ) {
+  return this.requests.request( method, args, options );
+};
+
 
-AcnPort.prototype.getSlaveId = function() {
+/**
+ * Reads the device's identification with ReportSlaveId
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with the device information
+ */
+AcnPort.prototype.getSlaveId = function( options ) {
+
+  return this.request( 'reportSlaveId', [], options )
+    .then( function( response ) {
+      var serial = response.getValues().readUInt32BE(0);
+      serial = zeroPad( serial, 10);
+
+      return {
+        product: response.product,
+        productType: ProductToString(response.product),
+        run: response.run,
+        version: response.getVersion(),
+        serialNumber: serial,
+        fault: FaultToString( response.run )
+      };
+    });
+};
+
+/**
+ * Identifies the device and selects the register map for its firmware
+ *
+ * The map is kept until the port disconnects.  While it is known, read()
+ * and write() look up registers in it, and reject registers that the
+ * firmware does not support.
+ *
+ * @returns {Promise} resolves with the register map
+ */
+AcnPort.prototype.getMap = function() {
 
   var me = this;
 
-  return new Promise(function(resolve, reject){
+  if( me.map ) {
+    return Promise.resolve( me.map );
+  }
 
-    me.master.reportSlaveId({
-      onComplete: function(err, response) {
-        if( err ){
-          reject( err );
-        }
-        else {
-          var serial = response.getValues().readUInt32BE(0);
-          serial = zeroPad( serial, 10);
-          resolve( {
-            product: response.product,
-            productType: ProductToString(response.product),
-            run: response.run,
-            version: response.getVersion(),
-            serialNumber: serial,
-            fault: FaultToString( response.run )
-          } );
-        }
-      }
-    });
-  });
+  return me.getSlaveId()
+    .then( function( id ) {
+      me.map = maps.forVersion( id.version );
+      me.firmwareVersion = id.version;
 
+      return me.map;
+    });
 };
 
 
@@ -329,214 +508,123 @@ AcnPort.prototype.shortAddressToString = function( buffer, offset ) {
  *   serialNumber: alphanumeric string containing serial number
  *
  * @param  {Function} callback (err, response)
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
  */
-AcnPort.prototype.getFactoryConfig = function() {
+AcnPort.prototype.getFactoryConfig = function( options ) {
 
   var me = this;
 
-  return new Promise(function(resolve, reject){
-
-    me.master.readObject( me.object.FACTORY, {
-      onComplete: function(err,response) {
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the
-          // slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
+  return me.request( 'readObject', [ me.object.FACTORY ], options )
+    .then( function( response ) {
 
-        if( err ) {
-          reject( err );
-        }
-        else {
-
-          // Check for an invalid/unprogrammed object
-          if( response.values.length === 1 && response.values[0] === 0) {
-            resolve( null );
-          }
-          else {
-            chai.assert( response.values.length === 20,
-              'Wrong response length for Factory object (' + response.values.length + ')' );
-
-            // read the mac address and make a string
-            var mac = me.macToString( response.values, 0, 8 );
-
-            resolve( {
-              macAddress: mac,
-              serialNumber: response.values.readUInt32BE(8),
-              productType: response.values[12]
-            });
-          }
-        }
-      },
-      onError: function( err ) {
-        reject( err );
+      // Check for an invalid/unprogrammed object
+      if( response.values.length === 1 && response.values[0] === 0) {
+        return null;
       }
 
-    });
+      chai.assert( response.values.length === 20,
+        'Wrong response length for Factory object (' + response.values.length + ')' );
 
-  });
+      // read the mac address and make a string
+      var mac = me.macToString( response.values, 0, 8 );
 
+      return {
+        macAddress: mac,
+        serialNumber: response.values.readUInt32BE(8),
+        productType: response.values[12]
+      };
+    });
 };
 
 /**
  * Writes the factory configuration into the device NVRAM
  *
  * @param {Function} callback [description]
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
  */
-AcnPort.prototype.setFactoryConfig = function( data ) {
+AcnPort.prototype.setFactoryConfig = function( data, options ) {
 
   var me = this;
 
-  return new Promise(function(resolve, reject){
+  // validate the data
+  if( data.macAddress &&
+      data.macAddress.length === 8 &&
+      data.serialNumber &&
+      data.serialNumber >= 0 &&
+      data.serialNumber <= 4,294,967,295 &&
+      data.hasOwnProperty('productType')) {
 
-    // validate the data
-    if( data.macAddress &&
-        data.macAddress.length === 8 &&
-        data.serialNumber &&
-        data.serialNumber >= 0 &&
-        data.serialNumber <= 4,294,967,295 &&
-        data.hasOwnProperty('productType')) {
-
-      var builder = new buffers.BufferBuilder();
-
-      var reserve = new Buffer(7);
-      reserve.fill(0);
-
-      builder
-        .pushBuffer( data.macAddress )
-        .pushUInt32(data.serialNumber, false )
-        .pushByte(data.productType)
-        .pushBuffer(reserve);
-
-      me.master.writeObject( me.object.FACTORY, builder.toBuffer(), {
-        onComplete: function(err,response) {
-
-          if( response && response.exceptionCode ) {
-            // i'm not sure how to catch exception responses from the slave in a better way than this
-            err = new Error( 'Exception ' + response.exceptionCode );
-          }
-          if( err ) {
-            reject( err );
-          }
-          else {
-
-            if( response.status !== 0 ) {
-              reject( new Error('Failed to write factory config'));
-            }
-            else {
-              // success!
-              resolve( null );
-            }
-
-          }
-        },
-        onError: function( err ) {
-          reject( err );
+    var builder = new buffers.BufferBuilder();
+
+    var reserve = new Buffer(7);
+    reserve.fill(0);
+
+    builder
+      .pushBuffer( data.macAddress )
+      .pushUInt32(data.serialNumber, false )
+      .pushByte(data.productType)
+      .pushBuffer(reserve);
+
+    return me.request( 'writeObject', [ me.object.FACTORY, builder.toBuffer() ], options )
+      .then( function( response ) {
+        if( response.status !== 0 ) {
+          throw new Error('Failed to write factory config');
         }
 
+        // success!
+        return null;
       });
-    }
-    else {
-      reject( new Error('Invalid data for factory config'));
-    }
-  });
+  }
+
+  return Promise.reject( new Error('Invalid data for factory config'));
 };
 
 
 
 /**
- * Gets object
+ * Reads the device's connection table (the devices it is paired with)
  *
- * @param  {Function} callback (err, response)
+ * Unused entries are left out.  Each entry contains panId, altAddress,
+ * address (MAC address string like 00:04:a3:00:00:00:12:34), status
+ * (rxOnWhenIdle, directConnection, longAddressValid, shortAddressValid,
+ * finishJoin, isFamily and isValid flags) and extra.
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with an array of connections
  */
-AcnPort.prototype.getConnections = function( callback ) {
-
-  var me = this;
-
-  this.master.readObject( me.object.CONNECTION_TABLE, {
-    onComplete: function(err,response) {
-      if( err ) {
-        callback( err );
-      }
-      else {
-        console.log(response.values);
-        console.log(response.values.length);
-
-        // these match the array definition in the ACN device
-        var entrySize = 14;
-
-        // length has to be a multiple of the entry size
-        chai.assert( response.values.length % entrySize === 0,
-          'Wrong response length for Connections object' );
-
-        var numEntries = parseInt(response.values.length / entrySize);
-
-        var connections = [];
-
-        for( var i = 0; i < numEntries; i++ ) {
-
-          // decode the status byte
-          var statusByte = response.values[i * entrySize + 12];
-          var status = {
-            rxOnWhenIdle: ( statusByte & 0x01 ) > 0,
-            directConnection: ( statusByte & 0x02 ) > 0,
-            longAddressValid: ( statusByte & 0x04 ) > 0,
-            shortAddressValid: ( statusByte & 0x08 ) > 0,
-            finishJoin: ( statusByte & 0x10 ) > 0,
-            isFamily: ( statusByte & 0x20 ) > 0,
-            isValid: ( statusByte & 0x80 ) > 0,
-          };
-
-          if( status.isValid ) {
-
-            // save the entry in an array
-            connections.push( {
-              panId: me.shortAddressToString( response.values, i * entrySize + 0),
-              altAddress: me.shortAddressToString( response.values, i * entrySize + 2),
-              address: me.macToString( response.values, 4, 8 ),
-              status: status,
-              extra: response.values[i * entrySize + 12],
-
-            });
-          }
-        }
-
-        // return the result to the caller
-        callback( null, connections );
-      }
-    }
-
-
-  });
+AcnPort.prototype.getConnections = function( options ) {
 
+  return this.read( 'connectionTable', options )
+    .then( function( table ) {
+      return table.format();
+    });
 };
 
 /**
- * Gets object
+ * Reads the coordinator status of the device
  *
- * @param  {Function} callback (err, response)
+ * The result contains role (0-2) and roleType ('End Device', 'Coordinator'
+ * or 'Net Coordinator'), known (an array of 8 booleans, true for each
+ * coordinator the device knows about) and route (the routing table: an
+ * entry for each coordinator with to, nextHop and errors).
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with the coordinator status
  */
-AcnPort.prototype.getCoord = function( callback ) {
-
-  var me = this;
-
-  this.master.readObject( me.object.COORD_STATUS, {
-    onComplete: function(err,response) {
-      if( err ) {
-        callback( err );
-      }
-      else {
-        console.log(response.values);
-
-        // return the result to the caller
-        callback( null, {
-        } );
-      }
-    }
-
-
-  });
+AcnPort.prototype.getCoord = function( options ) {
 
+  return this.read( 'coordStatus', options )
+    .then( function( status ) {
+      return status.format();
+    });
 };
 
 
@@ -547,34 +635,16 @@ AcnPort.prototype.getCoord = function( callback ) {
  * @param {number} id command ID
  * @param {Buffer} data additional bytes to send
  *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.command = function( cmd, data ) {
-
-  var me = this;
-
-  return new Promise(function(resolve, reject){
-    var id = me.commands.indexOf(cmd );
+AcnPort.prototype.command = function( cmd, data, options ) {
 
-    me.master.command( id, data, {
-      onComplete: function(err,response) {
+  var id = this.commands.indexOf(cmd );
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    });
-  });
+  return this.request( 'command', [ id, data ], options );
 };
 
 /**
@@ -583,33 +653,14 @@ AcnPort.prototype.command = function( cmd, data ) {
  * @param {number} id command ID
  * @param {Buffer} data additional bytes to send
  *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.unlock = function() {
-
-  var me = this;
-
-  return new Promise(function(resolve, reject){
+AcnPort.prototype.unlock = function( options ) {
 
-    me.master.command( 255, new Buffer(0), {
-      onComplete: function(err,response) {
-
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    });
-  });
+  return this.request( 'command', [ 255, new Buffer(0) ], options );
 };
 
 /**
@@ -618,123 +669,92 @@ AcnPort.prototype.unlock = function() {
  * @param {number} id command ID
  * @param {Buffer} data additional bytes to send
  *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.setRegisters = function( address, values ) {
-
-  var me = this;
-
-  return new Promise(function(resolve, reject){
-
-    var builder = new buffers.BufferBuilder();
+AcnPort.prototype.setRegisters = function( address, values, options ) {
 
-    for( var i = 0; i < values.length; i++ ) {
-      builder
-        .pushUInt16( values[i] );
-    }
+  var builder = new buffers.BufferBuilder();
 
-    me.master.writeMultipleRegisters( address, builder.toBuffer(), {
-      onComplete: function(err,response) {
+  for( var i = 0; i < values.length; i++ ) {
+    builder
+      .pushUInt16( values[i] );
+  }
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    });
-  });
+  return this.request( 'writeMultipleRegisters', [ address, builder.toBuffer() ], options );
 };
 
 
 /**
  * Reads registers from the slave
  *
- * @param {object} items
+ * @param {object} item Register (or register name) from the map
   *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.read = function( item ) {
+AcnPort.prototype.read = function( item, options ) {
 
   var me = this;
 
-  return new Promise(function(resolve, reject){
-
-    var callback = {
-      onComplete: function(err, response ) {
+  return Promise.try( function() {
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          item.fromBuffer( response.values );
-          resolve( item );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    };
+    item = resolveItem( me, item );
 
     if( item.type === 'object') {
-     me.master.readObject( item.addr, callback );
-
-    }
-    else {
-
-     me.master.readHoldingRegisters( item.addr, item.length, callback );
+      return me.request( 'readObject', [ item.addr ], options );
     }
 
+    return me.request( 'readHoldingRegisters', [ item.addr, item.length ], options );
+  })
+  .then( function( response ) {
+    item.fromBuffer( response.values );
+    return item;
   });
 };
 
 /**
  * Writes a Register item to the slave
  *
- * @param {object} item
+ * @param {object} item Register (or register name) from the map
  * @param {varies} value value to be written
   *
- * @returns Promise instance that resolves when command is completed
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * A bank can be written in part: the registers that are not given keep
+ * the values read from the device just before the write.
+ *
+ * @returns Promise instance that resolves when command is completed, or
+ *   rejects with a ValidationError (before anything is sent) if the value
+ *   breaks the register's constraints
  */
-AcnPort.prototype.write = function( item, value ) {
+AcnPort.prototype.write = function( item, value, options ) {
 
   var me = this;
 
-  return new Promise(function(resolve, reject){
+  return Promise.try( function() {
 
-    item.unformat( value );
+    item = resolveItem( me, item );
 
-    var t1 = me.master.writeMultipleRegisters( item.addr, item.toBuffer(), {
-      onComplete: function(err, response ) {
+    // checks the value against the register's constraints
+    item.check( value );
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( true );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    });
+    if( item.missing && item.missing( value ).length > 0 ) {
+      return me.read( item, options );
+    }
+  })
+  .then( function() {
+    item.unformat( value );
 
+    return me.request( 'writeMultipleRegisters', [ item.addr, item.toBuffer() ], options );
+  })
+  .then( function() {
+    return true;
   });
 };
 
@@ -748,38 +768,20 @@ AcnPort.prototype.write = function( item, value ) {
  * @param {number} type: 1=energy scan, 2=active, 3=both
  * @param {number} duration enumeration indicating amount of time to dwell on each channel
  *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.scan = function( type, duration ) {
+AcnPort.prototype.scan = function( type, duration, options ) {
 
-  var me = this;
-
-  return new Promise(function(resolve, reject){
+  var id = this.commands.indexOf('scan' );
 
-    var id = me.commands.indexOf('scan' );
-
-    me.master.command( id, new Buffer([type, duration]), {
-      //timeout: 10000,
-      onComplete: function(err, response ) {
-
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          var values = new buffers.BufferReader( response.values );
-          resolve( values.readBytes(0, values.length ) );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
+  return this.request( 'command', [ id, new Buffer([type, duration]) ], options )
+    .then( function( response ) {
+      var values = new buffers.BufferReader( response.values );
+      return values.readBytes(0, values.length );
     });
-
-  });
 };
 
 /**
@@ -788,170 +790,350 @@ AcnPort.prototype.scan = function( type, duration ) {
  * @param {number} type
  * @param {number} duration enumeration indicating amount of time to dwell on each channel
   *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.reset = function() {
+AcnPort.prototype.reset = function( options ) {
 
-  var me = this;
+  var id = this.commands.indexOf('reset' );
 
-  return new Promise(function(resolve, reject){
+  return this.request( 'command', [ id, new Buffer(0) ],
+    Object.assign( { timeout: 5000 }, options ))
+    .then( function( response ) {
+      return response.values[0];
+    });
+};
 
-    var id = me.commands.indexOf('reset' );
+/**
+ * Clears the network configuration
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves when command is completed
+ */
+AcnPort.prototype.clear = function( options ) {
 
-    me.master.command( id, new Buffer(0), {
-      timeout: 5000,
-      onComplete: function(err, response ) {
+  var id = this.commands.indexOf('clear' );
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response.values[0] );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
+  return this.request( 'command', [ id, new Buffer(0) ],
+    Object.assign( { timeout: 10000 }, options ))
+    .then( function( response ) {
+      return response.values[0];
     });
-
-  });
 };
 
 /**
- * Clears the network configuration
+ * initiates the pairing operation
+ *
+ * This only starts pairing; use pairingSession() to find out whether a
+ * device joined.
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
  *
  * @returns Promise instance that resolves when command is completed
  */
-AcnPort.prototype.clear = function() {
+AcnPort.prototype.pair = function( options ) {
 
-  var me = this;
+  var id = this.commands.indexOf('pair' );
 
-  return new Promise(function(resolve, reject){
+  return this.request( 'command', [ id, new Buffer(0) ],
+    Object.assign( { timeout: 10000 }, options ))
+    .then( function( response ) {
+      return response.values[0];
+    });
+};
+/**
+ * Commands the device to 'ping' another device to verify wireless communication
+ *
+ * @param {number} address the address to ping (16 bits)
+ * @param {number} duration enumeration indicating amount of time to dwell on each channel
+  *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves when command is completed
+ */
+AcnPort.prototype.ping = function( address, options ) {
 
-    var id = me.commands.indexOf('clear' );
+  var id = this.commands.indexOf('ping' );
+  var parameters = new Buffer(2);
 
-    me.master.command( id, new Buffer(0), {
-      timeout: 10000,
-      onComplete: function(err, response ) {
+  parameters.writeUInt16BE( address, 0 );
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response.values[0] );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
+  return this.request( 'command', [ id, parameters ], options )
+    .then( function( response ) {
+
+      var values = new buffers.BufferReader( response.values );
+      if( values.length < 7 ) {
+        return {error: 'No Response'};
       }
-    });
 
-  });
+      values.shiftUInt8(); // the command result
+
+      return {
+        rtt: values.shiftUInt16(),
+        fwd: {
+          lqi: values.shiftUInt8(),
+          rssi: values.shiftUInt8()
+        },
+        rev: {
+          lqi: values.shiftUInt8(),
+          rssi: values.shiftUInt8()
+        },
+      };
+    });
 };
 
 /**
- * initiates the pairing operation
+ * Erases the application and starts the bootloader
  *
- * @returns Promise instance that resolves when command is completed
+ * The bootloader protocol is unverified (see lib/FirmwareUpdate.js), so
+ * the command is only sent if options.unverified is true.
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js), plus unverified
+ *
+ * @returns Promise instance that resolves when the bootloader is ready
  */
-AcnPort.prototype.pair = function() {
+AcnPort.prototype.enterBootloader = function( options ) {
 
-  var me = this;
+  if( !options || options.unverified !== true ) {
+    return Promise.reject( new Error( 'The bootloader protocol has not been verified; ' +
+      'set the unverified option to enter it anyway' ));
+  }
 
-  return new Promise(function(resolve, reject){
+  // erasing the program memory takes a while
+  return this.request( 'command', [ 254, new Buffer(0) ],
+    Object.assign( { timeout: 10000 }, options ))
+    .then( function( response ) {
+      return response.values[0];
+    });
+};
 
-    var id = me.commands.indexOf('pair' );
+/**
+ * Sends a block of firmware to the bootloader
+ *
+ * @param {number} address program memory address of the block
+ * @param {Buffer} data the bytes to write
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves when the block is written
+ */
+AcnPort.prototype.writeFirmwareBlock = function( address, data, options ) {
 
-    me.master.command( id, new Buffer(0), {
-      timeout: 10000,
-      onComplete: function(err, response ) {
+  var builder = new buffers.BufferBuilder();
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-          resolve( response.values[0] );
-        }
-      },
-      onError: function( err ) {
-        reject( err );
+  builder
+    .pushUInt32( address )
+    .pushBuffer( data );
+
+  return this.request( 'writeObject', [ this.object.FIRMWARE_BLOCK, builder.toBuffer() ], options )
+    .then( function( response ) {
+      if( response.status !== 0 ) {
+        throw new Error('Failed to write firmware block');
       }
+
+      return null;
     });
+};
 
-  });
+/**
+ * Reads back the bootloader's description of the last block it wrote
+ *
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with {address, length, crc}
+ */
+AcnPort.prototype.getFirmwareCheck = function( options ) {
+
+  return this.request( 'readObject', [ this.object.FIRMWARE_CHECK ], options )
+    .then( function( response ) {
+      return {
+        address: response.values.readUInt32BE( 0 ),
+        length: response.values[4],
+        crc: response.values.readUInt16BE( 5 )
+      };
+    });
 };
+
 /**
- * Commands the device to 'ping' another device to verify wireless communication
+ * Loads new firmware into the device
  *
- * @param {number} address the address to ping (16 bits)
- * @param {number} duration enumeration indicating amount of time to dwell on each channel
-  *
- * @returns Promise instance that resolves when command is completed
+ * The device is put into its bootloader, the image is written block by
+ * block (each block is verified, and retried if necessary), then the
+ * device is reset.  'progress' events are emitted while this happens;
+ * see lib/FirmwareUpdate.js.
+ *
+ * @param {string|Buffer|object} image name of an Intel HEX file, its
+ *   contents, or an image returned by IntelHex.parse
+ * @param {object} options optional settings (blockSize, retries); the
+ *   update only runs if unverified is true, because the bootloader
+ *   protocol has not been verified on real devices
+ *
+ * @returns Promise instance that resolves when the update is complete
  */
-AcnPort.prototype.ping = function( address ) {
+AcnPort.prototype.updateFirmware = function( image, options ) {
 
   var me = this;
+  var update = new FirmwareUpdate( me, image, options );
 
-  return new Promise(function(resolve, reject){
+  update.on( 'progress', function( progress ) {
+    me.emit( 'progress', progress );
+  });
 
-    var id = me.commands.indexOf('ping' );
-    var parameters = new Buffer(2);
+  return update.run();
+};
 
-    parameters.writeUInt16BE( address, 0 );
 
-    me.master.command( id, parameters, {
-      onComplete: function(err, response ) {
+/**
+ * Creates a pairing session, which starts pairing and waits for a device
+ * to join
+ *
+ * Call its start() method (after adding listeners for its progress,
+ * paired and failed events) to begin, and cancel() to stop waiting; see
+ * lib/PairingSession.js.
+ *
+ * @param {object} options optional settings: pollInterval, timeout
+ *
+ * @returns {PairingSession} the session
+ */
+AcnPort.prototype.pairingSession = function( options ) {
 
-        if( response && response.exceptionCode ) {
-          // i'm not sure how to catch exception responses from the slave in a better way than this
-          err = new Error( 'Exception ' + response.exceptionCode );
-        }
-        if( err ) {
-          reject( err );
-        }
-        else {
-
-          var values = new buffers.BufferReader( response.values );
-          if( values.length < 7 ) {
-            resolve( {error: 'No Response'} );
-          }
-          else {
-            values.shiftUInt8(); // the command result
-            var result = {
-              rtt: values.shiftUInt16(),
-              fwd: {
-                lqi: values.shiftUInt8(),
-                rssi: values.shiftUInt8()
-              },
-              rev: {
-                lqi: values.shiftUInt8(),
-                rssi: values.shiftUInt8()
-              },
-            };
-            resolve( result );
-          }
-        }
-      },
-      onError: function( err ) {
-        reject( err );
-      }
-    });
+  return new PairingSession( this, options );
+};
 
-  });
+/**
+ * Turns a local output on or off
+ *
+ * The output's configuration register is written and read back (see
+ * lib/outputs.js).
+ *
+ * @param {number} n the output number (0 or 1)
+ * @param {boolean|object} state whether the output is on (keeping its duty
+ *   and period), or its whole configuration ({ active, duty, period })
+ * @param {object} options request options: timeout, retries, priority,
+ *   signal (see lib/RequestQueue.js)
+ *
+ * @returns Promise instance that resolves with the output's configuration
+ */
+AcnPort.prototype.setLocalOutput = function( n, state, options ) {
+
+  return outputs.setLocalOutput( this, n, state, options );
 };
 
+/**
+ * Turns a remote output on or off
+ *
+ * The output's configuration register is written and read back, then
+ * remoteStatus is polled until the remote acknowledges the change.  That
+ * check only shows the remote is reachable: it does not confirm that the
+ * remote received this change (see lib/outputs.js).
+ *
+ * @param {number} n the output number (0 to 15)
+ * @param {boolean|object} state whether the output is on (keeping its duty
+ *   and period), or its whole configuration ({ active, duty, period })
+ * @param {object} options request options, plus ackTimeout (milliseconds
+ *   to wait for the remote, default 2000) and pollInterval
+ *
+ * @returns Promise instance that resolves with the output's configuration,
+ *   or rejects with a TimeoutError if the remote does not acknowledge
+ */
+AcnPort.prototype.setRemoteOutput = function( n, state, options ) {
+
+  return outputs.setRemoteOutput( this, n, state, options );
+};
+
+/**
+ * Turns a remote output on for a while, then off again
+ *
+ * @param {number} n the output number (0 to 15)
+ * @param {number} ms milliseconds the output stays on
+ * @param {object} options see setRemoteOutput()
+ *
+ * The output is switched off even if switching it on fails.  As with
+ * setRemoteOutput(), the remote's acknowledgement is not really confirmed.
+ *
+ * @returns Promise instance that resolves with the output's configuration
+ *   once it is off, or rejects with a TimeoutError if the remote does not
+ *   acknowledge
+ */
+AcnPort.prototype.pulseRemoteOutput = function( n, ms, options ) {
+
+  return outputs.pulseRemoteOutput( this, n, ms, options );
+};
+
+/**
+ * Sets the switches of the paired remote
+ *
+ * remoteSwitches is written and read back, then remoteStatus is polled
+ * until the remote acknowledges the change.  As with setRemoteOutput(),
+ * that does not confirm that the remote received this change.
+ *
+ * @param {number|Array} mask 16-bit mask (bit 0 is switch 0), or an array
+ *   of booleans
+ * @param {object} options see setRemoteOutput()
+ *
+ * @returns Promise instance that resolves with the switches (an array of
+ *   booleans), or rejects with a TimeoutError if the remote does not
+ *   acknowledge
+ */
+AcnPort.prototype.setSwitchMask = function( mask, options ) {
+
+  return outputs.setSwitchMask( this, mask, options );
+};
+
+
+/**
+ * Starts delivering sensor data packets from CS1108 controllers
+ *
+ * The returned object polls the sensor data object and emits 'data',
+ * 'controllerReport' and 'gpsReport' events (see lib/SensorStream.js).
+ * Each packet can only be read once, so there is one stream per port;
+ * later calls return the same stream (and ignore the options).  Call its
+ * stop() method to stop polling.
+ *
+ * @param {object} options optional settings: minInterval, maxInterval,
+ *   duplicateWindow
+ *
+ * @returns {SensorStream} the stream
+ */
+AcnPort.prototype.sensorStream = function( options ) {
+
+  if( !this.sensors ) {
+    this.sensors = new SensorStream( this, options );
+  }
+
+  return this.sensors.start();
+};
+
+
+/**
+ * Retrieves a list of the serial ports on the system
+ *
+ * @param {Function} callback (err, ports)
+ */
+AcnPort.list = function( callback ) {
+  require('serialport').list( callback );
+};
+
+/**
+ * Factories for each connection type, keyed by the connection type
+ * name.  Applications may add their own.
+ */
+AcnPort.connectionFactories = connectionFactories;
+
+/**
+ * Error classes reported by the port (see lib/errors.js), so callers can
+ * check for example err instanceof AcnPort.errors.TimeoutError
+ */
+AcnPort.errors = errors;
 
 /**
  * Public interface to this module
@@ -25,6 +25,33 @@ var AcnPort = require('./acn-port');
 // Register map for the ACN device
 var map = require('./lib/Map');
 
+// Registers in a map
+var Register = require('./lib/Register');
+
+// Telemetry recorder
+var Recorder = require('./lib/Recorder');
+
+// HTTP JSON interface to the device
+var RestApi = require('./lib/RestApi');
+
+// Users, tokens and roles
+var Auth = require('./lib/Auth');
+
+// Serves the libraries used by the web page
+var StaticFiles = require('./lib/StaticFiles');
+
+// Configuration editing for the web page
+var configEditor = require('./lib/configEditor');
+
+// Network topology discovery
+var topology = require('./lib/topology');
+
+// Banks the web page can edit
+var EDITABLE_BANKS = [ 'config', 'localOutputs', 'remoteOutputs' ];
+
+// Banks holding the output configuration
+var OUTPUT_BANKS = [ 'localOutputs', 'remoteOutputs' ];
+
 // command-line options will be available in the args variable
 var args = require('minimist')(process.argv.slice(2));
 
@@ -40,6 +67,7 @@ var resetStatus = {
   coordStatus: {},
   bank1: {},
   config: {},
+  outputs: {},
 };
 
 // Keep track of the most recent device status
@@ -60,23 +88,140 @@ config.master.defaultUnit = args.slave ||
 // override web port if necessary
 config.ws.httpPort = args.http || config.ws.httpPort;
 
+// require clients to log in if there is a users file (--users=file, or
+// ws.users in the config file)
+config.ws.users = args.users || config.ws.users;
+
+var auth = config.ws.users ? new Auth( config.ws.users ) : null;
+
+/**
+ * Adds a user or token to the users file, then exits
+ *
+ *   --adduser=name --password=secret --role=admin
+ *   --addtoken=name --role=viewer      (prints the new token)
+ */
+function manageUsers() {
+  if( !auth ) {
+    console.error( 'Use --users=file to select the users file' );
+    process.exit(1);
+  }
+
+  try {
+    if( args.adduser ) {
+      auth.addUser( args.adduser, args.password, args.role );
+      console.log( 'Added user ' + args.adduser );
+    }
+    else {
+      console.log( 'Token for ' + args.addtoken + ': ' + auth.addToken( args.addtoken, args.role ));
+    }
+
+    auth.save();
+    process.exit(0);
+  }
+  catch( e ) {
+    console.error( e.message );
+    process.exit(1);
+  }
+}
+
+if( args.adduser || args.addtoken ) {
+  manageUsers();
+}
+
+// record telemetry if requested (--record=file, with --record-type=jsonl,
+// csv or sqlite), or if the config file has a recorder section
+if( args.record ) {
+  config.recorder = Object.assign( {}, config.recorder, {
+    file: args.record,
+    type: args['record-type'] || ( config.recorder && config.recorder.type )
+  });
+}
+
 // Create the device interface
 var port = new AcnPort( config.port.name, config );
 
+// The telemetry recorder, if any
+var recorder = null;
+
+if( config.recorder ) {
+  recorder = new Recorder( config.recorder );
+
+  recorder.on( 'error', function( err ) { console.error( 'Recorder:', err.message ); });
+
+  recorder.open()
+    .then( function() {
+      recorder.watch( port.sensorStream() );
+      console.log( 'Recording telemetry to ' + config.recorder.file );
+    })
+    .catch( function( err ) {
+      console.error( 'Unable to record telemetry:', err.message );
+      recorder = null;
+    });
+}
+
+/**
+ * Stores a polled value if telemetry is being recorded
+ *
+ * @param {string} register the register or object that was read
+ * @param {any} value       the value
+ */
+function record( register, value ) {
+  if( recorder ) {
+    recorder.record( last.slaveId.serialNumber || config.port.name, register, value )
+      .catch( function() {} );
+  }
+}
+
+
+// The REST API shares the port with the socket.io interface
+var api = new RestApi( port, auth );
 
-// Create a webserver to supply the HTML page
+// The page's scripts and styles come from this package, not the internet
+var staticFiles = new StaticFiles();
+
+// Create a webserver to supply the REST API, the HTML page and its files
 var app = http.createServer(function (req, res) {
+  if( api.handle( req, res ) || staticFiles.handle( req, res ) ) {
+    return;
+  }
+
+  // any user may load the page; the browser then sends the same
+  // credentials with the socket connection
+  if( auth && !auth.authenticate( req.headers.authorization ) ) {
+    res.writeHead( 401, { 'WWW-Authenticate': 'Basic realm="acn-ws"' });
+    res.end( 'Authentication required' );
+    return;
+  }
+
+  res.writeHead( 200, { 'Content-Type': 'text/html; charset=utf-8' });
   fs.createReadStream(  __dirname + '/index.html').pipe(res);
 });
 
 // Attach the websocket handler to the HTTP server
 var io = require('socket.io')(app);
 
+// Identify the user of each socket from its Authorization header.  Tokens
+// are not accepted in the URL, where they would end up in logs.
+if( auth ) {
+  io.use( function( socket, next ) {
+    socket.user = auth.authenticate( socket.request.headers.authorization );
+
+    next( socket.user ? null : new Error( 'Authentication required' ));
+  });
+}
+
 // Start the webserver
 app.listen(config.ws.httpPort, function() {
   console.log('Server listening on http://localhost:' + config.ws.httpPort);
 });
 
+// Forward reports from CS1108 controllers to the web page.  The stream
+// waits while the port is disconnected.
+port.sensorStream().on( 'data', function( msg ) {
+  console.log(msg);
+  io.emit( 'sensorData', msg );
+});
+
 /**
  * Sends a full set of status.
  *
@@ -98,6 +243,7 @@ function emitLast( socket ) {
   socket.emit( 'coordStatus', last.coordStatus );
   socket.emit( 'status', last.bank1 );
   socket.emit( 'config', last.config );
+  socket.emit( 'outputs', last.outputs );
 
 }
 
@@ -113,6 +259,7 @@ function inspectDevice() {
     .then( function( result ) {
       if( !_.isEqual(result.value, last.networkStatus ) ) {
         last.networkStatus = result.value;
+        record( 'networkStatus', last.networkStatus );
         io.emit( 'networkStatus', last.networkStatus );
         //console.log( result.value );
       }
@@ -142,6 +289,7 @@ function inspectDevice() {
     .then( function() { return port.read( map.coordStatus ); })
     .then( function( result ) {
       last.coordStatus = result.value;
+      record( 'coordStatus', last.coordStatus );
       io.emit( 'coordStatus', last.coordStatus );
       //console.log( result.value );
     })
@@ -164,12 +312,35 @@ io.on('connection', function(socket){
 
     console.log( 'Command from ' + socket.id + ': ' + msg.action );
 
+    // viewers only receive status; see lib/Auth.js for the other roles
+    if( auth && !auth.allowed( socket.user, msg.action ) ) {
+      fn( new Error('Not allowed') );
+      return;
+    }
+
+    // the configuration actions edit the config bank unless msg.bank names
+    // one of the output banks
+    if( msg.bank && EDITABLE_BANKS.indexOf( msg.bank ) === -1 ) {
+      fn( { error: 'The ' + msg.bank + ' bank cannot be edited' } );
+      return;
+    }
+
     switch(msg.action){
 
+      // write a register of the device's firmware map
       case 'write':
-          port.write( map[msg.item], msg.value )
-            .then(function(output) { fn(output.format() ); })
-            .catch( function(e) { fn(e); } );
+          port.getMap()
+            .then( function( deviceMap ) {
+              var item = Object.prototype.hasOwnProperty.call( deviceMap, msg.item ) && deviceMap[ msg.item ];
+
+              if( !( item instanceof Register ) || item.type === 'object' ) {
+                throw new Error( 'Unknown register: ' + msg.item );
+              }
+
+              return port.write( item, msg.value )
+                .then( function() { fn( item.format() ); });
+            })
+            .catch( function(e) { fn( { error: e.message } ); } );
         break;
 
       case 'read':
@@ -198,10 +369,68 @@ io.on('connection', function(socket){
           .finally( function() { fn(true); } );
         break;
 
+      // unlock the factory areas (admins only; see lib/Auth.js)
+      case 'unlock':
+        port.unlock()
+          .then( function() { fn(true); } )
+          .catch( function(e) { fn( { error: e.message } ); } );
+        break;
+
+      // pair, and answer with the device that joined
       case 'pair':
-        port.pair()
-          .then( function() { inspectDevice(); } )
-          .finally( function() { fn(true); } );
+        port.pairingSession().start()
+          .then( function( device ) { fn( device ); })
+          .catch( function(e) { fn( { error: e.message } ); } )
+          .finally( function() { inspectDevice(); } );
+        break;
+
+      // the registers shown by the configuration editor
+      case 'configFields':
+        port.getMap()
+          .then( function( deviceMap ) { fn( configEditor.fields( deviceMap, msg.bank ) ); })
+          .catch( function(e) { fn( { error: e.message } ); } );
+        break;
+
+      // compare edited configuration values with the device
+      case 'configPreview':
+        configEditor.preview( port, msg.values || {}, msg.bank )
+          .then( function( result ) { fn( result ); })
+          .catch( function(e) { fn( { error: e.message } ); } );
+        break;
+
+      // write the values that changed and read them back
+      case 'configWrite':
+        configEditor.apply( port, msg.values || {}, msg.bank )
+          .then( function( result ) {
+            if( OUTPUT_BANKS.indexOf( msg.bank ) > -1 ) {
+              last.outputs = Object.assign( {}, last.outputs, result.config );
+              io.emit( 'outputs', last.outputs );
+            }
+            else {
+              last.config = result.config;
+              io.emit( 'config', last.config );
+            }
+            fn( result );
+          })
+          .catch( function(e) { fn( { error: e.message } ); } );
+        break;
+
+      // what the device knows about the network, as a graph and in DOT
+      case 'topology':
+        topology.discover( port )
+          .then( function( graph ) { fn( { graph: graph, dot: topology.toDot( graph ) } ); })
+          .catch( function(e) { fn( { error: e.message } ); } );
+        break;
+
+      case 'history':
+        if( !recorder ) {
+          fn( new Error('Telemetry is not being recorded') );
+        }
+        else {
+          recorder.query( msg.filter || {} )
+            .then( function( records ) { fn( records ); } )
+            .catch( function(e) { fn(e); } );
+        }
         break;
 
       default:
@@ -245,19 +474,11 @@ function pollDevice() {
 
       if( !_.isEqual(status, last.bank1) ) {
         last.bank1 = status;
+        record( 'bank1', status );
         io.emit( 'status', status );
       }
 
 
-    })
-    .then( function() { return port.read( map.sensorData ); })
-    .then( function( result ) {
-      var msg = result.format();
-
-      if( msg.msgtype > 0 ) {
-        console.log(msg);
-        io.emit( 'sensorData', msg );
-      }
     })
     .catch(function(e){ console.log(e); })
     .finally( function() { if( polling ) { setImmediate(pollDevice); } } );
@@ -266,6 +487,28 @@ function pollDevice() {
 
 var inspectTimer = null;
 
+/**
+ * Reads the output configuration (every register of the output banks,
+ * keyed by name), and updates socket clients if it has changed.
+ *
+ * @return {Promise} resolves when done
+ */
+function readOutputs() {
+  var outputs = {};
+
+  return OUTPUT_BANKS.reduce( function( chain, bank ) {
+    return chain
+      .then( function() { return configEditor.preview( port, {}, bank ); })
+      .then( function( result ) { Object.assign( outputs, result.current ); });
+  }, port.getMap() )
+  .then( function() {
+    if( !_.isEqual( outputs, last.outputs ) ) {
+      last.outputs = outputs;
+      io.emit( 'outputs', last.outputs );
+    }
+  });
+}
+
 /**
  * Initiate polling of the ACN device
  *
@@ -291,6 +534,7 @@ function startPollingDevice() {
       }
 
     })
+    .then( function() { return readOutputs(); })
     .catch( function(e) {
       console.error('error starting polling', e);
     });
@@ -32,6 +32,15 @@ var AcnPort = require('./acn-port');
 // Load the object that handles communication to the device
 var map = require('./lib/Map');
 
+// Errors reported by the port
+var errors = require('./lib/errors');
+
+// Configuration profiles
+var profiles = require('./lib/profiles');
+
+// Finds and tracks the devices on every serial port
+var DeviceManager = require('./lib/DeviceManager');
+
 // override config file port name if necessary
 config.port.name = args.port || process.env.MODBUS_PORT || config.port.name;
 
@@ -130,6 +139,69 @@ function argsToByteBuf( args, start ){
 
 }
 
+/**
+ * Finds the description of a register in the map's schema
+ *
+ * @param  {string} name register name
+ * @return {object}      the description, or undefined for banks, objects
+ *                       and unknown names
+ */
+function registerDesc( name ) {
+  var found;
+
+  map.schema.banks.forEach( function( bank ) {
+    bank.registers.forEach( function( desc ) {
+      if( desc.name === name ) {
+        found = desc;
+      }
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Lists the names of an enum
+ *
+ * @param  {object|Array} names the enum
+ * @return {string}             the names, separated by commas
+ */
+function enumNames( names ) {
+  return Object.keys( names ).map( function( key ) { return names[ key ]; }).join( ', ' );
+}
+
+/**
+ * Describes the values a register accepts, for the help screen
+ *
+ * @param  {string} name register name
+ * @return {string}      the legal values, or '' if there is nothing to add
+ */
+function legalValues( name ) {
+  var desc = registerDesc( name );
+  var reg = map[ name ];
+  var format = desc && map.schema.formats && map.schema.formats[ desc.format ];
+  var fields = desc && ( desc.fields || ( format && format.fields ));
+
+  if( !desc ) {
+    return '';
+  }
+  else if( desc.enum ) {
+    return enumNames( desc.enum );
+  }
+  else if( fields ) {
+    return '{ ' + fields.map( function( field ) {
+      return field.name + ( field.enum ? ': ' + enumNames( field.enum ) : '' );
+    }).join( '; ' ) + ' }';
+  }
+  else if( desc.format === 'bits' ) {
+    return '16 flags, like true,false,... or a number';
+  }
+
+  var show = function( raw ) { return reg.fnFormat ? reg.fnFormat( raw ) : raw; };
+
+  return show( reg.min ) + ' to ' + show( reg.max ) + ( reg.units ? ' ' + reg.units : '' );
+}
+
 /**
  * Cleanup and terminate the process
  *
@@ -155,14 +227,36 @@ if( args.h ) {
     chalk.bold('        slaveId') + ': Report Identity information\r');
   console.info( chalk.bold('        reset') + '  : Reset the device\r');
   console.info( chalk.bold('        clear') + '  : clear network pairing\r');
-  console.info( chalk.bold('        pair') + '   : Initiate Pairing\r');
+  console.info( chalk.bold('        pair') + '   : Initiate Pairing, and wait for a device to join\r');
   console.info(
     chalk.bold('        ping') + ' [address]  : Ping remote station\r');
+  console.info(
+    chalk.bold('        flash') + ' file.hex --unverified  : Update the device firmware (unverified protocol)\r');
+  console.info(
+    chalk.bold('        history') + ' file [device] [register]  : ' +
+    'Print recorded telemetry (see acn-ws --record)\r');
+  console.info(
+    chalk.bold('        config export') + '  : Print the configuration as a profile\r');
+  console.info(
+    chalk.bold('        config import') + ' file  : Apply a configuration profile\r');
+  console.info(
+    chalk.bold('        topology') + '  : Print the network seen by the device\r');
   console.info( chalk.underline('Items for read/write:\r'));
   Object.keys(map).forEach(function (key) {
     if( ['Register',
          ].indexOf(key) === -1) {
-      console.info( chalk.bold(key) );
+      var legal = legalValues( key );
+      var desc = registerDesc( key );
+
+      if( legal && map[key].readOnly ) {
+        legal += ' (read-only)';
+      }
+
+      if( legal && desc && desc.note ) {
+        legal += '; ' + desc.note;
+      }
+
+      console.info( chalk.bold(key) + ( legal ? '  ' + chalk.dim( legal ) : '' ));
     }
   });
   console.info( chalk.underline( '\rOptions\r'));
@@ -178,9 +272,20 @@ if( args.h ) {
     console.info( '    --transport ' +
     'Specify type of transport to use (ascii/rtu/tunnel/ip/socketcand\r');
   console.info( '    --connection ' +
-    'Specify type of connection to use (serial/tcp/udp/generic\r');
+    'Specify type of connection to use (serial/tcp/udp/socketio)\r');
+  console.info( '                ' +
+    'for tcp/udp, use --port host:port; for socketio, --port url\r');
   console.info( '    --defaultTimeout ' +
     'default timeout for MODBUS messages (in milliseconds)\r');
+  console.info( '    --record-type ' +
+    'history file type (jsonl/csv/sqlite, default jsonl)\r');
+  console.info( '    --from, --to ' +
+    'history time range (e.g. 2017-03-01T12:00)\r');
+  console.info( '    --limit     Number of most recent history records\r');
+  console.info( '    --dry-run   Show what config import would change\r');
+  console.info( '    --force     Import a profile made for another product or firmware\r');
+  console.info( '    --all       Import into (or for topology, read) every device on the system\r');
+  console.info( '    --dot       Print the topology in Graphviz DOT format\r');
   console.info( chalk.underline( '\rEnvironment Variables\r'));
   console.info( 'You can set the following environment variables:');
   console.info( '   MODBUS_PORT=COM1  Specify the serial port');
@@ -195,6 +300,10 @@ if( args.h ) {
   console.info( 'Output may be directed to a file\r');
   console.info( '    e.g. ' +
     chalk.dim('acn read config >> myConfig.json') + '\r');
+  console.info( '    e.g. ' +
+    chalk.dim('acn config export > unit.json') + '\r');
+  console.info( '    e.g. ' +
+    chalk.dim('acn write ro3 \'{"active":true,"duty":50,"period":200}\'') + '\r');
 
 
   process.exit(0);
@@ -211,6 +320,94 @@ function onSuccess() {
   }
 }
 
+/**
+ * Loads a configuration profile
+ *
+ * @param  {string} file name of the profile file
+ * @return {object}      the profile
+ */
+function readProfile( file ) {
+  var fs = require('fs');
+
+  if( !file || !fs.existsSync( file )) {
+    console.error( chalk.red( 'No profile file: ' + file ));
+    process.exit(1);
+  }
+
+  return JSON.parse( fs.readFileSync( file, 'utf8' ));
+}
+
+/**
+ * Prints the outcome of importing a profile into one device
+ *
+ * @param  {object} result see profiles.apply
+ */
+function printProfileResult( result ) {
+  var name = result.serialNumber || result.port;
+
+  if( result.error ) {
+    console.log( chalk.red( name + ': ' + result.error ));
+    return;
+  }
+
+  if( result.changes.length === 0 ) {
+    console.log( name + ': no changes' );
+  }
+
+  result.changes.forEach( function( change ) {
+    console.log( name + ': ' + change.title + ' ' + JSON.stringify( change.from ) +
+      ' -> ' + JSON.stringify( change.to ) + ( change.error ? chalk.red( ' (' + change.error + ')' ) : '' ));
+  });
+
+  if( result.mismatches.length > 0 ) {
+    console.log( chalk.red( name + ': did not read back as written: ' + result.mismatches.join( ', ' )));
+  }
+
+  if( result.dryRun ) {
+    console.log( chalk.dim( name + ': dry run; nothing was written' ));
+  }
+}
+
+/**
+ * Prints a network topology, as JSON or (with --dot) Graphviz DOT
+ *
+ * @param  {object} graph see topology.discover
+ */
+function printTopology( graph ) {
+  var topology = require('./lib/topology');
+
+  if( args.dot ) {
+    process.stdout.write( topology.toDot( graph ));
+  }
+  else {
+    console.log( JSON.stringify( graph, null, 4 ));
+  }
+
+  graph.errors.forEach( function( error ) {
+    console.error( chalk.red( error.port + ': ' + error.error ));
+  });
+}
+
+/**
+ * Finds every device on the system's serial ports
+ *
+ * @param  {DeviceManager} manager the device manager
+ * @return {Promise}               resolves with the ports of the devices
+ */
+function allPorts( manager ) {
+  return manager.scan()
+    .then( function( devices ) {
+      var ports = devices.filter( function( device ) { return device.online; })
+        .map( function( device ) { return device.port; });
+
+      if( ports.length === 0 ) {
+        throw new Error( 'No devices found' );
+      }
+
+      return ports;
+    });
+}
+
 function doAction(){
 
   var type;
@@ -221,9 +418,10 @@ function doAction(){
     case 'read':
       // Validate what we are supposed to get
       type = args._[1] || 'unknown';
-        port.read( map[type] )
+        port.getMap()
+          .then(function() { return port.read( type ); })
           .then(function(output) {
-            console.log( map[type].title + ': ', output.format() );
+            console.log( output.title + ': ', output.format() );
             onSuccess();
           })
           .catch( function(e) { console.log( e); exit(1); } );
@@ -234,13 +432,34 @@ function doAction(){
       type = args._[1] || 'unknown';
       var value = args._[2];
 
-        port.write( map[type], value )
+      // objects and lists (like an output's settings) are given as JSON
+      if( 'string' === typeof( value ) && /^\s*[\[{]/.test( value )) {
+        try {
+          value = JSON.parse( value );
+        }
+        catch( e ) {
+          console.error( chalk.red( 'Invalid JSON value: ' + e.message ));
+          exit(1);
+        }
+      }
+
+        port.getMap()
+          .then(function() { return port.write( type, value ); })
           .then(function() {
-            console.log( map[type].title + ' written to ',
-              map[type].format() );
+            console.log( port.map[type].title + ' written to ',
+              port.map[type].format() );
             onSuccess();
           })
-          .catch( function(e) { console.log( e); exit(1); } );
+          .catch( function(e) {
+            // a value the register does not allow; nothing was sent
+            if( e instanceof errors.ValidationError ) {
+              console.error( chalk.red( e.message ));
+            }
+            else {
+              console.log( e);
+            }
+            exit(1);
+          });
       break;
 
     case 'scan':
@@ -285,9 +504,20 @@ function doAction(){
       break;
 
     case 'pair':
-      port.pair()
-        .then(function(d) { console.log( 'Result: ' + d); onSuccess(); })
-        .catch( function(e) { console.log( e); exit(1); } );
+      var session = port.pairingSession();
+
+      session.on('progress', function( progress ) {
+        process.stdout.write( '\r' + progress.state + ' ' +
+          Math.round(( progress.timeout - progress.elapsed ) / 1000 ) + 's   ' );
+      });
+
+      session.start()
+        .then(function(device) {
+          console.log( chalk.green( '\rPaired with ' + device.macAddress +
+            ' (short address ' + device.shortAddress + ')' ));
+          exit(0);
+        })
+        .catch( function(e) { console.error( chalk.red( '\r' + e.message )); exit(1); } );
       break;
 
     case 'command':
@@ -326,6 +556,67 @@ function doAction(){
         .catch( function(e) { console.log( e); exit(1); } );
       break;
 
+    case 'topology':
+      require('./lib/topology').discover( port )
+        .then(function(graph) {
+          printTopology( graph );
+          onSuccess();
+        })
+        .catch( function(e) { console.log( e); exit(1); } );
+      break;
+
+    case 'config':
+      if( args._[1] === 'export' ) {
+        profiles.exportProfile( port )
+          .then(function(profile) {
+            console.log( JSON.stringify( profile, null, 4 ));
+            onSuccess();
+          })
+          .catch( function(e) { console.log( e); exit(1); } );
+      }
+      else if( args._[1] === 'import' ) {
+        profiles.apply( port, readProfile( args._[2] ),
+          { dryRun: args['dry-run'], force: args.force })
+          .then(function(result) {
+            printProfileResult( result );
+            exit( result.mismatches.length > 0 ? 1 : 0 );
+          })
+          .catch( function(e) { console.error( chalk.red( e.message )); exit(1); } );
+      }
+      else {
+        console.error( chalk.red( 'Use config export or config import file' ));
+        exit(1);
+      }
+      break;
+
+    case 'flash':
+      if( !args.unverified ) {
+        console.error( chalk.red( 'The bootloader protocol has not been verified on real devices, and a failed ' +
+          'update leaves the device without its application.  Use --unverified to flash anyway.' ));
+        exit(1);
+        break;
+      }
+
+      port.on('progress', function( progress ) {
+        if( progress.phase === 'retry' ) {
+          console.log( chalk.yellow( '\rRetrying block at 0x' +
+            progress.address.toString(16) + ': ' + progress.error ));
+        }
+        else {
+          process.stdout.write( '\r' + progress.phase + ' ' +
+            progress.percent + '%   ' );
+        }
+      });
+
+      port.updateFirmware( args._[1], { unverified: true } )
+        .then(function(result) {
+          console.log( chalk.green( '\rFirmware updated: ' + result.bytes +
+            ' bytes in ' + result.blocks + ' blocks' ));
+          exit(0);
+        })
+        .catch( function(e) { console.log( e); exit(1); } );
+      break;
+
 
     default:
       console.error( chalk.underline.bold( 'Unknown Command' ));
@@ -364,6 +655,88 @@ if( args.l ) {
 
   });
 
+}
+else if( args._[0] === 'history' ) {
+
+  // Print recorded telemetry; this doesn't need the device
+  var Recorder = require('./lib/Recorder');
+
+  if( !args._[1] || !require('fs').existsSync( args._[1] )) {
+    console.error( chalk.red( 'No history file: ' + args._[1] ));
+    process.exit(1);
+  }
+
+  var recorder = new Recorder( { type: args['record-type'], file: args._[1] } );
+
+  recorder.open()
+    .then( function() {
+      return recorder.query( {
+        device: args._[2],
+        register: args._[3],
+        from: args.from,
+        to: args.to,
+        limit: args.limit
+      });
+    })
+    .then( function( records ) {
+      records.forEach( function( record ) {
+        record.time = new Date( record.time ).toISOString();
+        console.log( JSON.stringify( record ));
+      });
+      return recorder.close();
+    })
+    .then( function() { process.exit(0); })
+    .catch( function(e) {
+      console.error( chalk.red( e.message ));
+      process.exit(1);
+    });
+
+}
+else if( args._[0] === 'config' && args._[1] === 'import' && args.all ) {
+
+  // Import a profile into every device on the system
+  var profile = readProfile( args._[2] );
+  var manager = new DeviceManager( config );
+
+  allPorts( manager )
+    .then( function( ports ) {
+      return profiles.applyAll( ports, profile, { dryRun: args['dry-run'], force: args.force });
+    })
+    .then( function( results ) {
+      results.forEach( printProfileResult );
+      manager.stop();
+
+      process.exit( results.some( function( result ) {
+        return result.error || result.mismatches.length > 0;
+      }) ? 1 : 0 );
+    })
+    .catch( function(e) {
+      console.error( chalk.red( e.message ));
+      manager.stop();
+      process.exit(1);
+    });
+
+}
+else if( args._[0] === 'topology' && args.all ) {
+
+  // Combine what every device on the system knows about the network
+  var manager = new DeviceManager( config );
+
+  allPorts( manager )
+    .then( function( ports ) {
+      return require('./lib/topology').discover( ports );
+    })
+    .then( function( graph ) {
+      printTopology( graph );
+      manager.stop();
+      process.exit(0);
+    })
+    .catch( function(e) {
+      console.error( chalk.red( e.message ));
+      manager.stop();
+      process.exit(1);
+    });
+
 }
 else {
 
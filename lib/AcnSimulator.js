@@ -0,0 +1,1271 @@
+/**
+ * Simulated ACN device
+ *
+ * Implements a software ACN slave that answers the same MODBUS RTU
+ * requests as the real hardware (ReportSlaveId, read/write object,
+ * holding registers and the ACN command set).  It is intended for
+ * testing and development when no ACN module is attached.
+ *
+ * The simulator implements the cs-modbus 'generic' connection interface,
+ * so an AcnPort can be pointed at it directly:
+ *
+ *   config.master.transport.connection = {
+ *     type: 'generic',
+ *     device: new AcnSimulator()
+ *   };
+ *
+ * It can also be exposed on a TCP port (see listen()), so that tools
+ * running in another process can talk to it using a 'tcp' connection.
+ *
+ * The non-volatile configuration (factory and user areas) survives
+ * simulated resets, and is optionally persisted to a JSON file.
+ *
+ * The bootloader is simulated too: command 254 erases the program memory
+ * ('flash') and enters the bootloader, object 0x80 writes a firmware block
+ * and object 0x81 reads back the CRC of the last block.  The reset command
+ * returns to the application.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// File system (for persisting the simulated NVRAM)
+var fs = require('fs');
+
+// TCP server (for exposing the simulator to other processes)
+var net = require('net');
+
+// Extra Buffer handling stuff
+var buffers = require('h5.buffers');
+
+// MODBUS RTU CRC
+var crc16 = require('./crc16');
+
+
+//------------------------------------//---------------------------------------
+// Constants
+
+// MODBUS function codes understood by the device
+var FC_READ_HOLDING = 0x03;
+var FC_WRITE_MULTIPLE = 0x10;
+var FC_SLAVE_ID = 0x11;
+var FC_READ_OBJECT = 0x43;
+var FC_WRITE_OBJECT = 0x44;
+var FC_COMMAND = 0x47;
+
+// MODBUS exception codes returned by the device
+var ILLEGAL_FUNCTION = 0x01;
+var ILLEGAL_DATA_ADDRESS = 0x02;
+var ILLEGAL_DATA_VALUE = 0x03;
+
+// Object IDs (these match AcnPort.object)
+var OBJ_FACTORY = 0;
+var OBJ_USER = 1;
+var OBJ_NET_STATUS = 2;
+var OBJ_SCAN_RESULT = 3;
+var OBJ_CONNECTION_TABLE = 4;
+var OBJ_COORD_STATUS = 5;
+var OBJ_SENSOR_DATA = 7;
+var OBJ_FIRMWARE_BLOCK = 0x80;
+var OBJ_FIRMWARE_CHECK = 0x81;
+
+// Command IDs (these match the index in AcnPort.commands)
+var CMD_RESET = 1;
+var CMD_SAVE = 2;
+var CMD_RESTORE = 3;
+var CMD_PAIR = 4;
+var CMD_CLEAR = 5;
+var CMD_SCAN = 10;
+var CMD_PING = 11;
+var CMD_BOOTLOADER = 254;
+var CMD_UNLOCK = 255;
+
+// Values of the systemState register
+var STATE_IDLE = 3;
+var STATE_ACTIVE = 4;
+var STATE_PAIRING = 5;
+
+// Values of the remoteStatus register
+var REMOTE_ONLINE = 1;
+var REMOTE_OFFLINE = 2;
+
+// Address of the remoteStatus register
+var REMOTE_STATUS = 0x0102;
+
+// Number of entries in the device's connection table
+var CONNECTION_TABLE_SIZE = 8;
+
+// First channel number; bit 0 of the channel map
+var FIRST_CHANNEL = 11;
+
+// Value used by the device for 'no channel'/'no address'
+var NONE = 0xFF;
+var NO_ADDRESS = 0xFFFF;
+
+// size of the simulated program memory, in bytes
+var FLASH_SIZE = 0x20000;
+
+// Default user configuration (bank 0 registers)
+var DEFAULT_USER_CONFIG = [ 1, 0xFFFF, 100, 0, 0, 10, 0, 2, 0x1010, 0x1010 ];
+
+// Holding register banks: base address, number of registers, whether
+// the bank accepts writes (or the addresses in it that do), and whether
+// writes are passed on to the paired remote
+var BANKS = [
+  { addr: 0x0000, length: 10, writable: true },
+  { addr: 0x0100, length: 6, writable: [ 0x0101 ], remote: true },
+  { addr: 0x0200, length: 2, writable: false },
+  { addr: 0x0300, length: 2, writable: true },
+  { addr: 0x0400, length: 16, writable: true, remote: true },
+];
+
+// Method that handles each MODBUS function code
+var FUNCTION_HANDLERS = {};
+FUNCTION_HANDLERS[ FC_READ_HOLDING ] = 'readHoldingRegisters';
+FUNCTION_HANDLERS[ FC_WRITE_MULTIPLE ] = 'writeMultipleRegisters';
+FUNCTION_HANDLERS[ FC_SLAVE_ID ] = 'reportSlaveId';
+FUNCTION_HANDLERS[ FC_READ_OBJECT ] = 'readObject';
+FUNCTION_HANDLERS[ FC_WRITE_OBJECT ] = 'writeObject';
+FUNCTION_HANDLERS[ FC_COMMAND ] = 'command';
+
+// Method that supplies the contents of each readable object
+var OBJECT_READERS = {};
+OBJECT_READERS[ OBJ_FACTORY ] = 'factoryObject';
+OBJECT_READERS[ OBJ_USER ] = 'userObject';
+OBJECT_READERS[ OBJ_NET_STATUS ] = 'networkStatusObject';
+OBJECT_READERS[ OBJ_SCAN_RESULT ] = 'scanResultObject';
+OBJECT_READERS[ OBJ_CONNECTION_TABLE ] = 'connectionTableObject';
+OBJECT_READERS[ OBJ_COORD_STATUS ] = 'coordStatusObject';
+OBJECT_READERS[ OBJ_SENSOR_DATA ] = 'sensorDataObject';
+OBJECT_READERS[ OBJ_FIRMWARE_CHECK ] = 'firmwareCheckObject';
+
+// Method that stores each writable object
+var OBJECT_WRITERS = {};
+OBJECT_WRITERS[ OBJ_FACTORY ] = 'writeFactoryObject';
+OBJECT_WRITERS[ OBJ_USER ] = 'writeUserObject';
+OBJECT_WRITERS[ OBJ_FIRMWARE_BLOCK ] = 'writeFirmwareBlock';
+
+// Functions the bootloader understands
+var BOOTLOADER_FUNCTIONS = [ FC_SLAVE_ID, FC_READ_OBJECT, FC_WRITE_OBJECT, FC_COMMAND ];
+
+// Method that carries out each command
+var COMMAND_HANDLERS = {};
+COMMAND_HANDLERS[ CMD_RESET ] = 'resetCommand';
+COMMAND_HANDLERS[ CMD_SAVE ] = 'saveCommand';
+COMMAND_HANDLERS[ CMD_RESTORE ] = 'restoreCommand';
+COMMAND_HANDLERS[ CMD_PAIR ] = 'pairCommand';
+COMMAND_HANDLERS[ CMD_CLEAR ] = 'clearCommand';
+COMMAND_HANDLERS[ CMD_SCAN ] = 'scanCommand';
+COMMAND_HANDLERS[ CMD_PING ] = 'pingCommand';
+COMMAND_HANDLERS[ CMD_BOOTLOADER ] = 'bootloaderCommand';
+COMMAND_HANDLERS[ CMD_UNLOCK ] = 'unlockCommand';
+
+
+//------------------------------------//---------------------------------------
+// Utility functions
+
+/**
+ * Parses a string like 11:22:33:44:55:66:77:88 to a binary buffer
+ *
+ * @param  {string} str the MAC address string
+ * @return {Buffer}     8-byte buffer
+ */
+function stringToMac( str ) {
+  return new Buffer( str.split(':').map( function( b ) {
+    return parseInt( b, 16 );
+  }));
+}
+
+/**
+ * Formats 8 bytes into a string like 11:22:33:44:55:66:77:88
+ *
+ * @param  {Buffer} buffer buffer containing the MAC address
+ * @return {string}        MAC address string
+ */
+function macToString( buffer ) {
+  var mac = [];
+
+  for( var i = 0; i < 8; i++ ) {
+    mac.push( ( '0' + buffer[i].toString(16) ).slice(-2) );
+  }
+
+  return mac.join(':');
+}
+
+/**
+ * Checks whether a range of registers can be written
+ *
+ * @param  {object} bank     the bank containing the registers
+ * @param  {number} addr     first register address
+ * @param  {number} quantity number of registers
+ * @return {boolean}         true if all of them are writable
+ */
+function isWritable( bank, addr, quantity ) {
+  if( !Array.isArray( bank.writable )) {
+    return bank.writable;
+  }
+
+  for( var i = 0; i < quantity; i++ ) {
+    if( bank.writable.indexOf( addr + i ) === -1 ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Returns the channel numbers enabled by a channel map
+ *
+ * @param  {number} channelMap 16-bit map; bit 0 is channel 11
+ * @return {Array}             channel numbers
+ */
+function enabledChannels( channelMap ) {
+  var channels = [];
+
+  for( var i = 0; i < 16; i++ ) {
+    if( channelMap & ( 1 << i ) ) {
+      channels.push( FIRST_CHANNEL + i );
+    }
+  }
+
+  return channels;
+}
+
+/**
+ * Simulated noise level (0-254) on a channel.  Fixed so scans are
+ * repeatable.
+ *
+ * @param  {number} channel channel number
+ * @return {number}         relative noise level
+ */
+function channelNoise( channel ) {
+  return ( ( channel - FIRST_CHANNEL ) * 37 + 11 ) % 200;
+}
+
+
+//------------------------------------//---------------------------------------
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {object} options optional settings:
+ *   product: product type reported by ReportSlaveId (default 1)
+ *   version: firmware version string (default '1.0.0')
+ *   factory: initial factory configuration ({macAddress, serialNumber,
+ *            productType}), or null for an unprogrammed device
+ *   nvram: path of a JSON file used to persist the non-volatile memory
+ *   latency: milliseconds before the device responds (default 0)
+ *   neighbours: array of networks ({channel, macAddress, panId, rssi, lqi})
+ *            found by an active scan
+ *   flashSize: size of the program memory the bootloader can write
+ *            (default 128k)
+ */
+function AcnSimulator( options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  Object.assign( me, {
+    product: options.product || 1,
+    version: options.version || '1.0.0',
+    latency: options.latency || 0,
+    neighbours: options.neighbours || [],
+    nvramFile: options.nvram || null,
+    flashSize: options.flashSize || FLASH_SIZE
+  });
+
+  // bootloader state; null while the application is running
+  me.bootloader = null;
+
+  // number of firmware blocks to store incorrectly (for testing retries)
+  me.corruptBlocks = 0;
+
+  // Whether the simulated serial port is open
+  me.connected = false;
+
+  // sensor data packets waiting to be read by the master
+  me.sensorQueue = [];
+
+  // devices waiting to join the network when pairing is started
+  me.pendingPeers = [];
+
+  // the persistent portion of the device
+  me.nvram = me.loadNvram( options );
+
+  me.leaveNetwork();
+
+  me.banks = me.createBanks();
+
+  me.powerUp();
+}
+
+// This object can emit events.
+util.inherits( AcnSimulator, EventEmitter );
+
+/**
+ * Loads the non-volatile memory from file, or initializes it
+ *
+ * @param  {object} options constructor options
+ * @return {object}         NVRAM contents
+ */
+AcnSimulator.prototype.loadNvram = function( options ) {
+
+  if( this.nvramFile && fs.existsSync( this.nvramFile )) {
+    return JSON.parse( fs.readFileSync( this.nvramFile ));
+  }
+
+  var factory = options.factory;
+
+  if( 'undefined' === typeof( factory )) {
+    factory = {
+      macAddress: 'e4:a3:87:00:00:00:00:01',
+      serialNumber: 1,
+      productType: this.product
+    };
+  }
+
+  return {
+    factory: factory,
+    user: DEFAULT_USER_CONFIG.slice(),
+    defaults: DEFAULT_USER_CONFIG.slice()
+  };
+};
+
+/**
+ * Creates the holding register storage.  Bank 0 is the user area of
+ * the non-volatile memory; the other banks are volatile.
+ *
+ * @return {object} arrays of register values, keyed by bank address
+ */
+AcnSimulator.prototype.createBanks = function() {
+  var banks = {};
+
+  BANKS.forEach( function( bank ) {
+    banks[ bank.addr ] = [];
+
+    for( var i = 0; i < bank.length; i++ ) {
+      banks[ bank.addr ].push( 0 );
+    }
+  });
+
+  banks[0x0000] = this.nvram.user;
+
+  return banks;
+};
+
+/**
+ * Writes the non-volatile memory to file (if one was specified)
+ */
+AcnSimulator.prototype.saveNvram = function() {
+  if( this.nvramFile ) {
+    fs.writeFileSync( this.nvramFile, JSON.stringify( this.nvram, null, 2 ));
+  }
+};
+
+/**
+ * Puts the device into its power-on state
+ *
+ * The active slave ID is taken from the user configuration, the factory
+ * area is locked, and the network is restored.
+ */
+AcnSimulator.prototype.powerUp = function() {
+
+  this.unit = this.nvram.user[0];
+  this.unlocked = false;
+
+  clearTimeout( this.pairingTimer );
+  this.pairingTimer = null;
+
+  this.setState( this.network ? STATE_ACTIVE : STATE_IDLE );
+};
+
+/**
+ * Forgets the network the device belongs to, and the devices paired
+ * with it
+ */
+AcnSimulator.prototype.leaveNetwork = function() {
+  this.network = null;
+  this.connections = [];
+};
+
+/**
+ * Sets the systemState register
+ *
+ * @param {number} state new state
+ */
+AcnSimulator.prototype.setState = function( state ) {
+  this.banks[0x0100][4] = state;
+  this.banks[0x0200][0] = this.network ? this.network.channel : NONE;
+};
+
+/**
+ * Returns the current value of the systemState register
+ *
+ * @return {number} state
+ */
+AcnSimulator.prototype.getState = function() {
+  return this.banks[0x0100][4];
+};
+
+/**
+ * Sets the value of a holding register (for example to simulate a
+ * change in switch inputs).  No MODBUS transaction is involved.
+ *
+ * @param {number} addr  register address
+ * @param {number} value 16-bit value
+ */
+AcnSimulator.prototype.setRegister = function( addr, value ) {
+  var bank = this.findBank( addr, 1 );
+
+  if( !bank ) {
+    throw new Error( 'No such register: ' + addr );
+  }
+
+  this.banks[ bank.addr ][ addr - bank.addr ] = value & 0xFFFF;
+};
+
+/**
+ * Returns the value of a holding register
+ *
+ * @param  {number} addr register address
+ * @return {number}      16-bit value
+ */
+AcnSimulator.prototype.getRegister = function( addr ) {
+  var bank = this.findBank( addr, 1 );
+
+  if( !bank ) {
+    throw new Error( 'No such register: ' + addr );
+  }
+
+  return this.banks[ bank.addr ][ addr - bank.addr ];
+};
+
+/**
+ * Queues a report to be returned by the next read of the sensor data
+ * object.
+ *
+ * @param {Buffer} packet 40-byte report (starting with the data type)
+ * @param {object} meta optional {from, msgtype, rssi, lqi}
+ */
+AcnSimulator.prototype.queueSensorData = function( packet, meta ) {
+  meta = meta || {};
+
+  var body = new Buffer( 40 );
+  body.fill( 0 );
+  packet.copy( body, 0, 0, Math.min( packet.length, 40 ));
+
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushBuffer( body )
+    .pushUInt16( meta.from || 0, true )
+    .pushByte( meta.msgtype || 1 )
+    .pushByte( packet.length )
+    .pushByte( meta.rssi || 0 )
+    .pushByte( meta.lqi || 0 );
+
+  this.sensorQueue.push( builder.toBuffer() );
+};
+
+/**
+ * Registers a remote device that will join the network the next time
+ * pairing is active.
+ *
+ * @param {object} peer {macAddress, shortAddress, rssi, lqi}
+ */
+AcnSimulator.prototype.addPeer = function( peer ) {
+  this.pendingPeers.push( peer );
+
+  if( this.getState() === STATE_PAIRING ) {
+    this.joinPeer();
+  }
+};
+
+
+//------------------------------------//---------------------------------------
+// cs-modbus generic connection interface
+
+/**
+ * Opens the simulated port.  Emits 'open' when complete.
+ *
+ * @param {Function} callback optional (err)
+ */
+AcnSimulator.prototype.open = function( callback ) {
+  var me = this;
+
+  process.nextTick( function() {
+    me.connected = true;
+    me.emit( 'open' );
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+};
+
+/**
+ * Closes the simulated port (as if the device were unplugged).
+ *
+ * @param {Function} callback optional (err)
+ */
+AcnSimulator.prototype.close = function( callback ) {
+  var me = this;
+
+  process.nextTick( function() {
+    if( me.connected ) {
+      me.connected = false;
+      me.emit( 'close' );
+    }
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+};
+
+/**
+ * @return {boolean} true if the simulated port is open
+ */
+AcnSimulator.prototype.isConnected = function() {
+  return this.connected;
+};
+
+/**
+ * Accepts an RTU frame from the master.  The response (if any) is
+ * emitted as a 'data' event.
+ *
+ * @param {Buffer} data the request frame
+ */
+AcnSimulator.prototype.write = function( data ) {
+  var me = this;
+
+  if( !me.connected ) {
+    throw new Error( 'Port not open' );
+  }
+
+  me.receive( data, function( response ) {
+    if( me.connected ) {
+      me.emit( 'data', response );
+    }
+  });
+};
+
+/**
+ * Releases all resources used by the simulator
+ */
+AcnSimulator.prototype.destroy = function() {
+
+  if( this.pairingTimer ) {
+    clearTimeout( this.pairingTimer );
+    this.pairingTimer = null;
+  }
+
+  if( this.server ) {
+    this.server.close();
+    this.server = null;
+  }
+
+  this.connected = false;
+};
+
+/**
+ * Exposes the simulator on a TCP port.  Each connection carries raw
+ * MODBUS RTU frames, as a serial-to-Ethernet bridge would.
+ *
+ * @param {number} port TCP port number (0 to pick a free one)
+ * @param {Function} callback optional (err, address)
+ */
+AcnSimulator.prototype.listen = function( port, callback ) {
+  var me = this;
+
+  me.server = net.createServer( function( socket ) {
+    var pending = new Buffer( 0 );
+    var timer = null;
+
+    socket.on( 'data', function( data ) {
+      pending = Buffer.concat( [ pending, data ] );
+
+      // a gap in the incoming data marks the end of the frame
+      clearTimeout( timer );
+      timer = setTimeout( function() {
+        var frame = pending;
+
+        pending = new Buffer( 0 );
+        me.receive( frame, function( response ) {
+          socket.write( response );
+        });
+      }, 5 );
+    });
+
+    socket.on( 'error', function() {} );
+  });
+
+  me.server.listen( port, function() {
+    if( callback ) {
+      callback( null, me.server.address() );
+    }
+  });
+};
+
+
+//------------------------------------//---------------------------------------
+// MODBUS slave implementation
+
+/**
+ * Validates an incoming RTU frame and replies to it
+ *
+ * Frames with a bad CRC, or addressed to another slave, are ignored
+ * just like the real device would.
+ *
+ * @param {Buffer} frame the request frame
+ * @param {Function} reply called with the response frame
+ */
+AcnSimulator.prototype.receive = function( frame, reply ) {
+  var me = this;
+
+  if( frame.length < 4 ||
+    crc16( frame, frame.length - 2 ) !== frame.readUInt16LE( frame.length - 2 )) {
+    return;
+  }
+
+  var unit = frame[0];
+
+  if( unit !== me.unit ) {
+    return;
+  }
+
+  var pdu = me.handleRequest( frame.slice( 1, frame.length - 2 ));
+
+  var response = new Buffer( pdu.length + 3 );
+  response[0] = unit;
+  pdu.copy( response, 1 );
+  response.writeUInt16LE( crc16( response, pdu.length + 1 ), pdu.length + 1 );
+
+  me.emit( 'request', frame[1] );
+
+  setTimeout( function() { reply( response ); }, me.latency );
+};
+
+/**
+ * Processes a request PDU and returns the response PDU
+ *
+ * @param  {Buffer} pdu request (function code followed by data)
+ * @return {Buffer}     response
+ */
+AcnSimulator.prototype.handleRequest = function( pdu ) {
+  var fc = pdu[0];
+  var supported = FUNCTION_HANDLERS[ fc ] &&
+    ( !this.bootloader || BOOTLOADER_FUNCTIONS.indexOf( fc ) > -1 );
+  var result = supported ? this[ FUNCTION_HANDLERS[ fc ] ]( pdu ) : ILLEGAL_FUNCTION;
+
+  if( 'number' === typeof( result )) {
+    return new Buffer( [ fc | 0x80, result ] );
+  }
+
+  return result;
+};
+
+/**
+ * Returns the register bank containing a range of registers
+ *
+ * @param  {number} addr     start address
+ * @param  {number} quantity number of registers
+ * @return {object}          the bank, or undefined
+ */
+AcnSimulator.prototype.findBank = function( addr, quantity ) {
+  for( var i = 0; i < BANKS.length; i++ ) {
+    var bank = BANKS[i];
+
+    if( addr >= bank.addr && addr + quantity <= bank.addr + bank.length ) {
+      return bank;
+    }
+  }
+};
+
+/**
+ * Function 0x03
+ */
+AcnSimulator.prototype.readHoldingRegisters = function( pdu ) {
+  if( pdu.length < 5 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  var addr = pdu.readUInt16BE( 1 );
+  var quantity = pdu.readUInt16BE( 3 );
+  var bank = this.findBank( addr, quantity );
+
+  if( quantity < 1 || quantity > 125 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+  if( !bank ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushByte( FC_READ_HOLDING )
+    .pushByte( quantity * 2 );
+
+  for( var i = 0; i < quantity; i++ ) {
+    builder.pushUInt16( this.banks[ bank.addr ][ addr - bank.addr + i ] );
+  }
+
+  return builder.toBuffer();
+};
+
+/**
+ * Function 0x10
+ */
+AcnSimulator.prototype.writeMultipleRegisters = function( pdu ) {
+  if( pdu.length < 6 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  var addr = pdu.readUInt16BE( 1 );
+  var quantity = pdu.readUInt16BE( 3 );
+  var bank = this.findBank( addr, quantity );
+
+  if( quantity < 1 || pdu.length < 6 + quantity * 2 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+  if( !bank || !isWritable( bank, addr, quantity )) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  for( var i = 0; i < quantity; i++ ) {
+    this.banks[ bank.addr ][ addr - bank.addr + i ] =
+      pdu.readUInt16BE( 6 + i * 2 );
+  }
+
+  this.written( bank, addr, quantity );
+
+  return pdu.slice( 0, 5 );
+};
+
+/**
+ * Acts on registers written by the master: the configuration is saved,
+ * and changes for the remote are passed on to it.  Emits 'write'.
+ *
+ * @param {object} bank     the bank containing the registers
+ * @param {number} addr     first register address
+ * @param {number} quantity number of registers
+ */
+AcnSimulator.prototype.written = function( bank, addr, quantity ) {
+  if( bank.addr === 0x0000 ) {
+    this.saveNvram();
+  }
+
+  if( bank.remote ) {
+    this.sendToRemote();
+  }
+
+  this.emit( 'write', addr, quantity );
+};
+
+/**
+ * Passes a change of the remote switches or outputs on to the remote.
+ * remoteStatus shows whether it was acknowledged: the remote is online
+ * if a device has paired with this one.
+ */
+AcnSimulator.prototype.sendToRemote = function() {
+  this.setRegister( REMOTE_STATUS, this.connections.length ? REMOTE_ONLINE : REMOTE_OFFLINE );
+};
+
+/**
+ * Function 0x11
+ */
+AcnSimulator.prototype.reportSlaveId = function() {
+  var factory = this.nvram.factory;
+  var version = this.version.split('.');
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushByte( FC_SLAVE_ID )
+    .pushByte( 9 )
+    .pushByte( factory ? factory.productType : this.product )
+
+    // run indicator: 0 means unprogrammed
+    .pushByte( factory ? 0xFF : 0 )
+    .pushByte( parseInt( version[0], 10 ))
+    .pushByte( parseInt( version[1], 10 ))
+    .pushByte( parseInt( version[2], 10 ))
+    .pushUInt32( factory ? factory.serialNumber : 0 );
+
+  return builder.toBuffer();
+};
+
+/**
+ * Function 0x43
+ */
+AcnSimulator.prototype.readObject = function( pdu ) {
+  var id = pdu[1];
+
+  if( !OBJECT_READERS[ id ] ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  var values = this[ OBJECT_READERS[ id ] ]();
+
+  if( 'number' === typeof( values )) {
+    return values;
+  }
+
+  return Buffer.concat( [ new Buffer( [ FC_READ_OBJECT, values.length ] ), values ] );
+};
+
+/**
+ * Function 0x44
+ */
+AcnSimulator.prototype.writeObject = function( pdu ) {
+  var id = pdu[1];
+  var values = pdu.slice( 3, 3 + pdu[2] );
+
+  if( !OBJECT_WRITERS[ id ] ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  var status = this[ OBJECT_WRITERS[ id ] ]( values );
+
+  if( 'number' === typeof( status ) ) {
+    return status;
+  }
+
+  return new Buffer( [ FC_WRITE_OBJECT, 0 ] );
+};
+
+/**
+ * Function 0x47
+ */
+AcnSimulator.prototype.command = function( pdu ) {
+  var id = pdu[1];
+  var data = pdu.slice( 2 );
+
+  // sendconn, sendshort, sendlong and broadcast just queue a message
+  // for transmission.
+  if( id >= 6 && id <= 9 ) {
+    this.emit( 'transmit', id, data );
+    return new Buffer( [ FC_COMMAND, id, 0 ] );
+  }
+
+  if( !COMMAND_HANDLERS[ id ] ) {
+    return ILLEGAL_FUNCTION;
+  }
+
+  var values = this[ COMMAND_HANDLERS[ id ] ]( data );
+
+  if( 'number' === typeof( values )) {
+    return values;
+  }
+
+  return Buffer.concat( [ new Buffer( [ FC_COMMAND, id ] ), values ] );
+};
+
+
+//------------------------------------//---------------------------------------
+// Objects
+
+AcnSimulator.prototype.factoryObject = function() {
+  var factory = this.nvram.factory;
+
+  if( !this.unlocked ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  // an unprogrammed factory area reads as a single zero byte
+  if( !factory ) {
+    return new Buffer( [ 0 ] );
+  }
+
+  var builder = new buffers.BufferBuilder();
+  var reserve = new Buffer( 7 );
+  reserve.fill( 0 );
+
+  builder
+    .pushBuffer( stringToMac( factory.macAddress ))
+    .pushUInt32( factory.serialNumber )
+    .pushByte( factory.productType )
+    .pushBuffer( reserve );
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.userObject = function() {
+  var builder = new buffers.BufferBuilder();
+
+  this.nvram.user.forEach( function( value ) {
+    builder.pushUInt16( value );
+  });
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.networkStatusObject = function() {
+  var network = this.network;
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushUInt16( network ? network.shortAddress : NO_ADDRESS, true )
+    .pushByte( NONE )
+    .pushUInt16( network ? network.panId : NO_ADDRESS, true )
+    .pushByte( network ? network.channel : NONE );
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.scanResultObject = function() {
+  var builder = new buffers.BufferBuilder();
+
+  this.scanResults = this.scanResults || [];
+
+  this.scanResults.forEach( function( entry ) {
+    builder
+      .pushByte( entry.channel )
+      .pushBuffer( stringToMac( entry.macAddress ))
+      .pushUInt16( entry.panId, true )
+      .pushByte( entry.rssi || 0 )
+      .pushByte( entry.lqi || 0 )
+
+      // capability: coordinator, allowing joins
+      .pushByte( 0x21 )
+      .pushByte( 0 );
+  });
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.connectionTableObject = function() {
+  var builder = new buffers.BufferBuilder();
+  var panId = this.network ? this.network.panId : NO_ADDRESS;
+
+  for( var i = 0; i < CONNECTION_TABLE_SIZE; i++ ) {
+    var peer = this.connections[i];
+
+    if( peer ) {
+      builder
+        .pushUInt16( panId, true )
+        .pushUInt16( peer.shortAddress, true )
+        .pushBuffer( stringToMac( peer.macAddress ))
+
+        // valid, family, short/long address valid, direct, rxOnWhenIdle
+        .pushByte( 0xAF )
+        .pushByte( 0 );
+    }
+    else {
+      builder.pushBuffer( new Buffer( [ 0,0,0,0,0,0,0,0,0,0,0,0,0,0 ] ));
+    }
+  }
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.coordStatusObject = function() {
+  var builder = new buffers.BufferBuilder();
+  var isCoordinator = this.network && this.network.shortAddress === 0;
+
+  for( var i = 0; i < 8; i++ ) {
+    builder.pushByte( isCoordinator && i === 0 ? 0 : NONE );
+  }
+  for( i = 0; i < 8; i++ ) {
+    builder.pushByte( 0 );
+  }
+
+  builder
+    .pushByte( isCoordinator ? 0x01 : 0 )
+    .pushByte( isCoordinator ? 2 : 0 );
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.sensorDataObject = function() {
+  return this.sensorQueue.shift() || new Buffer( [ 0 ] );
+};
+
+/**
+ * Describes the last firmware block written to the bootloader:
+ * address (32 bits), length (8 bits) and the CRC of the bytes now in
+ * program memory (16 bits)
+ */
+AcnSimulator.prototype.firmwareCheckObject = function() {
+  var last = this.bootloader && this.bootloader.lastBlock;
+
+  if( !last ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushUInt32( last.address )
+    .pushByte( last.length )
+    .pushUInt16( crc16( this.flash.slice( last.address, last.address + last.length )));
+
+  return builder.toBuffer();
+};
+
+AcnSimulator.prototype.writeFactoryObject = function( values ) {
+  if( !this.unlocked ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+  if( values.length < 13 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  this.nvram.factory = {
+    macAddress: macToString( values ),
+    serialNumber: values.readUInt32BE( 8 ),
+    productType: values[12]
+  };
+
+  this.saveNvram();
+};
+
+AcnSimulator.prototype.writeUserObject = function( values ) {
+  if( values.length < 20 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  for( var i = 0; i < 10; i++ ) {
+    this.nvram.user[i] = values.readUInt16BE( i * 2 );
+  }
+
+  this.saveNvram();
+};
+
+/**
+ * Stores a block of firmware: the address (32 bits) followed by the data.
+ *
+ * If corruptBlocks is set, that many blocks are stored with an error, so
+ * the master's verification fails.
+ */
+AcnSimulator.prototype.writeFirmwareBlock = function( values ) {
+  if( !this.bootloader ) {
+    return ILLEGAL_DATA_ADDRESS;
+  }
+
+  var address = values.readUInt32BE( 0 );
+  var data = values.slice( 4 );
+
+  if( data.length === 0 || address + data.length > this.flashSize ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  data.copy( this.flash, address );
+
+  if( this.corruptBlocks > 0 ) {
+    this.corruptBlocks--;
+    this.flash[ address ] ^= 0xFF;
+  }
+
+  this.bootloader.lastBlock = { address: address, length: data.length };
+  this.emit( 'firmwareBlock', address, data.length );
+};
+
+
+//------------------------------------//---------------------------------------
+// Commands
+
+AcnSimulator.prototype.resetCommand = function() {
+  var me = this;
+
+  // the response goes out before the device restarts; restarting also
+  // leaves the bootloader
+  setImmediate( function() {
+    me.bootloader = null;
+    me.powerUp();
+  });
+
+  return new Buffer( [ 0 ] );
+};
+
+/**
+ * Enters the bootloader, which erases the program memory
+ */
+AcnSimulator.prototype.bootloaderCommand = function() {
+  this.bootloader = { lastBlock: null };
+  this.flash = new Buffer( this.flashSize );
+  this.flash.fill( 0xFF );
+
+  this.emit( 'bootloader' );
+
+  return new Buffer( [ 0 ] );
+};
+
+AcnSimulator.prototype.saveCommand = function() {
+  this.nvram.defaults = this.nvram.user.slice();
+  this.saveNvram();
+
+  return new Buffer( [ 0 ] );
+};
+
+AcnSimulator.prototype.restoreCommand = function() {
+  for( var i = 0; i < this.nvram.user.length; i++ ) {
+    this.nvram.user[i] = this.nvram.defaults[i];
+  }
+  this.saveNvram();
+
+  return new Buffer( [ 0 ] );
+};
+
+AcnSimulator.prototype.unlockCommand = function() {
+  this.unlocked = true;
+
+  return new Buffer( [ 0 ] );
+};
+
+/**
+ * Returns the best channel for an energy scan, or NONE if the channel
+ * map does not allow any channel.
+ */
+AcnSimulator.prototype.bestChannel = function() {
+  var channels = enabledChannels( this.nvram.user[1] );
+
+  return channels.reduce( function( best, channel ) {
+    if( best === NONE || channelNoise( channel ) < channelNoise( best )) {
+      return channel;
+    }
+    return best;
+  }, NONE );
+};
+
+AcnSimulator.prototype.scanCommand = function( data ) {
+  var type = data[0];
+  var me = this;
+
+  if( type & 0x02 ) {
+    var allowed = enabledChannels( me.nvram.user[1] );
+
+    me.scanResults = me.neighbours.filter( function( n ) {
+      return allowed.indexOf( n.channel ) > -1;
+    });
+  }
+
+  var result = [ me.bestChannel() ];
+
+  for( var i = 0; i < 16; i++ ) {
+    result.push( channelNoise( FIRST_CHANNEL + i ));
+  }
+
+  return new Buffer( result );
+};
+
+AcnSimulator.prototype.clearCommand = function() {
+  var channel = this.bestChannel();
+
+  this.leaveNetwork();
+
+  // networkFormation 1 means form a new network immediately
+  if( this.nvram.user[4] === 1 && channel !== NONE ) {
+    this.network = {
+      shortAddress: 0x0000,
+      panId: ( this.nvram.factory ? this.nvram.factory.serialNumber : 0 ) & 0xFFFF,
+      channel: channel
+    };
+  }
+
+  this.setState( this.network ? STATE_ACTIVE : STATE_IDLE );
+
+  return new Buffer( [ 0 ] );
+};
+
+AcnSimulator.prototype.pairCommand = function() {
+  var me = this;
+  var previous = me.getState();
+
+  if( previous === STATE_PAIRING ) {
+    return new Buffer( [ 0 ] );
+  }
+
+  me.setState( STATE_PAIRING );
+
+  // pairing ends after pairingTimeout seconds if nobody joins
+  me.pairingTimer = setTimeout( function() {
+    me.pairingTimer = null;
+    me.setState( previous === STATE_ACTIVE || me.connections.length ?
+      STATE_ACTIVE : STATE_IDLE );
+  }, me.nvram.user[5] * 1000 );
+
+  if( me.pairingTimer.unref ) {
+    me.pairingTimer.unref();
+  }
+
+  if( me.pendingPeers.length > 0 ) {
+    setImmediate( function() { me.joinPeer(); } );
+  }
+
+  return new Buffer( [ 0 ] );
+};
+
+/**
+ * Completes pairing with the first pending peer
+ */
+AcnSimulator.prototype.joinPeer = function() {
+  var peer = this.pendingPeers.shift();
+
+  if( !peer || this.getState() !== STATE_PAIRING ) {
+    return;
+  }
+
+  if( !this.network ) {
+    this.network = {
+      shortAddress: 0x0000,
+      panId: ( this.nvram.factory ? this.nvram.factory.serialNumber : 0 ) & 0xFFFF,
+      channel: this.bestChannel()
+    };
+  }
+
+  if( this.connections.length < CONNECTION_TABLE_SIZE ) {
+    this.connections.push( peer );
+  }
+
+  clearTimeout( this.pairingTimer );
+  this.pairingTimer = null;
+  this.setState( STATE_ACTIVE );
+
+  this.emit( 'paired', peer );
+};
+
+AcnSimulator.prototype.pingCommand = function( data ) {
+  if( data.length < 2 ) {
+    return ILLEGAL_DATA_VALUE;
+  }
+
+  var address = data.readUInt16BE( 0 );
+  var peer = this.connections.filter( function( p ) {
+    return p.shortAddress === address;
+  })[0];
+
+  // a single status byte means the remote did not answer
+  if( !peer ) {
+    return new Buffer( [ 1 ] );
+  }
+
+  var builder = new buffers.BufferBuilder();
+
+  builder
+    .pushByte( 0 )
+    .pushUInt16( 12 )
+    .pushByte( peer.lqi || 255 )
+    .pushByte( peer.rssi || 200 )
+    .pushByte( peer.lqi || 255 )
+    .pushByte( peer.rssi || 200 );
+
+  return builder.toBuffer();
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = AcnSimulator;
@@ -0,0 +1,291 @@
+/**
+ * Authentication and roles for the acn-ws server
+ *
+ * Users and API tokens are kept in a JSON file:
+ *
+ *   {
+ *     "users": {
+ *       "alice": { "role": "admin", "password": "pbkdf2$10000$<salt>$<hash>" }
+ *     },
+ *     "tokens": [
+ *       { "name": "dashboard", "role": "viewer", "hash": "<sha256 of token>" }
+ *     ]
+ *   }
+ *
+ * Passwords are stored as salted PBKDF2 hashes and tokens as SHA-256
+ * hashes, so the file does not reveal them.  Use addUser() and addToken()
+ * (or acn-ws --adduser / --addtoken) to fill it in.
+ *
+ * Clients authenticate with an HTTP Authorization header, either
+ *   Basic <base64 of name:password>   or   Bearer <token>
+ *
+ * Each user has one of these roles, and each role may do everything the
+ * roles before it may:
+ *   viewer    receive the status events, and nothing else
+ *   operator  read registers, history and the configuration; pair, ping,
+ *             scan and discover the network topology
+ *   admin     write configuration, reset, clear pairing and unlock the
+ *             factory areas
+ */
+'use strict';
+
+// File system
+var fs = require('fs');
+
+// Hashing and random numbers
+var crypto = require('crypto');
+
+// The roles, from least to most privileged
+var ROLES = [ 'viewer', 'operator', 'admin' ];
+
+// The role needed for each action
+var PERMISSIONS = {
+  read: 'operator',
+  history: 'operator',
+  configFields: 'operator',
+  configPreview: 'operator',
+  pair: 'operator',
+  ping: 'operator',
+  scan: 'operator',
+  topology: 'operator',
+  write: 'admin',
+  configWrite: 'admin',
+  reset: 'admin',
+  clear: 'admin',
+  unlock: 'admin'
+};
+
+// PBKDF2 settings for new passwords
+var ITERATIONS = 10000;
+var KEY_LENGTH = 32;
+var DIGEST = 'sha256';
+
+
+/**
+ * Hashes a password
+ *
+ * @param  {string} password   the password
+ * @param  {string} salt       hex salt (default: a new random salt)
+ * @param  {number} iterations PBKDF2 iterations (default ITERATIONS)
+ * @return {string}            'pbkdf2$iterations$salt$hash'
+ */
+function hashPassword( password, salt, iterations ) {
+  salt = salt || crypto.randomBytes( 16 ).toString( 'hex' );
+  iterations = iterations || ITERATIONS;
+
+  var hash = crypto.pbkdf2Sync( String( password ), salt, iterations, KEY_LENGTH, DIGEST );
+
+  return [ 'pbkdf2', iterations, salt, hash.toString( 'hex' ) ].join( '$' );
+}
+
+/**
+ * Hashes an API token
+ *
+ * @param  {string} token the token
+ * @return {string}       hex SHA-256 hash
+ */
+function hashToken( token ) {
+  return crypto.createHash( 'sha256' ).update( String( token )).digest( 'hex' );
+}
+
+/**
+ * Compares two strings in constant time
+ *
+ * @param  {string} a first string
+ * @param  {string} b second string
+ * @return {boolean}  true if they are the same
+ */
+function same( a, b ) {
+  var bufA = new Buffer( String( a ));
+  var bufB = new Buffer( String( b ));
+
+  return bufA.length === bufB.length && crypto.timingSafeEqual( bufA, bufB );
+}
+
+/**
+ * Checks a password against its stored hash
+ *
+ * @param  {string} password the password
+ * @param  {string} stored   'pbkdf2$iterations$salt$hash'
+ * @return {boolean}         true if it matches
+ */
+function checkPassword( password, stored ) {
+  var parts = String( stored ).split( '$' );
+
+  if( parts.length !== 4 || parts[0] !== 'pbkdf2' ) {
+    return false;
+  }
+
+  return same( hashPassword( password, parts[2], parseInt( parts[1] )), stored );
+}
+
+
+/**
+ * Constructor
+ *
+ * @param {string} file name of the users file; it is created by save()
+ *                      if it doesn't exist
+ */
+function Auth( file ) {
+  this.file = file;
+  this.users = {};
+  this.tokens = [];
+
+  if( file && fs.existsSync( file )) {
+    var data = JSON.parse( fs.readFileSync( file, 'utf8' ));
+
+    this.users = data.users || {};
+    this.tokens = data.tokens || [];
+  }
+}
+
+/**
+ * Writes the users and tokens to the file
+ */
+Auth.prototype.save = function() {
+  fs.writeFileSync( this.file,
+    JSON.stringify( { users: this.users, tokens: this.tokens }, null, 4 ), { mode: parseInt( '600', 8 ) } );
+};
+
+/**
+ * Checks that a role exists
+ *
+ * @param {string} role the role
+ * @throws {Error}      if it doesn't
+ */
+function checkRole( role ) {
+  if( ROLES.indexOf( role ) === -1 ) {
+    throw new Error( 'Unknown role: ' + role + ' (use ' + ROLES.join( ', ' ) + ')' );
+  }
+}
+
+/**
+ * Adds or replaces a user
+ *
+ * @param {string} name     user name
+ * @param {string} password the password
+ * @param {string} role     'viewer', 'operator' or 'admin'
+ */
+Auth.prototype.addUser = function( name, password, role ) {
+  checkRole( role );
+
+  if( !name || !password ) {
+    throw new Error( 'A user needs a name and password' );
+  }
+
+  this.users[ name ] = { role: role, password: hashPassword( password ) };
+};
+
+/**
+ * Removes a user
+ *
+ * @param {string} name user name
+ */
+Auth.prototype.removeUser = function( name ) {
+  delete this.users[ name ];
+};
+
+/**
+ * Creates an API token
+ *
+ * Only a hash of the token is kept, so the token must be recorded by the
+ * caller.
+ *
+ * @param  {string} name describes who the token is for
+ * @param  {string} role 'viewer', 'operator' or 'admin'
+ * @return {string}      the token
+ */
+Auth.prototype.addToken = function( name, role ) {
+  checkRole( role );
+
+  var token = crypto.randomBytes( 24 ).toString( 'hex' );
+
+  this.tokens.push( { name: name, role: role, hash: hashToken( token ) } );
+
+  return token;
+};
+
+/**
+ * Identifies the client from an Authorization header
+ *
+ * @param  {string} header the header ('Basic ...' or 'Bearer ...')
+ * @return {object}        { name, role }, or null if the credentials are
+ *                         missing or wrong
+ */
+Auth.prototype.authenticate = function( header ) {
+  var match = /^(Basic|Bearer)\s+(\S+)$/i.exec( header || '' );
+
+  if( !match ) {
+    return null;
+  }
+
+  if( match[1].toLowerCase() === 'bearer' ) {
+    return this.authenticateToken( match[2] );
+  }
+
+  var credentials = new Buffer( match[2], 'base64' ).toString();
+  var colon = credentials.indexOf( ':' );
+  var name = credentials.slice( 0, colon );
+  var user = Object.prototype.hasOwnProperty.call( this.users, name ) && this.users[ name ];
+
+  if( colon < 0 || !user || !checkPassword( credentials.slice( colon + 1 ), user.password )) {
+    return null;
+  }
+
+  return { name: name, role: user.role };
+};
+
+/**
+ * Identifies the client from an API token
+ *
+ * @param  {string} token the token
+ * @return {object}       { name, role }, or null if it is not valid
+ */
+Auth.prototype.authenticateToken = function( token ) {
+  var hash = hashToken( token );
+
+  var found = this.tokens.filter( function( entry ) { return same( entry.hash, hash ); })[0];
+
+  return found ? { name: found.name, role: found.role } : null;
+};
+
+/**
+ * Checks whether a user may perform an action
+ *
+ * @param  {object} user   { name, role } from authenticate()
+ * @param  {string} action the action, like 'read' or 'pair'
+ * @return {boolean}       true if it is allowed
+ */
+Auth.prototype.allowed = function( user, action ) {
+  var needed = Object.prototype.hasOwnProperty.call( PERMISSIONS, action ) && PERMISSIONS[ action ];
+
+  if( !user || !needed ) {
+    return false;
+  }
+
+  return ROLES.indexOf( user.role ) >= ROLES.indexOf( needed );
+};
+
+
+/**
+ * The roles, from least to most privileged
+ *
+ * @ignore
+ */
+Auth.ROLES = ROLES;
+
+/**
+ * The role needed for each action.  Applications can add their own.
+ *
+ * @ignore
+ */
+Auth.PERMISSIONS = PERMISSIONS;
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = Auth;
@@ -0,0 +1,321 @@
+/**
+ * Manages a group of ACN devices attached to the same machine
+ *
+ * The manager enumerates the serial ports on the system, opens each one,
+ * and identifies the device using ReportSlaveId.  Devices are kept in a
+ * registry keyed by serial number, so an application can address a
+ * device without knowing which port it is on.
+ *
+ * When a device is unplugged it is marked offline.  When it shows up
+ * again (possibly on a different port) it is re-bound to its new port.
+ *
+ * Events:
+ *   added (device)           a device was identified for the first time
+ *   removed (device)         a device was disconnected
+ *   rebound (device, oldPath) a known device was found again
+ *   error (err)              a port could not be listed (only emitted
+ *                            if there is a listener)
+ *
+ * where device is {serialNumber, productType, product, version, path,
+ * online, port}.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// Promise library
+var Promise = require('bluebird');
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {object} config AcnPort configuration used for each port
+ * @param {object} options optional settings:
+ *   filter: function(portInfo) returning true for ports that should be
+ *           probed (default: all ports)
+ *   scanInterval: milliseconds between port scans (default 2000)
+ *   list: function(callback) that lists the ports (default AcnPort.list)
+ *   maxFailures: failed probes after which a port is left alone until it
+ *                disappears (default 3)
+ *   retryDelay: milliseconds before a port that failed is probed again;
+ *               doubled after each failure (default scanInterval)
+ */
+function DeviceManager( config, options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  me.config = Object.assign( {}, config, { autoReconnect: false } );
+  me.filter = options.filter || function() { return true; };
+  me.scanInterval = options.scanInterval || 2000;
+  me.listPorts = options.list || AcnPort.list;
+  me.maxFailures = options.maxFailures || 3;
+  me.retryDelay = ( 'retryDelay' in options ) ? options.retryDelay : me.scanInterval;
+
+  // Known devices, keyed by serial number
+  me.devices = {};
+
+  // Ports that are open or being probed, keyed by path
+  me.busy = {};
+
+  // Ports that did not identify as an ACN device, keyed by path:
+  // {failures, retryAt}.  A device that is still starting up may fail a
+  // probe, so the port is probed again after retryDelay (doubling each
+  // time), until it has failed maxFailures times; then it is left alone
+  // until it disappears from the port list.
+  me.rejected = {};
+
+  me.scanTimer = null;
+}
+
+// This object can emit events.
+util.inherits( DeviceManager, EventEmitter );
+
+/**
+ * Scans for devices now, and periodically until stop() is called
+ *
+ * @return {Promise} resolves when the first scan is complete
+ */
+DeviceManager.prototype.start = function() {
+  var me = this;
+
+  if( !me.scanTimer ) {
+    me.scanTimer = setInterval( function() {
+      me.scan().catch( function() {} );
+    }, me.scanInterval );
+  }
+
+  return me.scan();
+};
+
+/**
+ * Stops scanning and closes all ports
+ */
+DeviceManager.prototype.stop = function() {
+  var me = this;
+
+  if( me.scanTimer ) {
+    clearInterval( me.scanTimer );
+    me.scanTimer = null;
+  }
+
+  Object.keys( me.devices ).forEach( function( serialNumber ) {
+    me.unbind( me.devices[ serialNumber ], false );
+  });
+};
+
+/**
+ * Returns the port for a device
+ *
+ * @param  {string} serialNumber the device's serial number
+ * @return {AcnPort}             the port, or null if the device is offline
+ */
+DeviceManager.prototype.get = function( serialNumber ) {
+  var device = this.devices[ serialNumber ];
+
+  return ( device && device.online ) ? device.port : null;
+};
+
+/**
+ * Returns all the known devices (online and offline)
+ *
+ * @return {Array} device descriptions
+ */
+DeviceManager.prototype.list = function() {
+  var me = this;
+
+  return Object.keys( me.devices ).map( function( serialNumber ) {
+    return me.devices[ serialNumber ];
+  });
+};
+
+/**
+ * Lists the ports on the system and probes any new ones
+ *
+ * @return {Promise} resolves with the list of known devices
+ */
+DeviceManager.prototype.scan = function() {
+  var me = this;
+
+  return new Promise( function( resolve, reject ) {
+    me.listPorts( function( err, ports ) {
+      if( err ) {
+        if( me.listenerCount( 'error' ) > 0 ) {
+          me.emit( 'error', err );
+        }
+        reject( err );
+      }
+      else {
+        resolve( ports || [] );
+      }
+    });
+  })
+  .then( function( ports ) {
+    var paths = ports.map( function( info ) { return info.comName; } );
+
+    // forget rejections for ports that have gone away
+    Object.keys( me.rejected ).forEach( function( path ) {
+      if( paths.indexOf( path ) === -1 ) {
+        delete me.rejected[ path ];
+      }
+    });
+
+    return Promise.mapSeries( ports.filter( function( info ) {
+      return me.filter( info ) && !me.busy[ info.comName ] &&
+        me.mayProbe( info.comName );
+    }), function( info ) {
+      return me.probe( info.comName );
+    });
+  })
+  .then( function() { return me.list(); } );
+};
+
+/**
+ * Checks whether a port that failed before may be probed again
+ *
+ * @param  {string} path the port name
+ * @return {boolean}     true if the port has not failed, or its retry is due
+ */
+DeviceManager.prototype.mayProbe = function( path ) {
+  var rejected = this.rejected[ path ];
+
+  return !rejected ||
+    ( rejected.failures < this.maxFailures && Date.now() >= rejected.retryAt );
+};
+
+/**
+ * Opens a port and identifies the device attached to it
+ *
+ * @param  {string} path the port name
+ * @return {Promise}     resolves when the port has been probed
+ */
+DeviceManager.prototype.probe = function( path ) {
+  var me = this;
+  var port;
+
+  me.busy[ path ] = true;
+
+  return Promise.try( function() {
+    port = new AcnPort( path, me.config );
+
+    // errors are reported by the promise chain
+    port.on( 'error', function() {} );
+
+    return port.open();
+  })
+  .then( function() { return port.getSlaveId(); })
+  .then( function( id ) { me.bind( id, path, port ); })
+  .catch( function() {
+    me.reject( path, port );
+  });
+};
+
+/**
+ * Closes a port that is not going to be used, and counts the failure
+ * (see mayProbe)
+ *
+ * @param  {string} path the port name
+ * @param  {AcnPort} port the port, if it was created
+ */
+DeviceManager.prototype.reject = function( path, port ) {
+
+  var failures = ( this.rejected[ path ] ? this.rejected[ path ].failures : 0 ) + 1;
+
+  delete this.busy[ path ];
+  this.rejected[ path ] = {
+    failures: failures,
+    retryAt: Date.now() + this.retryDelay * Math.pow( 2, failures - 1 )
+  };
+
+  if( port ) {
+    port.destroy();
+  }
+};
+
+/**
+ * Associates an identified device with its port
+ *
+ * @param  {object} id   result of getSlaveId
+ * @param  {string} path the port name
+ * @param  {AcnPort} port the open port
+ */
+DeviceManager.prototype.bind = function( id, path, port ) {
+  var me = this;
+  var device = me.devices[ id.serialNumber ];
+  var oldPath = device ? device.path : null;
+
+  if( device && device.online ) {
+    // the same serial number is already online on another port
+    me.reject( path, port );
+    return;
+  }
+
+  device = Object.assign( device || {}, {
+    serialNumber: id.serialNumber,
+    product: id.product,
+    productType: id.productType,
+    version: id.version,
+    path: path,
+    port: port,
+    online: true
+  });
+
+  me.devices[ id.serialNumber ] = device;
+  delete me.rejected[ path ];
+
+  port.once( 'disconnected', function() {
+    me.unbind( device, true );
+  });
+
+  if( oldPath === null ) {
+    me.emit( 'added', device );
+  }
+  else {
+    me.emit( 'rebound', device, oldPath );
+  }
+};
+
+/**
+ * Closes a device's port and marks it offline
+ *
+ * @param  {object} device the device
+ * @param  {boolean} notify true to emit the 'removed' event
+ */
+DeviceManager.prototype.unbind = function( device, notify ) {
+  var port = device.port;
+
+  if( !device.online ) {
+    return;
+  }
+
+  device.online = false;
+  device.port = null;
+  delete this.busy[ device.path ];
+
+  // let the port finish disconnecting before cleaning it up
+  setImmediate( function() { port.destroy(); } );
+
+  if( notify ) {
+    this.emit( 'removed', device );
+  }
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = DeviceManager;
@@ -0,0 +1,214 @@
+/**
+ * Loads new firmware into an ACN device through its bootloader
+ *
+ * The procedure is:
+ *   - command 254 erases the application and starts the bootloader
+ *   - each block of the image is written to object 0x80 (a 32-bit address
+ *     followed by the data), then object 0x81 is read back to check the
+ *     address, length and CRC of what was written.  Failed blocks are
+ *     retried.
+ *   - the reset command starts the new application
+ *
+ * UNVERIFIED: this protocol (command 254, objects 0x80 and 0x81, the block
+ * layout and the CRC read back) is not described in any document in this
+ * package, and has only been tried against lib/AcnSimulator.js.  On a real
+ * device, command 254 may erase the application, and if a block then
+ * fails the device is left in its bootloader without a working
+ * application.  So nothing is sent unless the unverified option is set.
+ *
+ * Events:
+ *   progress ({phase, ...}) where phase is
+ *     'bootloader': entering the bootloader
+ *     'write': a block was written; also block, blocks, address, bytes,
+ *              totalBytes and percent
+ *     'retry': a block is being written again; also address, attempt and
+ *              error
+ *     'reset': all blocks written, starting the new firmware
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// Promise library
+var Promise = require('bluebird');
+
+// Intel HEX file reader
+var IntelHex = require('./IntelHex');
+
+// CRC used to verify each block
+var crc16 = require('./crc16');
+
+// why an update is refused unless the caller opts in
+var UNVERIFIED = 'The bootloader protocol has not been verified on real devices; ' +
+  'set the unverified option to use it anyway';
+
+// the largest block that fits in a WriteObject request, after the address
+var MAX_BLOCK_SIZE = 246;
+
+
+/**
+ * Converts the image argument to a parsed image
+ *
+ * @param  {string|Buffer|object} image file name, file contents, or image
+ * @return {object}                     parsed image
+ */
+function loadImage( image ) {
+  if( Buffer.isBuffer( image ) ) {
+    return IntelHex.parse( image );
+  }
+  else if( 'string' === typeof( image )) {
+    return ( image.charAt(0) === ':' ) ? IntelHex.parse( image ) : IntelHex.load( image );
+  }
+
+  return image;
+}
+
+/**
+ * Formats an address for messages
+ *
+ * @param  {number} address the address
+ * @return {string}         like '0x1F00'
+ */
+function hex( address ) {
+  return '0x' + address.toString(16).toUpperCase();
+}
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {AcnPort} port the port the device is connected to
+ * @param {string|Buffer|object} image name of an Intel HEX file, its
+ *   contents, or an image returned by IntelHex.parse
+ * @param {object} options optional settings:
+ *   blockSize: bytes per block (default 64, max 246)
+ *   retries: number of times a failed block is retried (default 3)
+ *   unverified: must be true to run the update; see above
+ */
+function FirmwareUpdate( port, image, options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  me.port = port;
+  me.image = image;
+  me.blockSize = Math.min( options.blockSize || 64, MAX_BLOCK_SIZE );
+  me.retries = ( 'retries' in options ) ? options.retries : 3;
+  me.unverified = options.unverified === true;
+
+  // number of block retries during the update
+  me.retried = 0;
+}
+
+// This object can emit events.
+util.inherits( FirmwareUpdate, EventEmitter );
+
+/**
+ * Carries out the update
+ *
+ * @return {Promise} resolves with {blocks, bytes, retries} when the new
+ *   firmware has been started
+ */
+FirmwareUpdate.prototype.run = function() {
+  var me = this;
+  var blocks;
+  var total = 0;
+  var written = 0;
+
+  return Promise.try( function() {
+    if( !me.unverified ) {
+      throw new Error( UNVERIFIED );
+    }
+
+    blocks = IntelHex.toBlocks( loadImage( me.image ), me.blockSize );
+
+    if( blocks.length === 0 ) {
+      throw new Error( 'The firmware image is empty' );
+    }
+
+    blocks.forEach( function( block ) { total += block.data.length; } );
+
+    me.emit( 'progress', { phase: 'bootloader', percent: 0 } );
+
+    return me.port.enterBootloader( { unverified: true } );
+  })
+  .then( function() {
+    return Promise.each( blocks, function( block, index ) {
+      return me.writeBlock( block, 1 )
+        .then( function() {
+          written += block.data.length;
+
+          me.emit( 'progress', {
+            phase: 'write',
+            block: index + 1,
+            blocks: blocks.length,
+            address: block.address,
+            bytes: written,
+            totalBytes: total,
+            percent: Math.floor( written * 100 / total )
+          });
+        });
+    });
+  })
+  .then( function() {
+    me.emit( 'progress', { phase: 'reset', percent: 100 } );
+
+    return me.port.reset();
+  })
+  .then( function() {
+    return { blocks: blocks.length, bytes: total, retries: me.retried };
+  });
+};
+
+/**
+ * Writes and verifies one block, retrying if necessary
+ *
+ * @param  {object} block   { address, data }
+ * @param  {number} attempt the attempt number (starting at 1)
+ * @return {Promise}        resolves when the block is verified
+ */
+FirmwareUpdate.prototype.writeBlock = function( block, attempt ) {
+  var me = this;
+
+  return me.port.writeFirmwareBlock( block.address, block.data )
+    .then( function() { return me.port.getFirmwareCheck(); })
+    .then( function( check ) {
+      if( check.address !== block.address ||
+        check.length !== block.data.length ||
+        check.crc !== crc16( block.data )) {
+        throw new Error( 'Verification failed' );
+      }
+    })
+    .catch( function( err ) {
+      if( attempt > me.retries ) {
+        throw new Error( 'Failed to write block at ' + hex( block.address ) +
+          ' after ' + attempt + ' attempts: ' + err.message );
+      }
+
+      me.retried++;
+      me.emit( 'progress', {
+        phase: 'retry',
+        address: block.address,
+        attempt: attempt + 1,
+        error: err.message
+      });
+
+      return me.writeBlock( block, attempt + 1 );
+    });
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = FirmwareUpdate;
@@ -0,0 +1,332 @@
+/**
+ * Checks the GPS reports from CS1108 controllers against geofences
+ *
+ * Fences are defined for each controller (by serial number) as a circle
+ *   { name, type: 'circle', center: { latitude, longitude }, radius }
+ * (radius in meters) or a polygon
+ *   { name, type: 'polygon', points: [ { latitude, longitude }, ... ] }
+ * A fence normally marks the area the controller must stay in; use
+ * mode: 'outside' for an area it must stay out of.
+ *
+ * Each report's ehpe (estimated horizontal position error, in meters) is
+ * honoured: while the position is within ehpe of a fence's edge, the
+ * controller is not considered to have crossed it.  Reports without a
+ * valid fix are ignored.
+ *
+ * Events:
+ *   enter ({serial, fence, report, distance})
+ *                 the controller moved into a fence
+ *   exit (...)    the controller moved out of a fence
+ *   violation (...) the controller moved to where the fence does not allow
+ *   disagreement ({serial, violated, report})
+ *                 the controller's boundaryViolated flag does not match
+ *                 violated, the result here
+ *
+ * report is the sensor data message, and distance is how far the position
+ * is inside the fence (negative when outside), in meters.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// mean radius of the earth, in meters
+var EARTH_RADIUS = 6371008.8;
+
+// fence states
+var INSIDE = 'inside';
+var OUTSIDE = 'outside';
+
+
+/**
+ * Converts degrees to radians
+ *
+ * @param  {number} degrees angle
+ * @return {number}         angle in radians
+ */
+function radians( degrees ) {
+  return degrees * Math.PI / 180;
+}
+
+/**
+ * Projects a point onto a plane centered at origin
+ *
+ * This is accurate enough for fences up to a few kilometers across.
+ *
+ * @param  {object} point  { latitude, longitude }
+ * @param  {object} origin { latitude, longitude }
+ * @return {object}        { x, y } in meters
+ */
+function project( point, origin ) {
+  return {
+    x: radians( point.longitude - origin.longitude ) * Math.cos( radians( origin.latitude )) * EARTH_RADIUS,
+    y: radians( point.latitude - origin.latitude ) * EARTH_RADIUS
+  };
+}
+
+/**
+ * Distance from the origin to the line segment from a to b
+ *
+ * @param  {object} a { x, y }
+ * @param  {object} b { x, y }
+ * @return {number}   distance
+ */
+function segmentDistance( a, b ) {
+  var dx = b.x - a.x;
+  var dy = b.y - a.y;
+  var length = dx * dx + dy * dy;
+  var t = ( length === 0 ) ? 0 : Math.max( 0, Math.min( 1, -( a.x * dx + a.y * dy ) / length ));
+
+  return Math.sqrt( Math.pow( a.x + t * dx, 2 ) + Math.pow( a.y + t * dy, 2 ));
+}
+
+/**
+ * How far a point is inside a circle
+ *
+ * @param  {object} fence  the circle
+ * @param  {object} point  { latitude, longitude }
+ * @return {number}        meters inside (negative if outside)
+ */
+function circleDistance( fence, point ) {
+  var p = project( point, fence.center );
+
+  return fence.radius - Math.sqrt( p.x * p.x + p.y * p.y );
+}
+
+/**
+ * How far a point is inside a polygon
+ *
+ * @param  {object} fence  the polygon
+ * @param  {object} point  { latitude, longitude }
+ * @return {number}        meters inside (negative if outside)
+ */
+function polygonDistance( fence, point ) {
+  var vertices = fence.points.map( function( p ) { return project( p, point ); });
+  var inside = false;
+  var nearest = Infinity;
+
+  for( var i = 0, j = vertices.length - 1; i < vertices.length; j = i++ ) {
+    var a = vertices[i];
+    var b = vertices[j];
+
+    // does a ray from the point along +x cross this edge?
+    if( ( a.y > 0 ) !== ( b.y > 0 ) && 0 < a.x + ( 0 - a.y ) * ( b.x - a.x ) / ( b.y - a.y )) {
+      inside = !inside;
+    }
+
+    nearest = Math.min( nearest, segmentDistance( a, b ));
+  }
+
+  return inside ? nearest : -nearest;
+}
+
+/**
+ * Checks a fence definition
+ *
+ * @param  {object} fence the fence
+ * @throws {Error}        if the fence is not valid
+ */
+function validate( fence ) {
+  if( !fence.name ) {
+    throw new Error( 'Geofence needs a name' );
+  }
+
+  if( fence.type === 'circle' ) {
+    if( !fence.center || 'number' !== typeof( fence.radius ) || fence.radius <= 0 ) {
+      throw new Error( 'Geofence ' + fence.name + ' needs a center and radius' );
+    }
+  }
+  else if( fence.type === 'polygon' ) {
+    if( !Array.isArray( fence.points ) || fence.points.length < 3 ) {
+      throw new Error( 'Geofence ' + fence.name + ' needs at least 3 points' );
+    }
+  }
+  else {
+    throw new Error( 'Unknown geofence type: ' + fence.type );
+  }
+}
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ */
+function Geofence() {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  // fences for each controller, keyed by serial number
+  me.fences = {};
+
+  // the last known state of each fence, keyed by serial number and name
+  me.states = {};
+
+  me.onReport = function( msg ) { me.check( msg ); };
+}
+
+// This object can emit events.
+util.inherits( Geofence, EventEmitter );
+
+/**
+ * Adds (or replaces) a fence for a controller
+ *
+ * @param {string} serial controller serial number, like 'S0001234'
+ * @param {object} fence  the fence (see above)
+ */
+Geofence.prototype.add = function( serial, fence ) {
+  validate( fence );
+
+  this.remove( serial, fence.name );
+
+  this.fences[ serial ] = this.fences[ serial ] || [];
+  this.fences[ serial ].push( Object.assign( { mode: INSIDE }, fence ));
+};
+
+/**
+ * Removes a fence
+ *
+ * @param {string} serial controller serial number
+ * @param {string} name   name of the fence
+ */
+Geofence.prototype.remove = function( serial, name ) {
+  if( this.fences[ serial ] ) {
+    this.fences[ serial ] = this.fences[ serial ].filter( function( fence ) {
+      return fence.name !== name;
+    });
+  }
+
+  if( this.states[ serial ] ) {
+    delete this.states[ serial ][ name ];
+  }
+};
+
+/**
+ * Returns the fences of a controller
+ *
+ * @param  {string} serial controller serial number
+ * @return {Array}         the fences
+ */
+Geofence.prototype.list = function( serial ) {
+  return ( this.fences[ serial ] || [] ).slice();
+};
+
+/**
+ * Checks the GPS reports delivered by a sensor stream
+ *
+ * @param  {SensorStream} stream the stream (see AcnPort.sensorStream)
+ * @return {Geofence}            this object
+ */
+Geofence.prototype.watch = function( stream ) {
+  stream.on( 'gpsReport', this.onReport );
+
+  return this;
+};
+
+/**
+ * Stops checking the reports from a sensor stream
+ *
+ * @param {SensorStream} stream the stream
+ */
+Geofence.prototype.unwatch = function( stream ) {
+  stream.removeListener( 'gpsReport', this.onReport );
+};
+
+/**
+ * Checks a GPS report against the controller's fences
+ *
+ * @param  {object} msg sensor data with a GPS report (see SensorStream)
+ * @return {Array}      for each fence, {fence, state, distance}; state is
+ *                      'inside', 'outside' or null if the position is too
+ *                      close to the edge to tell.  Empty if the report has
+ *                      no valid fix.
+ */
+Geofence.prototype.check = function( msg ) {
+  var me = this;
+  var report = msg.packet;
+  var serial = report.serial || msg.from;
+
+  if( !report.fixValid ) {
+    return [];
+  }
+
+  var results = me.list( serial ).map( function( fence ) {
+    var distance = ( fence.type === 'circle' ) ?
+      circleDistance( fence, report ) : polygonDistance( fence, report );
+    var state = null;
+
+    if( Math.abs( distance ) > report.ehpe ) {
+      state = ( distance > 0 ) ? INSIDE : OUTSIDE;
+    }
+
+    me.update( serial, fence, state, { serial: serial, fence: fence.name, report: msg, distance: distance });
+
+    return { fence: fence.name, state: state, distance: distance };
+  });
+
+  me.crossCheck( serial, msg, results );
+
+  return results;
+};
+
+/**
+ * Records the state of a fence and emits events when it changes
+ *
+ * @param {string} serial controller serial number
+ * @param {object} fence  the fence
+ * @param {string} state  'inside', 'outside', or null if not known
+ * @param {object} event  the event object
+ */
+Geofence.prototype.update = function( serial, fence, state, event ) {
+  var states = this.states[ serial ] = this.states[ serial ] || {};
+  var previous = states[ fence.name ];
+
+  if( !state || state === previous ) {
+    return;
+  }
+
+  states[ fence.name ] = state;
+
+  if( previous ) {
+    this.emit( ( state === INSIDE ) ? 'enter' : 'exit', event );
+  }
+
+  if( state !== fence.mode ) {
+    this.emit( 'violation', event );
+  }
+};
+
+/**
+ * Compares the controller's boundaryViolated flag with our result
+ *
+ * Nothing is compared while any fence is too close to call.
+ *
+ * @param {string} serial  controller serial number
+ * @param {object} msg     the sensor data
+ * @param {Array} results  the result for each fence
+ */
+Geofence.prototype.crossCheck = function( serial, msg, results ) {
+  var fences = this.list( serial );
+
+  if( results.length === 0 || results.some( function( r ) { return r.state === null; })) {
+    return;
+  }
+
+  var violated = results.some( function( r, i ) { return r.state !== fences[i].mode; });
+
+  if( violated !== Boolean( msg.packet.boundaryViolated )) {
+    this.emit( 'disagreement', { serial: serial, violated: violated, report: msg });
+  }
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = Geofence;
@@ -0,0 +1,174 @@
+/**
+ * Reads firmware images in Intel HEX format
+ *
+ * The image is returned as a list of segments (runs of consecutive bytes),
+ * which can be split into blocks for transfer to the bootloader.
+ */
+'use strict';
+
+// file system access
+var fs = require('fs');
+
+// Record types
+var DATA = 0x00;
+var END_OF_FILE = 0x01;
+var EXTENDED_SEGMENT_ADDRESS = 0x02;
+var START_SEGMENT_ADDRESS = 0x03;
+var EXTENDED_LINEAR_ADDRESS = 0x04;
+var START_LINEAR_ADDRESS = 0x05;
+
+
+/**
+ * Decodes one line of the file
+ *
+ * @param  {string} line   the text of the record
+ * @param  {number} number line number (for error messages)
+ * @return {object}        { type, address, data }
+ */
+function parseRecord( line, number ) {
+  var bytes;
+
+  if( line.charAt( 0 ) !== ':' || !/^[0-9a-fA-F]+$/.test( line.slice( 1 )) || line.length % 2 === 0 ) {
+    throw new Error( 'Invalid record on line ' + number );
+  }
+
+  bytes = new Buffer( line.slice( 1 ), 'hex' );
+
+  if( bytes.length < 5 || bytes.length !== bytes[0] + 5 ) {
+    throw new Error( 'Invalid record length on line ' + number );
+  }
+
+  var sum = 0;
+  for( var i = 0; i < bytes.length; i++ ) {
+    sum += bytes[i];
+  }
+
+  if( ( sum & 0xFF ) !== 0 ) {
+    throw new Error( 'Invalid checksum on line ' + number );
+  }
+
+  return {
+    type: bytes[3],
+    address: bytes.readUInt16BE( 1 ),
+    data: bytes.slice( 4, bytes.length - 1 )
+  };
+}
+
+/**
+ * Adds data to the image, extending the last segment if the data follows it
+ *
+ * @param  {Array} segments  the image segments
+ * @param  {number} address  address of the data
+ * @param  {Buffer} data     the data
+ */
+function addData( segments, address, data ) {
+  var last = segments[ segments.length - 1 ];
+
+  if( last && last.address + last.data.length === address ) {
+    last.data = Buffer.concat( [ last.data, data ] );
+  }
+  else {
+    segments.push( { address: address, data: data } );
+  }
+}
+
+/**
+ * Parses the contents of an Intel HEX file
+ *
+ * @param  {string|Buffer} text contents of the file
+ * @return {object}             { segments: [ { address, data } ], startAddress }
+ * @throws {Error}              if the file is not valid
+ */
+function parse( text ) {
+  var image = { segments: [], startAddress: null };
+  var base = 0;
+  var ended = false;
+
+  text.toString().split( /\r?\n/ ).forEach( function( line, index ) {
+    line = line.trim();
+
+    if( line.length === 0 || ended ) {
+      return;
+    }
+
+    var record = parseRecord( line, index + 1 );
+
+    switch( record.type ) {
+      case DATA:
+        addData( image.segments, base + record.address, record.data );
+        break;
+
+      case END_OF_FILE:
+        ended = true;
+        break;
+
+      case EXTENDED_SEGMENT_ADDRESS:
+        base = record.data.readUInt16BE( 0 ) * 16;
+        break;
+
+      case EXTENDED_LINEAR_ADDRESS:
+        base = record.data.readUInt16BE( 0 ) * 65536;
+        break;
+
+      case START_SEGMENT_ADDRESS:
+      case START_LINEAR_ADDRESS:
+        image.startAddress = record.data.readUInt32BE( 0 );
+        break;
+
+      default:
+        throw new Error( 'Unknown record type ' + record.type + ' on line ' + ( index + 1 ));
+    }
+  });
+
+  if( !ended ) {
+    throw new Error( 'Missing end of file record' );
+  }
+
+  return image;
+}
+
+/**
+ * Reads and parses an Intel HEX file
+ *
+ * @param  {string} file the name of the file
+ * @return {object}      the image (see parse)
+ */
+function load( file ) {
+  return parse( fs.readFileSync( file ));
+}
+
+/**
+ * Splits an image into blocks of at most blockSize bytes
+ *
+ * Blocks do not span gaps between segments.
+ *
+ * @param  {object} image     the image (see parse)
+ * @param  {number} blockSize maximum number of bytes in a block
+ * @return {Array}            [ { address, data } ]
+ */
+function toBlocks( image, blockSize ) {
+  var blocks = [];
+
+  image.segments.forEach( function( segment ) {
+    for( var offset = 0; offset < segment.data.length; offset += blockSize ) {
+      blocks.push( {
+        address: segment.address + offset,
+        data: segment.data.slice( offset, offset + blockSize )
+      });
+    }
+  });
+
+  return blocks;
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  parse: parse,
+  load: load,
+  toBlocks: toBlocks
+};
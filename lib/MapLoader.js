@@ -0,0 +1,695 @@
+'use strict';
+
+/**
+ * Builds a register map from a declarative description (schema)
+ *
+ * The schema is a JSON (or YAML) document like lib/maps/acn.json:
+ *
+ *   formats: named value formats that registers can refer to
+ *   banks: groups of consecutive holding registers.  Each bank has a name,
+ *     title, addr (number or '0x' string), optional length (registers) and
+ *     readOnly flag, and a list of registers.  The bank reads and writes
+ *     all its registers as one block; if 'list' is set, the bank formats
+ *     to an array instead of an object keyed by register name.
+ *   objects: MODBUS objects (read with the ReadObject function).  Each has
+ *     a name, title, id, and either a list of fields (decoded in order from
+ *     the object data) or the name of a custom decoder.  If entrySize is
+ *     given, the object is a table of entries, optionally filtered by
+ *     'where' ({ 'field.path': value } or { 'field.path': [ min, max ] })
+ *
+ * Registers and fields may have:
+ *   name, title, units
+ *   type: uint16 (default for registers), int16, uint32, int32,
+ *     and for object fields also uint8 (default), int8, float, bytes,
+ *     mac (a MAC address like 'e4:a3:...') and shortAddress ('a1b2')
+ *   length: number of bytes, for bytes and mac fields
+ *   endian: 'big' (default for registers) or 'little'
+ *   enum: object or array mapping values to names; 'unknown' is the name
+ *     used for values that are not in the enum
+ *   fields: bitfields, each { name, shift, width } plus any of the value
+ *     properties here.  A field that is 1 bit wide formats to a boolean.
+ *     The register formats to an object with a property for each field
+ *   scale, offset: formatted value = raw * scale + offset
+ *   min, max: limits of the raw value of a register (default: the range of
+ *     its type)
+ *   step: the raw value must be min plus a multiple of step
+ *   mask: the bits that the raw value may use
+ *   format: 'hex', 'bits' (16 flags, as an array of booleans) or the name
+ *     of a format
+ *     from the schema's formats section
+ *   readOnly: for a register in a bank, overrides the bank's readOnly flag
+ *   note: free text for the help screen, like what is still unconfirmed
+ *
+ * Values that break these constraints (including names that are not in an
+ * enum, and bitfield values too big for their width) are rejected with a
+ * ValidationError when a register is unformatted, so they are never sent.
+ *
+ * The loader returns an object containing a Register for each register,
+ * bank and object, keyed by name.  The schema itself is available as the
+ * (non-enumerable) 'schema' property of the map.
+ */
+
+// file system access
+var fs = require('fs');
+
+// file path handling
+var path = require('path');
+
+// Extra Buffer handling stuff
+var buffers = require('h5.buffers');
+
+// The object created for each map item
+var Register = require('./Register');
+
+// Errors reported by AcnPort
+var errors = require('./errors');
+
+
+// Number of 16-bit registers occupied by each type of holding register
+var REGISTER_LENGTH = {
+  uint16: 1,
+  int16: 1,
+  uint32: 2,
+  int32: 2
+};
+
+// h5.buffers accessor name (shiftXxx/pushXxx) for each numeric type
+var ACCESSORS = {
+  uint8: 'UInt8',
+  int8: 'Int8',
+  uint16: 'UInt16',
+  int16: 'Int16',
+  uint32: 'UInt32',
+  int32: 'Int32',
+  float: 'Float'
+};
+
+
+//------------------------------------//---------------------------------------
+// Utility functions
+
+/**
+ * Zero pads a number (on the left) to a specified length
+ *
+ * @param  {number} number the number to be padded
+ * @param  {number} length number of digits to return
+ * @return {string}        zero-padded number
+ */
+function zeroPad( number, length ) {
+  var pad = new Array(length + 1).join( '0' );
+
+  return (pad+number).slice(-pad.length);
+}
+
+/**
+ * Converts a schema number (which may be a string like '0x0100')
+ *
+ * @param  {number|string} value the value from the schema
+ * @return {number}              the number
+ */
+function toNumber( value ) {
+  return ( 'string' === typeof( value )) ? parseInt( value ) : value;
+}
+
+/**
+ * Finds the enum key whose name matches
+ *
+ * @param  {object|Array} names the enum
+ * @param  {any} name           the name to look for
+ * @return {string}             the key, or undefined if not found
+ */
+function enumKey( names, name ) {
+  return Object.keys( names ).filter( function( key ) {
+    return names[ key ] === name;
+  })[0];
+}
+
+
+//------------------------------------//---------------------------------------
+// Value codecs
+//
+// A codec converts a raw register value to its formatted version and back,
+// using format( raw ) and unformat( formatted )
+
+var BOOLEAN = {
+  format: function( value ) { return value === 1; },
+  unformat: function( formatted ) { return formatted ? 1 : 0; }
+};
+
+// bit 0 is the first flag.  Flags can also be given as the raw number, or
+// as a string of comma-separated flags (like 'true,false,1,0')
+var BITS = {
+  format: function( value ) {
+    return Register.prototype.uint16ToBoolArray( value );
+  },
+  unformat: function( formatted ) {
+    if( 'number' === typeof( formatted )) {
+      return formatted;
+    }
+
+    if( 'string' === typeof( formatted )) {
+      formatted = formatted.split( ',' ).map( function( flag ) {
+        return [ 'true', '1' ].indexOf( flag.trim() ) > -1;
+      });
+    }
+
+    return formatted.reduce( function( value, bit, index ) {
+      return bit ? ( value | ( 1 << index )) : value;
+    }, 0 );
+  }
+};
+
+/**
+ * Creates a codec that formats values as hex strings
+ *
+ * @param  {number} digits number of hex digits
+ * @return {object}        codec
+ */
+function hexCodec( digits ) {
+  return {
+    format: function( value ) {
+      return '0x' + zeroPad( value.toString(16), digits );
+    },
+    unformat: Register.prototype.hex16ToValue
+  };
+}
+
+/**
+ * Creates a codec that maps values to names
+ *
+ * @param  {object} desc register description containing enum and unknown
+ * @return {object}      codec
+ */
+function enumCodec( desc ) {
+  var names = desc.enum;
+  var has = function( key ) {
+    return Object.prototype.hasOwnProperty.call( names, key );
+  };
+
+  return {
+    format: function( value ) {
+      if( has( value )) {
+        return names[ value ];
+      }
+
+      return ( 'unknown' in desc ) ? desc.unknown : value;
+    },
+
+    unformat: function( formatted ) {
+      var key = enumKey( names, formatted );
+
+      // allow the raw value of a named (string) enum
+      if( key === undefined && has( formatted ) && 'string' === typeof( names[ formatted ] )) {
+        key = formatted;
+      }
+
+      if( key === undefined ) {
+        throw new errors.ValidationError( 'Invalid value for ' + desc.name + ': ' + formatted +
+          ' (use ' + Object.keys( names ).map( function( k ) { return names[ k ]; }).join( ', ' ) + ')',
+          desc.name, formatted );
+      }
+
+      return Number( key );
+    }
+  };
+}
+
+/**
+ * Creates a codec that scales values
+ *
+ * @param  {object} desc register description containing scale and offset
+ * @return {object}      codec
+ */
+function scaleCodec( desc ) {
+  var scale = desc.scale || 1;
+  var offset = desc.offset || 0;
+
+  return {
+    format: function( value ) {
+      return value * scale + offset;
+    },
+    unformat: function( formatted ) {
+      return Math.round( ( Number( formatted ) - offset ) / scale );
+    }
+  };
+}
+
+/**
+ * Creates a codec for a value made up of bitfields
+ *
+ * @param  {Array} fields  bitfield descriptions
+ * @param  {object} schema the map schema
+ * @param  {string} name   name of the register
+ * @return {object}        codec
+ */
+function fieldsCodec( fields, schema, name ) {
+
+  var codecs = fields.map( function( field ) {
+    var codec = ( field.width === 1 && !field.enum ) ?
+      BOOLEAN : createCodec( field, schema );
+
+    return {
+      name: field.name,
+      units: field.units,
+      shift: field.shift,
+      mask: ( 1 << field.width ) - 1,
+      codec: codec || scaleCodec( {} )
+    };
+  });
+
+  // converts a field back to its raw value, which must fit in the field
+  var unformatField = function( c, formatted ) {
+    var raw = c.codec.unformat( formatted );
+
+    if( isNaN( raw ) || raw < 0 || raw > c.mask ) {
+      throw new errors.ValidationError( c.name + ' must be from ' + c.codec.format( 0 ) + ' to ' +
+        c.codec.format( c.mask ) + ( c.units ? ' ' + c.units : '' ), c.name, formatted );
+    }
+
+    return raw;
+  };
+
+  return {
+    format: function( value ) {
+      var result = {};
+
+      codecs.forEach( function( c ) {
+        result[ c.name ] = c.codec.format( ( value >> c.shift ) & c.mask );
+      });
+
+      return result;
+    },
+
+    // fields that are left out are 0; a number is taken as the raw value
+    unformat: function( formatted ) {
+      if( 'number' === typeof( formatted )) {
+        return formatted;
+      }
+
+      if( !formatted || 'object' !== typeof( formatted )) {
+        throw new errors.ValidationError( name + ' must be an object like { ' +
+          codecs.map( function( c ) { return c.name; }).join( ', ' ) + ' }, not ' +
+          JSON.stringify( formatted ), name, formatted );
+      }
+
+      return codecs.reduce( function( value, c ) {
+        var raw = ( c.name in formatted ) ? unformatField( c, formatted[ c.name ] ) : 0;
+
+        return value | ( raw << c.shift );
+      }, 0 );
+    }
+  };
+}
+
+/**
+ * Creates the codec for a register or field
+ *
+ * @param  {object} desc   register or field description
+ * @param  {object} schema the map schema
+ * @return {object}        codec, or null if the value is not converted
+ */
+function createCodec( desc, schema ) {
+  var named = schema.formats && schema.formats[ desc.format ];
+
+  if( named ) {
+    return createCodec( Object.assign( {}, named, desc, { format: named.format } ), schema );
+  }
+  else if( desc.fields ) {
+    return fieldsCodec( desc.fields, schema, desc.name );
+  }
+  else if( desc.enum ) {
+    return enumCodec( desc );
+  }
+  else if( desc.format === 'hex' ) {
+    return hexCodec( REGISTER_LENGTH[ desc.type || 'uint16' ] * 4 );
+  }
+  else if( desc.format === 'bits' ) {
+    return BITS;
+  }
+  else if( desc.format ) {
+    throw new Error( 'Unknown format ' + desc.format + ' for ' + desc.name );
+  }
+  else if( 'scale' in desc || 'offset' in desc ) {
+    return scaleCodec( desc );
+  }
+
+  return null;
+}
+
+
+//------------------------------------//---------------------------------------
+// Holding registers
+
+/**
+ * Creates the Register for a holding register
+ *
+ * @param  {object} desc   register description
+ * @param  {number} addr   register address
+ * @param  {object} schema the map schema
+ * @return {Register}      the register
+ */
+function createRegister( desc, addr, schema ) {
+  var codec = createCodec( desc, schema );
+  var type = desc.type || 'uint16';
+  var littleEndian = ( desc.endian === 'little' );
+
+  if( !REGISTER_LENGTH[ type ] ) {
+    throw new Error( 'Unknown register type ' + type + ' for ' + desc.name );
+  }
+
+  return new Register( {
+    name: desc.name,
+    title: desc.title,
+    addr: addr,
+    type: type,
+    length: REGISTER_LENGTH[ type ],
+    units: desc.units,
+    min: toNumber( desc.min ),
+    max: toNumber( desc.max ),
+    step: desc.step,
+    mask: toNumber( desc.mask ),
+    readOnly: desc.readOnly,
+    format: codec && codec.format,
+    unformat: codec && codec.unformat,
+
+    fromBuffer: function( buf ) {
+      var reader = new buffers.BufferReader( buf );
+
+      this.set( reader[ 'shift' + ACCESSORS[ type ] ]( littleEndian ));
+    },
+
+    toBuffer: function() {
+      var builder = new buffers.BufferBuilder();
+
+      if( this.readOnly ) {
+        throw new Error( this.title + ' is read-only' );
+      }
+
+      builder[ 'push' + ACCESSORS[ type ] ]( this.value, littleEndian );
+
+      return builder.toBuffer();
+    }
+  });
+}
+
+/**
+ * Creates the registers in a bank, and a Register for the whole bank
+ *
+ * @param  {object} desc   bank description
+ * @param  {object} schema the map schema
+ * @param  {object} map    the map the registers are added to
+ * @return {Register}      the bank
+ */
+function createBank( desc, schema, map ) {
+  var addr = toNumber( desc.addr );
+  var offset = 0;
+
+  var registers = desc.registers.map( function( regDesc ) {
+    var reg = createRegister( Object.assign( { readOnly: desc.readOnly }, regDesc ),
+      addr + offset, schema );
+
+    reg.offset = offset;
+    offset += reg.length;
+    map[ regDesc.name ] = reg;
+
+    return reg;
+  });
+
+  // the key (name or position) of each register in the formatted bank
+  var key = function( reg, index ) {
+    return desc.list ? index : reg.name;
+  };
+
+  var bank = new Register( {
+    name: desc.name,
+    title: desc.title,
+    addr: addr,
+    length: desc.length || offset,
+    readOnly: desc.readOnly,
+
+    // each register is checked as it is unformatted
+    validate: function() {},
+
+    fromBuffer: function( buf ) {
+      registers.forEach( function( reg ) {
+        reg.fromBuffer( buf.slice( reg.offset * 2, ( reg.offset + reg.length ) * 2 ));
+      });
+    },
+
+    format: function() {
+      var result = desc.list ? [] : {};
+
+      registers.forEach( function( reg, index ) {
+        result[ key( reg, index ) ] = reg.format();
+      });
+
+      return result;
+    },
+
+    // checks every register in the formatted value, without changing any
+    check: function( formatted ) {
+      registers.forEach( function( reg, index ) {
+        if( formatted[ key( reg, index ) ] !== undefined ) {
+          reg.check( formatted[ key( reg, index ) ] );
+        }
+      });
+
+      return formatted;
+    },
+
+    // registers missing from the formatted value keep their current value;
+    // none are changed unless all of the given values are valid
+    unformat: function( formatted ) {
+      this.check( formatted );
+
+      registers.forEach( function( reg, index ) {
+        if( formatted[ key( reg, index ) ] !== undefined ) {
+          reg.unformat( formatted[ key( reg, index ) ] );
+        }
+      });
+
+      return formatted;
+    },
+
+    toBuffer: function() {
+      return Buffer.concat( registers.map( function( reg ) { return reg.toBuffer(); } ));
+    }
+  });
+
+  /**
+   * Lists the registers a formatted value leaves out
+   *
+   * @param  {object} formatted the value, as it would be passed to unformat
+   * @return {Array}            names of the registers that are not given
+   */
+  bank.missing = function( formatted ) {
+    return registers.filter( function( reg, index ) {
+      return formatted[ key( reg, index ) ] === undefined;
+    })
+    .map( function( reg ) { return reg.name; });
+  };
+
+  return bank;
+}
+
+
+//------------------------------------//---------------------------------------
+// Objects
+
+// Readers for object field types that are not plain numbers
+var FIELD_READERS = {
+  bytes: function( reader, length ) {
+    return reader.shiftBytes( length );
+  },
+
+  mac: function( reader, length ) {
+    return reader.shiftBytes( length || 8 ).map( function( b ) {
+      return zeroPad( b.toString(16), 2 );
+    }).join(':');
+  },
+
+  shortAddress: function( reader, length, littleEndian ) {
+    return zeroPad( reader.shiftUInt16( littleEndian ).toString(16), 4 );
+  }
+};
+
+/**
+ * Creates a function that reads one field of an object
+ *
+ * @param  {object} desc         field description
+ * @param  {boolean} littleEndian default byte order of the object
+ * @param  {object} schema       the map schema
+ * @return {Function}            function( reader ) returning the value
+ */
+function createField( desc, littleEndian, schema ) {
+  var type = desc.type || 'uint8';
+  var codec = createCodec( desc, schema );
+  var shift = FIELD_READERS[ type ];
+
+  if( desc.endian ) {
+    littleEndian = ( desc.endian === 'little' );
+  }
+
+  if( !shift && ACCESSORS[ type ] ) {
+    shift = function( reader, length, littleEndian ) {
+      return reader[ 'shift' + ACCESSORS[ type ] ]( littleEndian );
+    };
+  }
+  else if( !shift ) {
+    throw new Error( 'Unknown field type ' + type + ' for ' + desc.name );
+  }
+
+  return function( reader ) {
+    var raw = shift( reader, desc.length, littleEndian );
+
+    return codec ? codec.format( raw ) : raw;
+  };
+}
+
+/**
+ * Checks whether a table entry satisfies the object's 'where' conditions
+ *
+ * @param  {object} where conditions, keyed by field path
+ * @param  {object} entry the decoded entry
+ * @return {boolean}      true if the entry should be kept
+ */
+function matches( where, entry ) {
+  return Object.keys( where || {} ).every( function( fieldPath ) {
+    var condition = where[ fieldPath ];
+    var value = fieldPath.split('.').reduce( function( obj, name ) {
+      return obj && obj[ name ];
+    }, entry );
+
+    if( Array.isArray( condition )) {
+      return value >= condition[0] && value <= condition[1];
+    }
+
+    return value === condition;
+  });
+}
+
+/**
+ * Creates the Register for an object
+ *
+ * @param  {object} desc     object description
+ * @param  {object} schema   the map schema
+ * @param  {object} decoders custom decoders, keyed by name
+ * @return {Register}        the object
+ */
+function createObject( desc, schema, decoders ) {
+  var options = {
+    name: desc.name,
+    title: desc.title,
+    addr: desc.id,
+    type: 'object',
+    format: function( value ) { return value; }
+  };
+
+  if( desc.decoder ) {
+    if( !decoders || !decoders[ desc.decoder ] ) {
+      throw new Error( 'Unknown decoder ' + desc.decoder + ' for ' + desc.name );
+    }
+
+    return new Register( Object.assign( options, decoders[ desc.decoder ] ));
+  }
+
+  var littleEndian = ( ( desc.endian || schema.endian ) === 'little' );
+  var fields = desc.fields.map( function( field ) {
+    return { name: field.name, read: createField( field, littleEndian, schema ) };
+  });
+
+  var decode = function( buf ) {
+    var reader = new buffers.BufferReader( buf );
+    var result = {};
+
+    fields.forEach( function( field ) { result[ field.name ] = field.read( reader ); });
+
+    return result;
+  };
+
+  options.fromBuffer = function( buf ) {
+    var entries = [];
+
+    if( !desc.entrySize ) {
+      this.value = decode( buf );
+      return;
+    }
+
+    for( var i = 0; i + desc.entrySize <= buf.length; i += desc.entrySize ) {
+      entries.push( decode( buf.slice( i, i + desc.entrySize )));
+    }
+
+    this.value = entries.filter( function( entry ) { return matches( desc.where, entry ); });
+  };
+
+  return new Register( options );
+}
+
+
+//------------------------------------//---------------------------------------
+// Loading
+
+/**
+ * Builds a register map from a schema
+ *
+ * @param  {object} schema   the map description
+ * @param  {object} decoders custom object decoders, keyed by name
+ * @return {object}          Registers keyed by name
+ */
+function load( schema, decoders ) {
+  var map = {};
+
+  // keep the description, without listing it among the registers
+  Object.defineProperty( map, 'schema', { value: schema } );
+
+  ( schema.banks || [] ).forEach( function( bank ) {
+    map[ bank.name ] = createBank( bank, schema, map );
+  });
+
+  ( schema.objects || [] ).forEach( function( object ) {
+    map[ object.name ] = createObject( object, schema, decoders );
+  });
+
+  return map;
+}
+
+/**
+ * Parses the text of a schema
+ *
+ * @param  {string} text the schema
+ * @param  {string} type 'json' (default) or 'yaml'
+ * @return {object}      the schema
+ */
+function parse( text, type ) {
+  if( type === 'yaml' ) {
+    return require('js-yaml').safeLoad( text );
+  }
+
+  return JSON.parse( text );
+}
+
+/**
+ * Builds a register map from a schema file (.json, .yaml or .yml)
+ *
+ * @param  {string} file     the name of the file
+ * @param  {object} decoders custom object decoders, keyed by name
+ * @return {object}          Registers keyed by name
+ */
+function loadFile( file, decoders ) {
+  var ext = path.extname( file ).toLowerCase();
+  var type = ( ext === '.yaml' || ext === '.yml' ) ? 'yaml' : 'json';
+
+  return load( parse( fs.readFileSync( file, 'utf8' ), type ), decoders );
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  load: load,
+  loadFile: loadFile,
+  parse: parse
+};
@@ -0,0 +1,238 @@
+/**
+ * Pairs an ACN device with a new remote, and reports how it goes
+ *
+ * The procedure is:
+ *   - the connection table is read, to know which devices were already
+ *     paired
+ *   - the pair command starts pairing
+ *   - systemState and the connection table are polled until a new device
+ *     appears in the table, the device leaves the Pairing state (its
+ *     pairingTimeout ran out with nobody joining), or the session times
+ *     out.  Unless a timeout is given, the session waits for the device's
+ *     pairingTimeout register plus a second, so that the device's own
+ *     timeout is seen first.
+ *   - the device may take a moment to enter the Pairing state after the
+ *     pair command, so a different state only ends the session once
+ *     Pairing has been seen, or if the device has not entered it within
+ *     startTimeout.
+ *
+ * Cancelling the session stops the polling; the device itself stays in
+ * the Pairing state until its pairingTimeout runs out.
+ *
+ * Events:
+ *   progress ({state, elapsed, timeout})  pairing is still in progress;
+ *                                         elapsed and timeout are in ms
+ *   paired (device)                       a device joined: {macAddress,
+ *                                         shortAddress, panId}
+ *   failed (err)                          no device joined
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// Promise library
+var Promise = require('bluebird');
+
+// Errors reported by AcnPort
+var errors = require('./errors');
+
+// Default milliseconds between polls of the device
+var POLL_INTERVAL = 500;
+
+// Milliseconds added to the device's pairingTimeout
+var GRACE = 1000;
+
+// Default milliseconds the device has to enter the Pairing state
+var START_TIMEOUT = 2000;
+
+// systemState while the device is pairing
+var PAIRING = 'Pairing';
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {AcnPort} port the port the device is connected to
+ * @param {object} options optional settings:
+ *   pollInterval: milliseconds between polls (default 500)
+ *   timeout: milliseconds to wait for a device to join, once pairing has
+ *     started (default: the device's pairingTimeout, plus a second)
+ *   startTimeout: milliseconds the device has to enter the Pairing state
+ *     after the pair command (default 2000)
+ */
+function PairingSession( port, options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  me.port = port;
+  me.pollInterval = options.pollInterval || POLL_INTERVAL;
+  me.timeout = options.timeout || null;
+  me.startTimeout = options.startTimeout || START_TIMEOUT;
+
+  me.running = false;
+
+  // whether the device has been seen in the Pairing state
+  me.pairing = false;
+  me.timer = null;
+
+  // MAC addresses of the devices that were paired before the session
+  me.known = [];
+
+  // ends the session; set by start()
+  me.settle = null;
+}
+
+// This object can emit events.
+util.inherits( PairingSession, EventEmitter );
+
+/**
+ * Starts pairing
+ *
+ * @return {Promise} resolves with the device that joined ({macAddress,
+ *   shortAddress, panId}), or rejects if none did: with a TimeoutError if
+ *   the session timed out, or a CancelledError if it was cancelled
+ */
+PairingSession.prototype.start = function() {
+  var me = this;
+
+  if( me.running ) {
+    return Promise.reject( new Error( 'Pairing is already in progress' ));
+  }
+
+  me.running = true;
+  me.pairing = false;
+
+  var result = new Promise( function( resolve, reject ) {
+    me.settle = function( err, device ) {
+      if( !me.running ) {
+        return;
+      }
+
+      me.running = false;
+      clearTimeout( me.timer );
+
+      if( err ) {
+        me.emit( 'failed', err );
+        reject( err );
+      }
+      else {
+        me.emit( 'paired', device );
+        resolve( device );
+      }
+    };
+  });
+
+  me.port.getConnections()
+    .then( function( connections ) {
+      me.known = connections.map( function( connection ) { return connection.address; });
+
+      return me.timeout || me.port.read( 'pairingTimeout' ).then( function( reg ) {
+        return reg.value * 1000 + GRACE;
+      });
+    })
+    .then( function( timeout ) {
+      return me.running && me.port.pair()
+        .then( function() {
+          me.started = Date.now();
+          me.deadline = me.started + timeout;
+          me.poll();
+        });
+    })
+    .catch( function( err ) {
+      me.settle( err );
+    });
+
+  return result;
+};
+
+/**
+ * Stops waiting for a device to join.  The session fails with a
+ * CancelledError.
+ */
+PairingSession.prototype.cancel = function() {
+  if( this.running ) {
+    this.settle( new errors.CancelledError( 'Pairing was cancelled' ));
+  }
+};
+
+/**
+ * Reads the device's state and connection table, then checks them
+ */
+PairingSession.prototype.poll = function() {
+  var me = this;
+  var state;
+
+  if( !me.running ) {
+    return;
+  }
+
+  me.port.read( 'systemState' )
+    .then( function( reg ) {
+      state = reg.format();
+
+      return me.port.getConnections();
+    })
+    .then( function( connections ) {
+      me.check( state, connections );
+    })
+    .catch( function( err ) {
+      me.settle( err );
+    });
+};
+
+/**
+ * Ends the session if a device joined or pairing is over, otherwise
+ * reports progress and polls again
+ *
+ * @param {string} state       the device's systemState
+ * @param {Array} connections  the device's connection table
+ */
+PairingSession.prototype.check = function( state, connections ) {
+  var me = this;
+  var now = Date.now();
+
+  var joined = connections.filter( function( connection ) {
+    return me.known.indexOf( connection.address ) === -1;
+  })[0];
+
+  me.pairing = me.pairing || state === PAIRING;
+
+  if( joined ) {
+    me.settle( null, {
+      macAddress: joined.address,
+      shortAddress: joined.altAddress,
+      panId: joined.panId
+    });
+  }
+  else if( state !== PAIRING && me.pairing ) {
+    me.settle( new Error( 'Pairing ended without a device joining (state ' + state + ')' ));
+  }
+  else if( state !== PAIRING && now >= me.started + me.startTimeout ) {
+    me.settle( new Error( 'The device did not start pairing (state ' + state + ')' ));
+  }
+  else if( now >= me.deadline ) {
+    me.settle( new errors.TimeoutError( 'No device joined within ' + ( me.deadline - me.started ) + ' ms' ));
+  }
+  else if( me.running ) {
+    me.emit( 'progress', { state: state, elapsed: now - me.started, timeout: me.deadline - me.started } );
+
+    me.timer = setTimeout( function() { me.poll(); }, me.pollInterval );
+  }
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = PairingSession;
@@ -0,0 +1,273 @@
+/**
+ * Records ACN telemetry for later review
+ *
+ * Every value passed to record() is stored with the time it was received,
+ * the device it came from (usually its serial number) and the register (or
+ * other source) it was read from.  The records can be kept in
+ *   jsonl:  an append-only file with one JSON object per line
+ *   csv:    an append-only CSV file
+ *   sqlite: a SQLite database (needs the optional sqlite3 package)
+ *
+ * Old records are removed when they are older than maxAge or when there
+ * are more than maxRecords of them; this is checked when the recorder is
+ * opened and every pruneInterval milliseconds after that.
+ *
+ * query() returns the records for a device, register and time range, for
+ * example to draw a history chart.
+ *
+ * Events:
+ *   error (err)  a record could not be stored (only emitted if there is a
+ *                listener)
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// Promise library
+var Promise = require('bluebird');
+
+// Storage backends
+var stores = require('./recorders');
+
+
+/**
+ * Converts a time to milliseconds since 1970
+ *
+ * @param  {Date|number|string} time a Date, ms, or a string of ms or a date
+ * @return {number}                  the time, or NaN if it is not valid
+ */
+function toTime( time ) {
+  if( time instanceof Date ) {
+    return time.getTime();
+  }
+
+  if( 'string' === typeof( time ) && !/^\s*-?\d+(\.\d+)?\s*$/.test( time )) {
+    return Date.parse( time );
+  }
+
+  return Number( time );
+}
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {object} options settings:
+ *   type: 'jsonl', 'csv' or 'sqlite' (default 'jsonl')
+ *   file: name of the file or database
+ *   maxAge: milliseconds to keep records (default: no limit)
+ *   maxRecords: number of records to keep (default: no limit)
+ *   pruneInterval: milliseconds between checks for old records
+ *     (default 60000)
+ */
+function Recorder( options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  var type = options.type || 'jsonl';
+
+  if( !stores[ type ] ) {
+    throw new Error( 'Unknown recorder type: ' + type );
+  }
+
+  me.store = stores[ type ]( options );
+  me.maxAge = options.maxAge || 0;
+  me.maxRecords = options.maxRecords || 0;
+  me.pruneInterval = options.pruneInterval || 60000;
+
+  me.timer = null;
+
+  // the sensor streams being recorded, with their listeners
+  me.streams = [];
+}
+
+// This object can emit events.
+util.inherits( Recorder, EventEmitter );
+
+/**
+ * Opens the file or database and starts removing old records
+ *
+ * @return {Promise} resolves when the recorder is ready
+ */
+Recorder.prototype.open = function() {
+  var me = this;
+
+  return me.store.open()
+    .then( function() { return me.prune(); })
+    .then( function() {
+      if( me.maxAge || me.maxRecords ) {
+        me.timer = setInterval( function() {
+          me.prune().catch( function( err ) { me.fail( err ); });
+        }, me.pruneInterval );
+
+        // don't keep the process running just to prune
+        me.timer.unref();
+      }
+    });
+};
+
+/**
+ * Stores a value
+ *
+ * @param  {string} device   the device the value came from
+ * @param  {string} register the register or data item
+ * @param  {any} value       the value (anything JSON can represent)
+ * @param  {number} time     milliseconds since 1970 (default: now)
+ * @return {Promise}         resolves when the value is stored
+ */
+Recorder.prototype.record = function( device, register, value, time ) {
+  var me = this;
+
+  var record = {
+    time: time || Date.now(),
+    device: device,
+    register: register,
+    value: value
+  };
+
+  return me.store.append( [ record ] )
+    .catch( function( err ) {
+      me.fail( err );
+      throw err;
+    });
+};
+
+/**
+ * Finds stored values
+ *
+ * @param  {object} filter optional conditions:
+ *   device: only this device
+ *   register: only this register
+ *   from: only values recorded at or after this time (a Date, ms since
+ *     1970, or a string of either ms or a date like '2017-03-01T12:00')
+ *   to: only values recorded at or before this time (likewise)
+ *   limit: only the most recent limit values
+ * @return {Promise}       resolves with the records ({time, device,
+ *                         register, value}), oldest first
+ */
+Recorder.prototype.query = function( filter ) {
+  filter = Object.assign( {}, filter );
+
+  var invalid = [ 'from', 'to' ].filter( function( key ) {
+    if( filter[ key ] === undefined || filter[ key ] === null || filter[ key ] === '' ) {
+      delete filter[ key ];
+      return false;
+    }
+
+    filter[ key ] = toTime( filter[ key ] );
+
+    return isNaN( filter[ key ] );
+  });
+
+  if( invalid.length > 0 ) {
+    return Promise.reject( new Error( 'Invalid time for ' + invalid.join( ' and ' )));
+  }
+
+  return this.store.query( filter );
+};
+
+/**
+ * Removes records that are older than maxAge or beyond maxRecords
+ *
+ * @return {Promise} resolves with the number of records removed
+ */
+Recorder.prototype.prune = function() {
+  if( !this.maxAge && !this.maxRecords ) {
+    return Promise.resolve( 0 );
+  }
+
+  return this.store.prune( this.maxAge, this.maxRecords );
+};
+
+/**
+ * Records the packets delivered by a sensor stream
+ *
+ * Each packet is stored under the register 'sensorData'.  Unless a device
+ * is given, packets are recorded under the serial number of the controller
+ * that sent them, or the network address if there is none.
+ *
+ * @param  {SensorStream} stream the stream (see AcnPort.sensorStream)
+ * @param  {string} device       device name to record under (optional)
+ * @return {Recorder}            this object
+ */
+Recorder.prototype.watch = function( stream, device ) {
+  var me = this;
+
+  var listener = function( msg ) {
+    var from = device || ( msg.packet && msg.packet.serial ) || msg.from;
+
+    me.record( from, 'sensorData', msg ).catch( function() {} );
+  };
+
+  stream.on( 'data', listener );
+  me.streams.push( { stream: stream, listener: listener } );
+
+  return me;
+};
+
+/**
+ * Stops recording the packets from a sensor stream
+ *
+ * @param {SensorStream} stream the stream
+ */
+Recorder.prototype.unwatch = function( stream ) {
+  this.streams = this.streams.filter( function( watched ) {
+    if( watched.stream === stream ) {
+      stream.removeListener( 'data', watched.listener );
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Reports an error to our listeners, if there are any
+ *
+ * @param {Error} err the error
+ */
+Recorder.prototype.fail = function( err ) {
+  if( this.listeners( 'error' ).length > 0 ) {
+    this.emit( 'error', err );
+  }
+};
+
+/**
+ * Stops recording and closes the file or database
+ *
+ * @return {Promise} resolves when it is closed
+ */
+Recorder.prototype.close = function() {
+  var me = this;
+
+  if( me.timer ) {
+    clearInterval( me.timer );
+    me.timer = null;
+  }
+
+  me.streams.slice().forEach( function( watched ) { me.unwatch( watched.stream ); });
+
+  return me.store.close();
+};
+
+
+/**
+ * Storage backends, keyed by type.  Applications can add their own.
+ *
+ * @ignore
+ */
+Recorder.stores = stores;
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = Recorder;
@@ -7,13 +7,33 @@
  */
 'use strict';
 
+// Errors reported by AcnPort
+var errors = require('./errors');
+
+// Length (in 16-bit registers) and range of each type
 var types = {
   'uint16': {
-    length: 1
+    length: 1,
+    min: 0,
+    max: 0xFFFF
+  },
+
+  'int16': {
+    length: 1,
+    min: -0x8000,
+    max: 0x7FFF
   },
 
   'uint32' : {
-    length: 2
+    length: 2,
+    min: 0,
+    max: 0xFFFFFFFF
+  },
+
+  'int32' : {
+    length: 2,
+    min: -0x80000000,
+    max: 0x7FFFFFFF
   },
 
   'object': {
@@ -24,6 +44,23 @@ var types = {
 }
 
 
+/**
+ * Sets the constraints on a register's raw value (see validate)
+ *
+ * min and max default to the range of the register's type.
+ *
+ * @param {Register} reg    the register
+ * @param {object} options  min, max, step and mask
+ */
+function setConstraints( reg, options ) {
+  var range = types[ reg.type ];
+
+  reg.min = ( 'undefined' === typeof( options.min )) ? range.min : options.min;
+  reg.max = ( 'undefined' === typeof( options.max )) ? range.max : options.max;
+  reg.step = options.step;
+  reg.mask = options.mask;
+}
+
 // Constructor for Item object
 function Register( options ) {
 
@@ -34,15 +71,18 @@ function Register( options ) {
   this.length = options.length || types[this.type].length;
 
   this.value = options.value || 0;
-  this.min = options.min || 0;
-  this.max = options.max || 255;
+  setConstraints( this, options );
   this.fnFormat = options.format || null;
   this.fnUnformat = options.unformat || null;
   this.title = options.title || 'Reg: ' + this.addr;
+  this.name = options.name || '';
   this.units = options.units || '';
+  this.readOnly = options.readOnly || false;
 
   this.fromBuffer = options.fromBuffer || this.fromBuffer;
   this.toBuffer = options.toBuffer || this.toBuffer;
+  this.validate = options.validate || this.validate;
+  this.check = options.check || this.check;
 }
 
 Register.prototype.set = function( value ) {
@@ -108,11 +148,75 @@ Register.prototype.format = function() {
  */
 Register.prototype.unformat = function( formatted ) {
 
-  if( this.fnUnformat ) {
-    this.value = this.fnUnformat( formatted );
+  var value = this.fnUnformat ? this.fnUnformat( formatted ) : formatted;
+
+  this.validate( value );
+  this.set( value );
+
+};
+
+/**
+ * Checks a format()ted value without changing the register
+ *
+ * @param  {any} formatted the value, as it would be passed to unformat
+ * @return {any}           the raw value
+ * @throws {ValidationError} if the value is not allowed
+ */
+Register.prototype.check = function( formatted ) {
+
+  var value = this.fnUnformat ? this.fnUnformat( formatted ) : formatted;
+
+  this.validate( value );
+
+  return value;
+
+};
+
+/**
+ * Checks a raw value against the register's constraints
+ *
+ * The value must be a whole number from min to max (by default, the range
+ * of the register's type).  If step is set, it must be min plus a multiple
+ * of step, and if mask is set, it may only use the bits in the mask.
+ * Registers without a range (like objects) are not checked.
+ *
+ * @param  {number} value the raw value
+ * @throws {ValidationError} if the value is not allowed
+ */
+Register.prototype.validate = function( value ) {
+
+  var me = this;
+
+  // shows a raw value the way the user sees it, when that is a simple value
+  var show = function( raw ) {
+    var formatted = me.fnFormat ? me.fnFormat( raw ) : raw;
+
+    return ( 'object' === typeof( formatted )) ? raw : formatted;
+  };
+
+  var fail = function( reason ) {
+    throw new errors.ValidationError( me.title + ' ' + reason, me.name, value );
+  };
+
+  if( 'undefined' === typeof( me.min )) {
+    return;
   }
-  else {
-    this.set( formatted );
+
+  if( 'number' !== typeof( value ) || value % 1 !== 0 ) {
+    fail( 'must be a whole number, not ' + JSON.stringify( value ));
+  }
+
+  if( value < me.min || value > me.max ) {
+    fail( 'must be from ' + show( me.min ) + ' to ' + show( me.max ) +
+      ( me.units ? ' ' + me.units : '' ));
+  }
+
+  if( me.step && ( value - me.min ) % me.step !== 0 ) {
+    fail( 'must be ' + show( me.min ) + ' plus a multiple of ' + me.step );
+  }
+
+  if( 'number' === typeof( me.mask ) && ( value & ~me.mask ) !== 0 ) {
+    fail( 'may only use the bits in 0x' + me.mask.toString( 16 ));
   }
 
 };
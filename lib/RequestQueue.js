@@ -0,0 +1,251 @@
+/**
+ * Sends MODBUS requests on behalf of AcnPort
+ *
+ * Every request the port makes goes through this queue, so timeouts,
+ * retries and error decoding (see errors.js) behave the same way for all
+ * of them.  The queue holds requests until the master is free, and sends
+ * higher-priority requests first.
+ *
+ * Options for each request:
+ *   timeout: milliseconds to wait for the response (default: the master's
+ *     defaultTimeout)
+ *   retries: number of times the request is repeated if it times out, the
+ *     response is invalid, or the device is busy (default: the queue's
+ *     retries option)
+ *   priority: requests with a higher number are sent first (default 0)
+ *   signal: an AbortSignal (or any EventEmitter with an 'aborted'
+ *     property that emits 'abort') used to cancel the request.  The
+ *     promise is rejected with a CancelledError.
+ */
+'use strict';
+
+// Promise library
+var Promise = require('bluebird');
+
+// Errors reported by the port
+var errors = require('./errors');
+
+
+/**
+ * Checks whether a failed request is worth repeating
+ *
+ * @param  {AcnError} err the error
+ * @return {boolean}      true if the request may succeed if repeated
+ */
+function isRetryable( err ) {
+  return err instanceof errors.TimeoutError ||
+    err instanceof errors.InvalidResponseError ||
+    err instanceof errors.DeviceBusyError;
+}
+
+/**
+ * Calls listener when a cancellation signal is raised
+ *
+ * @param  {object} signal     AbortSignal or EventEmitter (optional)
+ * @param  {Function} listener called when the signal is raised
+ * @return {Function}          removes the listener
+ */
+function onAbort( signal, listener ) {
+  if( !signal ) {
+    return function() {};
+  }
+
+  if( 'function' === typeof( signal.addEventListener )) {
+    signal.addEventListener( 'abort', listener );
+
+    return function() { signal.removeEventListener( 'abort', listener ); };
+  }
+
+  signal.once( 'abort', listener );
+
+  return function() { signal.removeListener( 'abort', listener ); };
+}
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {object} master  the MODBUS master that sends the requests
+ * @param {object} options optional settings:
+ *   concurrency: number of requests sent at the same time (default 1)
+ *   retries: default number of retries for each request (default 0)
+ */
+function RequestQueue( master, options ) {
+  var me = this;
+
+  options = options || {};
+
+  me.master = master;
+  me.concurrency = options.concurrency || 1;
+  me.retries = options.retries || 0;
+
+  // requests waiting to be sent, highest priority first
+  me.queue = [];
+
+  // number of requests sent to the master that have not completed
+  me.active = 0;
+}
+
+/**
+ * Queues a request
+ *
+ * @param  {string} method  name of the master's method (eg 'readObject')
+ * @param  {Array} args     arguments for the method, except the options
+ * @param  {object} options request options (see above)
+ * @return {Promise}        resolves with the response from the device
+ */
+RequestQueue.prototype.request = function( method, args, options ) {
+  var me = this;
+
+  options = options || {};
+
+  return new Promise( function( resolve, reject ) {
+
+    if( options.signal && options.signal.aborted ) {
+      throw new errors.CancelledError();
+    }
+
+    var entry = {
+      method: method,
+      args: args,
+      timeout: options.timeout,
+      retries: ( 'retries' in options ) ? options.retries : me.retries,
+      priority: options.priority || 0,
+      attempts: 0,
+      transaction: null,
+      done: false,
+      resolve: resolve,
+      reject: reject
+    };
+
+    entry.unsubscribe = onAbort( options.signal, function() { me.cancel( entry ); } );
+
+    me.enqueue( entry );
+    me.next();
+  });
+};
+
+/**
+ * Adds a request to the queue, after others of the same priority
+ *
+ * @param {object} entry the request
+ */
+RequestQueue.prototype.enqueue = function( entry ) {
+  var index = 0;
+
+  while( index < this.queue.length && this.queue[ index ].priority >= entry.priority ) {
+    index++;
+  }
+
+  this.queue.splice( index, 0, entry );
+};
+
+/**
+ * Sends queued requests while the master has room for them
+ */
+RequestQueue.prototype.next = function() {
+  while( this.active < this.concurrency && this.queue.length > 0 ) {
+    this.active++;
+    this.send( this.queue.shift() );
+  }
+};
+
+/**
+ * Sends a request to the master
+ *
+ * @param {object} entry the request
+ */
+RequestQueue.prototype.send = function( entry ) {
+  var me = this;
+
+  entry.attempts++;
+
+  var transaction = me.master[ entry.method ].apply( me.master, entry.args.concat( [ {
+    timeout: entry.timeout,
+
+    // retries are handled here, so they can include busy responses
+    maxRetries: 0,
+
+    onComplete: function( err, response ) {
+      me.complete( entry, transaction, err, response );
+    }
+  } ] ));
+
+  entry.transaction = transaction;
+};
+
+/**
+ * Handles the completion of a request's transaction
+ *
+ * @param {object} entry            the request
+ * @param {Transaction} transaction the transaction that completed
+ * @param {Error} err               error reported by the master, if any
+ * @param {object} response         response from the device, if any
+ */
+RequestQueue.prototype.complete = function( entry, transaction, err, response ) {
+  var error = errors.fromModbus( err, response, transaction.getRequest(), this.master.isConnected() );
+
+  if( error && !entry.done && isRetryable( error ) && entry.attempts <= entry.retries ) {
+    this.send( entry );
+    return;
+  }
+
+  this.active--;
+  this.finish( entry, error, response );
+  this.next();
+};
+
+/**
+ * Settles a request's promise, unless it was already cancelled
+ *
+ * @param {object} entry    the request
+ * @param {AcnError} error  the error, or null on success
+ * @param {object} response the response from the device
+ */
+RequestQueue.prototype.finish = function( entry, error, response ) {
+  if( entry.done ) {
+    return;
+  }
+
+  entry.done = true;
+  entry.unsubscribe();
+
+  if( error ) {
+    entry.reject( error );
+  }
+  else {
+    entry.resolve( response );
+  }
+};
+
+/**
+ * Cancels a request
+ *
+ * A request that is still queued is removed; one that was already sent is
+ * cancelled in the master, and holds its place until its transaction ends.
+ *
+ * @param {object} entry the request
+ */
+RequestQueue.prototype.cancel = function( entry ) {
+  var index = this.queue.indexOf( entry );
+
+  if( index > -1 ) {
+    this.queue.splice( index, 1 );
+  }
+  else if( entry.transaction ) {
+    entry.transaction.cancel();
+  }
+
+  this.finish( entry, new errors.CancelledError( null,
+    entry.transaction ? entry.transaction.getRequest() : null ));
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = RequestQueue;
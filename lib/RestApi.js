@@ -0,0 +1,440 @@
+/**
+ * HTTP JSON interface to an ACN device
+ *
+ * Routes:
+ *   GET  /device               identity of the device (see getSlaveId)
+ *   GET  /registers/:name      read a register or bank
+ *   PUT  /registers/:name      write a register or bank; the body is
+ *                              { "value": ... } in the formatted form that
+ *                              GET returns
+ *   GET  /objects/:name        read an object, like networkStatus
+ *   POST /commands/pair        start pairing
+ *   POST /commands/clear       clear the network configuration
+ *   POST /commands/reset       reset the device
+ *   POST /commands/unlock      unlock the factory areas
+ *   POST /commands/scan        scan the channels; body { type, duration }
+ *   POST /commands/ping        ping a remote station; body { address }
+ *
+ * Other paths are left to the caller (handle() returns false).  Names are
+ * checked against the register map of the connected firmware, and values
+ * are checked before anything is sent to the device.
+ *
+ * If an Auth object is given, every request must carry the credentials of
+ * a user or token (see Auth.js) whose role allows the action: GET is
+ * 'read', PUT is 'write' and each command is its own action.
+ *
+ * Successful requests answer 200 with { "result": ... }.  Errors answer
+ * with { "error": { name, message } } (plus code and exception for MODBUS
+ * exceptions) and a status that reflects the cause:
+ *   400 the request is not valid (bad JSON, value or parameter)
+ *   401 credentials are missing or wrong
+ *   403 the user's role does not allow the action
+ *   404 unknown register, object or command
+ *   405 the path does not support the method
+ *   502 the device answered with an exception or a corrupt response
+ *   503 the port is disconnected
+ *   504 the device did not answer
+ *   500 anything else
+ */
+'use strict';
+
+// Promise library
+var Promise = require('bluebird');
+
+// Errors reported by the port
+var errors = require('./errors');
+
+// The object used for each register map item
+var Register = require('./Register');
+
+// Largest request body we accept, in bytes
+var MAX_BODY = 65536;
+
+
+/**
+ * Creates an error for an invalid HTTP request
+ *
+ * @param  {number} status  HTTP status to answer with
+ * @param  {string} message description of the error
+ * @return {Error}          the error
+ */
+function requestError( status, message ) {
+  var err = new Error( message );
+
+  err.name = 'RequestError';
+  err.status = status;
+
+  return err;
+}
+
+/**
+ * Chooses the HTTP status for an error
+ *
+ * @param  {Error} err the error
+ * @return {number}    HTTP status
+ */
+function statusOf( err ) {
+  if( err.status ) {
+    return err.status;
+  }
+  else if( err instanceof errors.ValidationError ) {
+    return 400;
+  }
+  else if( err instanceof errors.TimeoutError ) {
+    return 504;
+  }
+  else if( err instanceof errors.DisconnectedError ) {
+    return 503;
+  }
+  else if( err instanceof errors.ExceptionResponseError ||
+    err instanceof errors.InvalidResponseError ) {
+    return 502;
+  }
+
+  return 500;
+}
+
+/**
+ * Sends a JSON response
+ *
+ * @param {ServerResponse} res    the response
+ * @param {number} status         HTTP status
+ * @param {object} body           the payload
+ * @param {object} headers        more headers (optional)
+ */
+function send( res, status, body, headers ) {
+  var text = JSON.stringify( body );
+
+  res.writeHead( status, Object.assign( {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength( text )
+  }, headers ));
+  res.end( text );
+}
+
+/**
+ * Reads and parses the JSON body of a request
+ *
+ * @param  {IncomingMessage} req the request
+ * @return {Promise}             resolves with the body ({} if empty)
+ */
+function readBody( req ) {
+  return new Promise( function( resolve, reject ) {
+    var chunks = [];
+    var length = 0;
+
+    req.on( 'data', function( chunk ) {
+      length += chunk.length;
+
+      if( length <= MAX_BODY ) {
+        chunks.push( chunk );
+      }
+    });
+
+    req.on( 'error', reject );
+
+    req.on( 'end', function() {
+      var text = Buffer.concat( chunks ).toString();
+
+      if( length > MAX_BODY ) {
+        return reject( requestError( 400, 'Request body is too large' ));
+      }
+
+      try {
+        var body = text ? JSON.parse( text ) : {};
+
+        if( body === null || 'object' !== typeof( body ) || Array.isArray( body )) {
+          throw new Error( 'not an object' );
+        }
+
+        resolve( body );
+      }
+      catch( e ) {
+        reject( requestError( 400, 'Request body must be a JSON object' ));
+      }
+    });
+  });
+}
+
+/**
+ * Checks that a parameter is an integer in a range
+ *
+ * @param  {object} body  the request body
+ * @param  {string} name  name of the parameter
+ * @param  {number} min   smallest allowed value
+ * @param  {number} max   largest allowed value
+ * @return {number}       the value
+ */
+function integer( body, name, min, max ) {
+  var value = body[ name ];
+
+  if( 'string' === typeof( value ) && /^(0x[0-9a-f]+|\d+)$/i.test( value )) {
+    value = parseInt( value );
+  }
+
+  if( 'number' !== typeof( value ) || value % 1 !== 0 || value < min || value > max ) {
+    throw requestError( 400, name + ' must be an integer from ' + min + ' to ' + max );
+  }
+
+  return value;
+}
+
+
+// The commands that can be posted to /commands/:name
+var COMMANDS = {
+  pair: function( port ) { return port.pair(); },
+
+  clear: function( port ) { return port.clear(); },
+
+  reset: function( port ) { return port.reset(); },
+
+  unlock: function( port ) { return port.unlock(); },
+
+  scan: function( port, body ) {
+    return port.scan( integer( body, 'type', 1, 3 ), integer( body, 'duration', 0, 14 ));
+  },
+
+  ping: function( port, body ) {
+    return port.ping( integer( body, 'address', 0, 0xFFFF ));
+  }
+};
+
+
+/**
+ * Constructor
+ *
+ * @param {AcnPort} port the port the device is connected to
+ * @param {Auth} auth    checks the credentials of each request (optional;
+ *                       without it, anyone may do anything)
+ */
+function RestApi( port, auth ) {
+  var me = this;
+
+  me.port = port;
+  me.auth = auth || null;
+
+  // each route has a method, a pattern for the path, the action it
+  // performs (null for the command named in the path) and a handler,
+  // which is called with the path parameters and the request body
+  me.routes = [
+    { method: 'GET', path: /^\/device\/?$/, action: 'read', handler: me.getDevice },
+    { method: 'GET', path: /^\/registers\/([^\/]+)\/?$/, action: 'read', handler: me.readRegister },
+    { method: 'PUT', path: /^\/registers\/([^\/]+)\/?$/, action: 'write', handler: me.writeRegister },
+    { method: 'GET', path: /^\/objects\/([^\/]+)\/?$/, action: 'read', handler: me.readObject },
+    { method: 'POST', path: /^\/commands\/([^\/]+)\/?$/, action: null, handler: me.runCommand }
+  ];
+}
+
+/**
+ * Handles an HTTP request, if it is for the API
+ *
+ * @param  {IncomingMessage} req the request
+ * @param  {ServerResponse} res  the response
+ * @return {boolean}             false if the path is not part of the API
+ */
+RestApi.prototype.handle = function( req, res ) {
+  var me = this;
+  var path = req.url.split( '?' )[0];
+
+  var matching = me.routes.filter( function( route ) { return route.path.test( path ); });
+  var route = matching.filter( function( r ) { return r.method === req.method; })[0];
+
+  if( matching.length === 0 ) {
+    return false;
+  }
+
+  Promise.try( function() {
+    if( !route ) {
+      throw requestError( 405, req.method + ' is not supported for ' + path );
+    }
+
+    var params;
+
+    try {
+      params = route.path.exec( path ).slice( 1 ).map( decodeURIComponent );
+    }
+    catch( e ) {
+      throw requestError( 400, 'Invalid path: ' + path );
+    }
+
+    me.authorize( req, route.action ||
+      ( Object.prototype.hasOwnProperty.call( COMMANDS, params[0] ) ? params[0] : null ));
+
+    return readBody( req )
+      .then( function( body ) { return route.handler.call( me, params, body ); });
+  })
+  .then( function( result ) {
+    send( res, 200, { result: result } );
+  })
+  .catch( function( err ) {
+    me.fail( res, err );
+  });
+
+  return true;
+};
+
+/**
+ * Checks that the client may perform an action
+ *
+ * @param  {IncomingMessage} req the request
+ * @param  {string} action       the action, or null for a command that
+ *                               doesn't exist (runCommand reports it)
+ * @throws {Error}               if the client is not allowed
+ */
+RestApi.prototype.authorize = function( req, action ) {
+  if( !this.auth ) {
+    return;
+  }
+
+  var user = this.auth.authenticate( req.headers.authorization );
+
+  if( !user ) {
+    throw requestError( 401, 'Authentication required' );
+  }
+
+  if( action && !this.auth.allowed( user, action )) {
+    throw requestError( 403, user.name + ' (' + user.role + ') may not ' + action );
+  }
+};
+
+/**
+ * Answers with an error payload
+ *
+ * @param {ServerResponse} res the response
+ * @param {Error} err          the error
+ */
+RestApi.prototype.fail = function( res, err ) {
+  var payload = { name: err.name || 'Error', message: err.message };
+  var status = statusOf( err );
+
+  if( err instanceof errors.ExceptionResponseError ) {
+    payload.code = err.code;
+    payload.exception = err.exception;
+  }
+
+  send( res, status, { error: payload },
+    ( status === 401 ) ? { 'WWW-Authenticate': 'Basic realm="acn-ws"' } : {} );
+};
+
+/**
+ * Looks up an item in the device's register map
+ *
+ * @param  {string} name    name of the register, bank or object
+ * @param  {boolean} object true for an object, false for a register
+ * @return {Promise}        resolves with the Register
+ */
+RestApi.prototype.lookup = function( name, object ) {
+  return this.port.getMap()
+    .then( function( map ) {
+      var item = Object.prototype.hasOwnProperty.call( map, name ) && map[ name ];
+
+      if( !( item instanceof Register ) || ( item.type === 'object' ) !== object ) {
+        throw requestError( 404, 'Unknown ' + ( object ? 'object' : 'register' ) + ': ' + name );
+      }
+
+      return item;
+    });
+};
+
+/**
+ * GET /device
+ *
+ * @return {Promise} resolves with the device identity
+ */
+RestApi.prototype.getDevice = function() {
+  var me = this;
+
+  return me.port.getSlaveId()
+    .then( function( id ) {
+      return Object.assign( { port: me.port.name }, id );
+    });
+};
+
+/**
+ * GET /registers/:name
+ *
+ * @param  {Array} params [ name ]
+ * @return {Promise}      resolves with the formatted value
+ */
+RestApi.prototype.readRegister = function( params ) {
+  var port = this.port;
+
+  return this.lookup( params[0], false )
+    .then( function( item ) { return port.read( item ); })
+    .then( function( item ) { return item.format(); });
+};
+
+/**
+ * PUT /registers/:name
+ *
+ * @param  {Array} params [ name ]
+ * @param  {object} body  { value }
+ * @return {Promise}      resolves with the value that was written
+ */
+RestApi.prototype.writeRegister = function( params, body ) {
+  var port = this.port;
+
+  return this.lookup( params[0], false )
+    .then( function( item ) {
+      if( !( 'value' in body )) {
+        throw requestError( 400, 'The body must contain a value' );
+      }
+
+      if( item.readOnly ) {
+        throw requestError( 400, item.title + ' is read-only' );
+      }
+
+      // check the value before anything is sent, without changing the
+      // register that other requests read
+      try {
+        item.check( body.value );
+      }
+      catch( e ) {
+        throw requestError( 400, e.message );
+      }
+
+      return port.write( item, body.value )
+        .then( function() { return item.format(); });
+    });
+};
+
+/**
+ * GET /objects/:name
+ *
+ * @param  {Array} params [ name ]
+ * @return {Promise}      resolves with the decoded object
+ */
+RestApi.prototype.readObject = function( params ) {
+  var port = this.port;
+
+  return this.lookup( params[0], true )
+    .then( function( item ) { return port.read( item ); })
+    .then( function( item ) { return item.format(); });
+};
+
+/**
+ * POST /commands/:name
+ *
+ * @param  {Array} params [ name ]
+ * @param  {object} body  command parameters
+ * @return {Promise}      resolves with the result of the command
+ */
+RestApi.prototype.runCommand = function( params, body ) {
+  var command = Object.prototype.hasOwnProperty.call( COMMANDS, params[0] ) && COMMANDS[ params[0] ];
+
+  if( !command ) {
+    throw requestError( 404, 'Unknown command: ' + params[0] );
+  }
+
+  return command( this.port, body );
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = RestApi;
@@ -0,0 +1,262 @@
+/**
+ * Delivers the reports that an ACN device receives from CS1108 controllers
+ *
+ * The device keeps received packets in a queue, which is read one packet
+ * at a time through the sensor data object (7).  This polls that object:
+ * while packets are arriving the queue is drained as fast as the link
+ * allows; when it is empty the polling interval doubles (up to
+ * maxInterval) so an idle link is not kept busy.  Reads are sent at low
+ * priority, so other requests on the port are not delayed by them.
+ *
+ * Controllers repeat their reports, so a packet that has the same source
+ * and contents as one received within the last duplicateWindow milliseconds
+ * is dropped, even if its signal strength (rssi, lqi) differs.
+ *
+ * Events:
+ *   data (msg)              any packet ({from, msgtype, length, rssi, lqi,
+ *                           packet})
+ *   controllerReport (msg)  a packet containing a controller report
+ *   gpsReport (msg)         a packet containing a GPS report
+ *   fault (fault, msg)      a controller added a fault to its fault log
+ *                           since its previous report (see cs1108Faults)
+ *   error (err)             the sensor data object could not be read
+ *                           (only emitted if there is a listener)
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// CS1108 fault codes
+var cs1108Faults = require('./cs1108Faults');
+
+// Packet data types
+var CONTROLLER_REPORT = 1;
+var GPS_REPORT = 2;
+
+// Priority of the polling requests (see RequestQueue)
+var POLL_PRIORITY = -1;
+
+
+/**
+ * Constructor: initializes the object and declares its public interface
+ *
+ * @param {AcnPort} port the port the device is connected to
+ * @param {object} options optional settings:
+ *   minInterval: milliseconds between reads while packets are arriving
+ *     (default 0)
+ *   maxInterval: longest time between reads when the link is idle
+ *     (default 1000)
+ *   duplicateWindow: milliseconds during which a repeated packet is
+ *     dropped (default 2000)
+ */
+function SensorStream( port, options ) {
+  var me = this;
+
+  EventEmitter.call( me );
+
+  options = options || {};
+
+  me.port = port;
+  me.minInterval = options.minInterval || 0;
+  me.maxInterval = options.maxInterval || 1000;
+  me.duplicateWindow = ( 'duplicateWindow' in options ) ? options.duplicateWindow : 2000;
+
+  me.running = false;
+  me.paused = false;
+  me.timer = null;
+  me.interval = me.minInterval;
+
+  // time each recent packet was received, keyed by its contents
+  me.recent = {};
+
+  // the last fault log of each controller, keyed by serial number
+  me.faultLogs = {};
+
+  // stop polling while the port is disconnected
+  me.onConnected = function() {
+    me.paused = false;
+    me.schedule( me.minInterval );
+  };
+  me.onDisconnected = function() {
+    me.paused = true;
+    me.cancelTimer();
+  };
+}
+
+// This object can emit events.
+util.inherits( SensorStream, EventEmitter );
+
+/**
+ * Starts polling
+ *
+ * @return {SensorStream} this object
+ */
+SensorStream.prototype.start = function() {
+  if( !this.running ) {
+    this.running = true;
+
+    // if the port isn't open yet, wait for it
+    this.paused = !this.port.master.isConnected();
+
+    this.port.on( 'connected', this.onConnected );
+    this.port.on( 'disconnected', this.onDisconnected );
+    this.schedule( this.minInterval );
+  }
+
+  return this;
+};
+
+/**
+ * Stops polling.  A read that is in progress is allowed to finish, but
+ * its packet is not reported.
+ */
+SensorStream.prototype.stop = function() {
+  this.running = false;
+  this.cancelTimer();
+  this.port.removeListener( 'connected', this.onConnected );
+  this.port.removeListener( 'disconnected', this.onDisconnected );
+};
+
+/**
+ * Cancels the next scheduled read
+ */
+SensorStream.prototype.cancelTimer = function() {
+  if( this.timer ) {
+    clearTimeout( this.timer );
+    this.timer = null;
+  }
+};
+
+/**
+ * Schedules the next read
+ *
+ * @param {number} delay milliseconds to wait
+ */
+SensorStream.prototype.schedule = function( delay ) {
+  var me = this;
+
+  me.cancelTimer();
+  me.interval = delay;
+
+  if( me.running && !me.paused ) {
+    me.timer = setTimeout( function() {
+      me.timer = null;
+      me.poll();
+    }, delay );
+  }
+};
+
+/**
+ * Reads the sensor data object once, and schedules the next read
+ */
+SensorStream.prototype.poll = function() {
+  var me = this;
+
+  me.port.read( 'sensorData', { priority: POLL_PRIORITY } )
+    .then( function( result ) {
+      return result.format();
+    })
+    .catch( function( err ) {
+      if( me.running && me.listenerCount( 'error' ) > 0 ) {
+        me.emit( 'error', err );
+      }
+
+      return null;
+    })
+
+    // done() so that exceptions thrown by event listeners are not swallowed
+    .done( function( msg ) {
+      var received = msg && msg.msgtype > 0;
+
+      if( me.timer === null ) {
+        me.schedule( received ? me.minInterval : me.backoff() );
+      }
+
+      if( received ) {
+        me.receive( msg );
+      }
+    });
+};
+
+/**
+ * Returns the delay to use after a read that found nothing
+ *
+ * @return {number} milliseconds
+ */
+SensorStream.prototype.backoff = function() {
+  return Math.min( Math.max( this.interval * 2, 1 ), this.maxInterval );
+};
+
+/**
+ * Reports a packet, unless it is a duplicate
+ *
+ * @param {object} msg the formatted sensor data object
+ */
+SensorStream.prototype.receive = function( msg ) {
+  var me = this;
+  var now = Date.now();
+
+  // the signal strength of each copy differs, so it is not part of the key
+  var key = JSON.stringify( [ msg.from, msg.msgtype, msg.packet ] );
+
+  // forget packets that are outside the window
+  Object.keys( me.recent ).forEach( function( k ) {
+    if( now - me.recent[ k ] >= me.duplicateWindow ) {
+      delete me.recent[ k ];
+    }
+  });
+
+  if( !me.running || key in me.recent ) {
+    return;
+  }
+
+  me.recent[ key ] = now;
+
+  me.emit( 'data', msg );
+
+  if( msg.packet && msg.packet.datatype === CONTROLLER_REPORT ) {
+    me.emit( 'controllerReport', msg );
+    me.checkFaults( msg );
+  }
+  else if( msg.packet && msg.packet.datatype === GPS_REPORT ) {
+    me.emit( 'gpsReport', msg );
+  }
+};
+
+/**
+ * Reports faults that were added to a controller's fault log
+ *
+ * The first report from each controller only records its fault log.
+ *
+ * @param {object} msg the formatted sensor data object
+ */
+SensorStream.prototype.checkFaults = function( msg ) {
+  var me = this;
+  var key = msg.packet.serial || msg.from;
+  var previous = me.faultLogs[ key ];
+
+  me.faultLogs[ key ] = msg.packet.faultLog;
+
+  if( previous ) {
+
+    // oldest first
+    cs1108Faults.diffLogs( previous, msg.packet.faultLog ).reverse()
+      .forEach( function( fault ) {
+        me.emit( 'fault', fault, msg );
+      });
+  }
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = SensorStream;
@@ -0,0 +1,224 @@
+/**
+ * Serves the files that the web page needs, so it works without internet
+ *
+ * Each mount maps a URL prefix to a directory, for example
+ *   { '/static/jquery/': '/path/to/node_modules/jquery/dist' }
+ * A GET (or HEAD) request for /static/jquery/jquery.min.js is answered
+ * with that file.  Paths that would leave the directory are refused.
+ *
+ * Responses carry a Content-Type based on the file extension, and an ETag
+ * and Cache-Control header so browsers keep the files for maxAge seconds
+ * and then check whether they have changed.
+ *
+ * The default mounts (see StaticFiles.packages) serve the jQuery,
+ * Bootstrap and Flot packages that this package depends on.
+ */
+'use strict';
+
+// File system
+var fs = require('fs');
+
+// File path utilities
+var path = require('path');
+
+// Content types, keyed by file extension
+var CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.ttf': 'font/ttf',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+
+/**
+ * Finds the directory of an installed package
+ *
+ * @param  {string} name the package name
+ * @return {string}      the directory
+ */
+function packageDir( name ) {
+  return path.dirname( require.resolve( name + '/package.json' ));
+}
+
+/**
+ * Sends a short text response
+ *
+ * @param {ServerResponse} res the response
+ * @param {number} status      HTTP status
+ * @param {string} text        the message
+ */
+function sendText( res, status, text ) {
+  res.writeHead( status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end( text );
+}
+
+
+/**
+ * Constructor
+ *
+ * @param {object} mounts  directories keyed by URL prefix (default: the
+ *                         packages listed in StaticFiles.packages)
+ * @param {object} options optional settings:
+ *   maxAge: seconds that browsers may use a file without checking it
+ *     (default 86400)
+ */
+function StaticFiles( mounts, options ) {
+  options = options || {};
+
+  this.mounts = mounts || StaticFiles.packages();
+  this.maxAge = ( 'maxAge' in options ) ? options.maxAge : 86400;
+
+  // longest prefixes first, so they win over the ones that contain them
+  this.prefixes = Object.keys( this.mounts ).sort( function( a, b ) {
+    return b.length - a.length;
+  });
+}
+
+/**
+ * Finds the file for a URL path
+ *
+ * @param  {string} urlPath the path, without the query
+ * @return {string}         the file name, null if the path is under a
+ *                          mount but not allowed, or undefined if it is
+ *                          not under any mount
+ */
+StaticFiles.prototype.resolve = function( urlPath ) {
+  var prefix = this.prefixes.filter( function( p ) { return urlPath.indexOf( p ) === 0; })[0];
+
+  if( prefix === undefined ) {
+    return undefined;
+  }
+
+  var root = path.resolve( this.mounts[ prefix ] );
+  var relative;
+
+  try {
+    relative = decodeURIComponent( urlPath.slice( prefix.length ));
+  }
+  catch( e ) {
+    return null;
+  }
+
+  var file = path.resolve( root, relative );
+
+  // refuse anything outside the directory, like /static/x/../../secret
+  if( relative.indexOf( '\0' ) !== -1 || file.indexOf( root + path.sep ) !== 0 ) {
+    return null;
+  }
+
+  return file;
+};
+
+/**
+ * Handles an HTTP request, if it is for a static file
+ *
+ * @param  {IncomingMessage} req the request
+ * @param  {ServerResponse} res  the response
+ * @return {boolean}             false if the path is not under a mount
+ */
+StaticFiles.prototype.handle = function( req, res ) {
+  var me = this;
+  var file = me.resolve( req.url.split( '?' )[0] );
+
+  if( file === undefined ) {
+    return false;
+  }
+
+  if( req.method !== 'GET' && req.method !== 'HEAD' ) {
+    res.setHeader( 'Allow', 'GET, HEAD' );
+    sendText( res, 405, 'Method not allowed' );
+    return true;
+  }
+
+  if( file === null ) {
+    sendText( res, 403, 'Forbidden' );
+    return true;
+  }
+
+  fs.stat( file, function( err, stats ) {
+    if( err || !stats.isFile() ) {
+      sendText( res, 404, 'Not found' );
+    }
+    else {
+      me.send( req, res, file, stats );
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Sends a file, or 304 if the browser's copy is current
+ *
+ * @param {IncomingMessage} req the request
+ * @param {ServerResponse} res  the response
+ * @param {string} file         the file name
+ * @param {fs.Stats} stats      the file's information
+ */
+StaticFiles.prototype.send = function( req, res, file, stats ) {
+  var etag = '"' + stats.size.toString( 16 ) + '-' + stats.mtime.getTime().toString( 16 ) + '"';
+
+  var headers = {
+    'ETag': etag,
+    'Last-Modified': stats.mtime.toUTCString(),
+    'Cache-Control': 'public, max-age=' + this.maxAge
+  };
+
+  if( req.headers['if-none-match'] === etag ) {
+    res.writeHead( 304, headers );
+    res.end();
+    return;
+  }
+
+  headers['Content-Type'] = CONTENT_TYPES[ path.extname( file ).toLowerCase() ] || 'application/octet-stream';
+  headers['Content-Length'] = stats.size;
+
+  res.writeHead( 200, headers );
+
+  if( req.method === 'HEAD' ) {
+    res.end();
+  }
+  else {
+    fs.createReadStream( file ).pipe( res );
+  }
+};
+
+
+/**
+ * The default mounts: the libraries the web page uses
+ *
+ * @return {object} directories keyed by URL prefix
+ */
+StaticFiles.packages = function() {
+  return {
+    '/static/jquery/': path.join( packageDir( 'jquery' ), 'dist' ),
+    '/static/bootstrap/': path.join( packageDir( 'bootstrap' ), 'dist' ),
+    '/static/flot/': packageDir( 'flot' )
+  };
+};
+
+/**
+ * Content types, keyed by file extension.  Applications can add their own.
+ *
+ * @ignore
+ */
+StaticFiles.CONTENT_TYPES = CONTENT_TYPES;
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = StaticFiles;
@@ -0,0 +1,247 @@
+'use strict';
+
+/**
+ * Edits the device configuration (the registers of the config bank)
+ *
+ * This is what the configuration page of acn-ws uses:
+ *   fields(map)            describes each register, for building a form
+ *   preview(port, edited)  compares edited values with the device
+ *   apply(port, edited)    writes the registers that changed, then reads
+ *                          the configuration back to confirm them
+ *
+ * Edited values are in the formatted form that reading the config bank
+ * returns (like '0x07FF' for the hex channel map), keyed by register name;
+ * registers that are not included keep their value.
+ *
+ * Each function takes the name of another bank as an optional last
+ * argument, to edit for example the output configuration (localOutputs
+ * and remoteOutputs) the same way.
+ *
+ */
+
+// Promise library
+var Promise = require('bluebird');
+
+// Name of the bank edited by default
+var BANK = 'config';
+
+
+/**
+ * Finds the description of a bank in a map's schema
+ *
+ * @param  {object} map  register map
+ * @param  {string} name name of the bank
+ * @return {object}      the bank description
+ */
+function bankOf( map, name ) {
+  var bank = ( map.schema && map.schema.banks || [] ).filter( function( b ) {
+    return b.name === name;
+  })[0];
+
+  if( !bank ) {
+    throw new Error( 'The register map has no ' + name + ' bank' );
+  }
+
+  return bank;
+}
+
+/**
+ * Describes the registers of a bank
+ *
+ * @param  {object} map  register map (see AcnPort.getMap)
+ * @param  {string} bank name of the bank (default config)
+ * @return {Array}       for each register { name, title, units, type, min,
+ *                      max, step, mask, format, enum (names, if any),
+ *                      readOnly }; the constraints are on raw values (see
+ *                      Register.validate)
+ */
+function fields( map, bank ) {
+  return bankOf( map, bank || BANK ).registers.map( function( desc ) {
+    var reg = map[ desc.name ];
+    var names = desc.enum && Object.keys( desc.enum ).map( function( key ) { return desc.enum[ key ]; });
+
+    return {
+      name: desc.name,
+      title: reg.title,
+      units: reg.units,
+      type: reg.type,
+      min: reg.min,
+      max: reg.max,
+      step: reg.step || null,
+      mask: ( 'number' === typeof( reg.mask )) ? reg.mask : null,
+      format: desc.format || null,
+      enum: names || null,
+      readOnly: Boolean( reg.readOnly )
+    };
+  });
+}
+
+/**
+ * Checks an edited value without changing the register
+ *
+ * @param  {object} field the register's description (see fields)
+ * @param  {Register} reg the register
+ * @param  {any} value    the formatted value
+ * @return {object}       { value, error }: the value formatted the way the
+ *                        device reports it, or a description of the problem
+ *                        (null if the value is valid)
+ */
+function check( field, reg, value ) {
+  var probe;
+
+  // numbers typed into a form arrive as strings
+  if( !field.format && !field.enum && 'string' === typeof( value ) && /^-?\d+$/.test( value.trim() )) {
+    value = Number( value );
+  }
+
+  if( field.readOnly ) {
+    return { value: value, error: field.title + ' is read-only' };
+  }
+
+  // a copy of the register formats the raw value, so the register other
+  // requests read is not changed
+  try {
+    probe = Object.create( reg );
+    probe.value = reg.check( value );
+  }
+  catch( e ) {
+    return { value: value, error: e.message };
+  }
+
+  return { value: probe.format(), error: null };
+}
+
+/**
+ * Compares edited values with the current configuration
+ *
+ * @param  {object} map     register map
+ * @param  {object} current the configuration (formatted values, keyed by
+ *                          register name)
+ * @param  {object} edited  edited values, keyed by register name
+ * @param  {string} bank    name of the bank (default config)
+ * @return {Array}          for each register that differs { name, title,
+ *                          from, to, error }; error is null if the value
+ *                          can be written
+ */
+function diff( map, current, edited, bank ) {
+  var changes = [];
+
+  fields( map, bank ).forEach( function( field ) {
+    if( !( field.name in edited )) {
+      return;
+    }
+
+    var result = check( field, map[ field.name ], edited[ field.name ] );
+
+    if( JSON.stringify( result.value ) !== JSON.stringify( current[ field.name ] )) {
+      changes.push( {
+        name: field.name,
+        title: field.title,
+        from: current[ field.name ],
+        to: result.value,
+        error: result.error
+      });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Formats each register of a bank that has just been read
+ *
+ * Unlike the bank's own format(), this is keyed by register name even for
+ * banks that format to a list.
+ *
+ * @param  {object} map  register map
+ * @param  {string} bank name of the bank
+ * @return {object}      the formatted values, keyed by register name
+ */
+function current( map, bank ) {
+  var values = {};
+
+  fields( map, bank ).forEach( function( field ) {
+    values[ field.name ] = map[ field.name ].format();
+  });
+
+  return values;
+}
+
+/**
+ * Reads the configuration and compares the edited values with it
+ *
+ * @param  {AcnPort} port  the port the device is connected to
+ * @param  {object} edited edited values, keyed by register name
+ * @param  {string} bank   name of the bank (default config)
+ * @return {Promise}       resolves with { current, changes } (see diff)
+ */
+function preview( port, edited, bank ) {
+  bank = bank || BANK;
+
+  return port.getMap()
+    .then( function( map ) {
+      return port.read( map[ bank ] )
+        .then( function() {
+          var values = current( map, bank );
+
+          return { current: values, changes: diff( map, values, edited, bank ) };
+        });
+    });
+}
+
+/**
+ * Writes the registers that changed, and reads them back
+ *
+ * Nothing is written if any of the changes is not valid.
+ *
+ * @param  {AcnPort} port  the port the device is connected to
+ * @param  {object} edited edited values, keyed by register name
+ * @param  {string} bank   name of the bank (default config)
+ * @return {Promise}       resolves with { changes, config, mismatches }:
+ *                         the changes written, the configuration read
+ *                         back (keyed by register name), and the names of
+ *                         the registers whose value did not change as
+ *                         expected
+ */
+function apply( port, edited, bank ) {
+  bank = bank || BANK;
+
+  return preview( port, edited, bank )
+    .then( function( result ) {
+      var invalid = result.changes.filter( function( change ) { return change.error; });
+
+      if( invalid.length > 0 ) {
+        throw new Error( invalid.map( function( change ) { return change.error; }).join( '; ' ));
+      }
+
+      return Promise.each( result.changes, function( change ) {
+        return port.write( change.name, change.to );
+      })
+      .then( function() { return preview( port, {}, bank ); })
+      .then( function( after ) {
+        var config = after.current;
+
+        return {
+          changes: result.changes,
+          config: config,
+          mismatches: result.changes.filter( function( change ) {
+            return JSON.stringify( config[ change.name ] ) !== JSON.stringify( change.to );
+          })
+          .map( function( change ) { return change.name; })
+        };
+      });
+    });
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  fields: fields,
+  diff: diff,
+  preview: preview,
+  apply: apply
+};
@@ -0,0 +1,128 @@
+/**
+ * Base object for the connections that AcnPort can communicate through
+ *
+ * A connection wraps some underlying channel (serial port, socket,
+ * stream...) and presents the cs-modbus 'generic' connection interface:
+ *
+ *   open(callback)   open the channel; emits 'open' when complete
+ *   close(callback)  close the channel; emits 'close'
+ *   isConnected()    true while the channel is open
+ *   write(data)      send a Buffer
+ *   destroy()        release all resources
+ *
+ * and emits 'open', 'close', 'error' and 'data' events.
+ *
+ * 'open' and 'close' are only emitted on a change of state, so every
+ * connection type produces the same connected/disconnected sequence
+ * in AcnPort.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+
+/**
+ * Constructor
+ *
+ * @param {object} options connection options from the configuration
+ */
+function Connection( options ) {
+  EventEmitter.call( this );
+
+  this.options = options || {};
+  this.connected = false;
+}
+
+// This object can emit events.
+util.inherits( Connection, EventEmitter );
+
+/**
+ * @return {boolean} true if the connection is open
+ */
+Connection.prototype.isConnected = function() {
+  return this.connected;
+};
+
+/**
+ * Opens the connection.  Must be implemented by each connection type.
+ *
+ * @param {Function} callback (err)
+ */
+Connection.prototype.open = function( callback ) {
+  callback( new Error( 'open is not implemented' ));
+};
+
+/**
+ * Closes the connection.  Must be implemented by each connection type.
+ *
+ * @param {Function} callback (err)
+ */
+Connection.prototype.close = function( callback ) {
+  this.onClose();
+
+  if( callback ) {
+    callback( null );
+  }
+};
+
+/**
+ * Sends data.  Must be implemented by each connection type.
+ *
+ * @param {Buffer} data
+ */
+Connection.prototype.write = function() {
+  throw new Error( 'write is not implemented' );
+};
+
+/**
+ * Releases all resources used by the connection
+ */
+Connection.prototype.destroy = function() {
+  this.close();
+  this.removeAllListeners();
+};
+
+/**
+ * Called by subclasses when the underlying channel has opened
+ */
+Connection.prototype.onOpen = function() {
+  if( !this.connected ) {
+    this.connected = true;
+    this.emit( 'open' );
+  }
+};
+
+/**
+ * Called by subclasses when the underlying channel has closed
+ */
+Connection.prototype.onClose = function() {
+  if( this.connected ) {
+    this.connected = false;
+    this.emit( 'close' );
+  }
+};
+
+/**
+ * Called by subclasses when data arrives from the underlying channel
+ *
+ * @param {Buffer} data
+ */
+Connection.prototype.onData = function( data ) {
+  this.emit( 'data', data );
+};
+
+/**
+ * Called by subclasses when the underlying channel reports an error
+ *
+ * @param {Error} err
+ */
+Connection.prototype.onError = function( err ) {
+  this.emit( 'error', err );
+};
+
+
+module.exports = Connection;
@@ -0,0 +1,75 @@
+/**
+ * Connection through a local serial port (the default)
+ *
+ * Options (in addition to the name passed to the factory):
+ *   serialOptions: options for node-serialport (eg baudrate)
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Base connection object
+var Connection = require('./Connection');
+
+
+/**
+ * Constructor
+ *
+ * The serialport module is only loaded when a serial connection is
+ * created, so other connection types work without its native binding.
+ *
+ * @param {string} name    the name of the port (as known to the operating system)
+ * @param {object} options connection options
+ */
+function SerialConnection( name, options ) {
+  var me = this;
+  var SerialPort = require('serialport');
+
+  Connection.call( me, options );
+
+  var serialOptions = Object.assign( {}, me.options.serialOptions );
+  serialOptions.autoOpen = false;
+
+  me.port = new SerialPort( name, serialOptions );
+
+  me.port.on( 'open', me.onOpen.bind( me ));
+  me.port.on( 'close', me.onClose.bind( me ));
+  me.port.on( 'error', me.onError.bind( me ));
+  me.port.on( 'data', me.onData.bind( me ));
+}
+
+util.inherits( SerialConnection, Connection );
+
+/**
+ * Opens the serial port
+ *
+ * @param {Function} callback (err)
+ */
+SerialConnection.prototype.open = function( callback ) {
+  this.port.open( callback );
+};
+
+/**
+ * Closes the serial port
+ *
+ * @param {Function} callback (err)
+ */
+SerialConnection.prototype.close = function( callback ) {
+  if( this.port.isOpen() ) {
+    this.port.close( callback );
+  }
+  else if( callback ) {
+    callback( null );
+  }
+};
+
+/**
+ * @param {Buffer} data
+ */
+SerialConnection.prototype.write = function( data ) {
+  this.port.write( data );
+};
+
+
+module.exports = SerialConnection;
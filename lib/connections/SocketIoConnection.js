@@ -0,0 +1,114 @@
+/**
+ * Connection tunnelled through socket.io, for reaching a device that is
+ * attached to another machine.
+ *
+ * Bytes for the device are emitted as Buffers in an event (default
+ * 'data'); bytes from the device are expected in the same event.
+ *
+ * Options:
+ *   url: address of the socket.io server (default: the port name)
+ *   event: name of the event carrying the data (default 'data')
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Base connection object
+var Connection = require('./Connection');
+
+
+/**
+ * Constructor
+ *
+ * @param {string} name    port name; used as the URL if none is configured
+ * @param {object} options connection options
+ */
+function SocketIoConnection( name, options ) {
+  Connection.call( this, options );
+
+  this.url = this.options.url || name;
+  this.event = this.options.event || 'data';
+  this.socket = null;
+}
+
+util.inherits( SocketIoConnection, Connection );
+
+/**
+ * Connects to the socket.io server
+ *
+ * @param {Function} callback (err)
+ */
+SocketIoConnection.prototype.open = function( callback ) {
+  var me = this;
+  var io = require('socket.io-client');
+
+  // AcnPort takes care of reconnecting, the same way as for other
+  // connection types
+  var socket = io( me.url, { reconnection: false, forceNew: true } );
+
+  me.socket = socket;
+
+  socket.once( 'connect', function() {
+    me.onOpen();
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+
+  socket.once( 'connect_error', function( err ) {
+    socket.close();
+    me.socket = null;
+
+    if( callback ) {
+      callback( err );
+    }
+  });
+
+  socket.on( me.event, function( data ) {
+    me.onData( new Buffer( data ));
+  });
+
+  socket.on( 'disconnect', function() {
+    if( me.socket === socket ) {
+      me.socket = null;
+      me.onClose();
+    }
+  });
+};
+
+/**
+ * Disconnects from the server
+ *
+ * @param {Function} callback (err)
+ */
+SocketIoConnection.prototype.close = function( callback ) {
+  var socket = this.socket;
+
+  this.socket = null;
+
+  if( socket ) {
+    socket.close();
+  }
+
+  this.onClose();
+
+  if( callback ) {
+    callback( null );
+  }
+};
+
+/**
+ * @param {Buffer} data
+ */
+SocketIoConnection.prototype.write = function( data ) {
+  if( !this.socket ) {
+    throw new Error( 'Port not open' );
+  }
+
+  this.socket.emit( this.event, data );
+};
+
+
+module.exports = SocketIoConnection;
@@ -0,0 +1,78 @@
+/**
+ * Connection through a duplex stream, for example an in-memory stream
+ * used in tests, or a stream provided by some other module.
+ *
+ * Options:
+ *   stream: the duplex stream (required)
+ *
+ * The stream is considered open from the time open() is called until
+ * the stream ends or closes.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Base connection object
+var Connection = require('./Connection');
+
+
+/**
+ * Constructor
+ *
+ * @param {string} name    port name (not used)
+ * @param {object} options connection options
+ */
+function StreamConnection( name, options ) {
+  var me = this;
+
+  Connection.call( me, options );
+
+  if( !me.options.stream ) {
+    throw new Error( 'A stream connection requires a stream' );
+  }
+
+  me.stream = me.options.stream;
+
+  me.stream.on( 'data', function( data ) {
+    if( me.connected ) {
+      me.onData( data );
+    }
+  });
+
+  me.stream.on( 'error', function( err ) {
+    if( me.connected ) {
+      me.onError( err );
+    }
+  });
+
+  me.stream.on( 'end', me.onClose.bind( me ));
+  me.stream.on( 'close', me.onClose.bind( me ));
+}
+
+util.inherits( StreamConnection, Connection );
+
+/**
+ * @param {Function} callback (err)
+ */
+StreamConnection.prototype.open = function( callback ) {
+  var me = this;
+
+  process.nextTick( function() {
+    me.onOpen();
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+};
+
+/**
+ * @param {Buffer} data
+ */
+StreamConnection.prototype.write = function( data ) {
+  this.stream.write( data );
+};
+
+
+module.exports = StreamConnection;
@@ -0,0 +1,116 @@
+/**
+ * Connection through a TCP socket, for example to a serial-to-Ethernet
+ * bridge or to an AcnSimulator that is listening on a TCP port.
+ *
+ * The socket carries the same bytes as the serial port would.
+ *
+ * Options:
+ *   host: host name or address (default from the port name, else localhost)
+ *   port: TCP port number (default from the port name)
+ *
+ * The port name may be given as 'host:port'.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// TCP sockets
+var net = require('net');
+
+// Base connection object
+var Connection = require('./Connection');
+
+
+/**
+ * Constructor
+ *
+ * @param {string} name    port name, optionally 'host:port'
+ * @param {object} options connection options
+ */
+function TcpConnection( name, options ) {
+  Connection.call( this, options );
+
+  var parts = String( name || '' ).split( ':' );
+
+  this.host = this.options.host || ( parts.length > 1 ? parts[0] : 'localhost' );
+  this.port = this.options.port || parseInt( parts[ parts.length - 1 ], 10 );
+
+  this.socket = null;
+}
+
+util.inherits( TcpConnection, Connection );
+
+/**
+ * Connects the socket
+ *
+ * @param {Function} callback (err)
+ */
+TcpConnection.prototype.open = function( callback ) {
+  var me = this;
+  var socket = net.connect( me.port, me.host );
+
+  me.socket = socket;
+
+  socket.once( 'connect', function() {
+    socket.setNoDelay( true );
+    me.onOpen();
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+
+  socket.on( 'error', function( err ) {
+
+    // errors before the connection is made are reported to the caller
+    if( !me.connected && callback ) {
+      callback( err );
+      callback = null;
+    }
+    else if( me.connected ) {
+      me.onError( err );
+    }
+  });
+
+  socket.on( 'data', me.onData.bind( me ));
+
+  socket.on( 'close', function() {
+    if( me.socket === socket ) {
+      me.socket = null;
+      me.onClose();
+    }
+  });
+};
+
+/**
+ * Closes the socket
+ *
+ * @param {Function} callback (err)
+ */
+TcpConnection.prototype.close = function( callback ) {
+  if( this.socket ) {
+    this.socket.destroy();
+    this.socket = null;
+  }
+
+  this.onClose();
+
+  if( callback ) {
+    callback( null );
+  }
+};
+
+/**
+ * @param {Buffer} data
+ */
+TcpConnection.prototype.write = function( data ) {
+  if( !this.socket ) {
+    throw new Error( 'Port not open' );
+  }
+
+  this.socket.write( data );
+};
+
+
+module.exports = TcpConnection;
@@ -0,0 +1,109 @@
+/**
+ * Connection using UDP datagrams, for serial-to-Ethernet bridges that
+ * carry each MODBUS frame in a datagram.
+ *
+ * Since UDP has no connection, the port is 'open' as soon as the local
+ * socket is bound.
+ *
+ * Options:
+ *   host: remote host name or address (default from the port name)
+ *   port: remote UDP port number (default from the port name)
+ *   localPort: local port to bind (default: any)
+ *
+ * The port name may be given as 'host:port'.
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// UDP sockets
+var dgram = require('dgram');
+
+// Base connection object
+var Connection = require('./Connection');
+
+
+/**
+ * Constructor
+ *
+ * @param {string} name    port name, optionally 'host:port'
+ * @param {object} options connection options
+ */
+function UdpConnection( name, options ) {
+  Connection.call( this, options );
+
+  var parts = String( name || '' ).split( ':' );
+
+  this.host = this.options.host || ( parts.length > 1 ? parts[0] : 'localhost' );
+  this.port = this.options.port || parseInt( parts[ parts.length - 1 ], 10 );
+
+  this.socket = null;
+}
+
+util.inherits( UdpConnection, Connection );
+
+/**
+ * Binds the local socket
+ *
+ * @param {Function} callback (err)
+ */
+UdpConnection.prototype.open = function( callback ) {
+  var me = this;
+  var socket = dgram.createSocket( 'udp4' );
+
+  me.socket = socket;
+
+  socket.on( 'message', me.onData.bind( me ));
+  socket.on( 'error', me.onError.bind( me ));
+
+  socket.on( 'close', function() {
+    if( me.socket === socket ) {
+      me.socket = null;
+      me.onClose();
+    }
+  });
+
+  socket.bind( me.options.localPort || 0, function() {
+    me.onOpen();
+
+    if( callback ) {
+      callback( null );
+    }
+  });
+};
+
+/**
+ * Closes the socket
+ *
+ * @param {Function} callback (err)
+ */
+UdpConnection.prototype.close = function( callback ) {
+  var socket = this.socket;
+
+  this.socket = null;
+
+  if( socket ) {
+    socket.close();
+  }
+
+  this.onClose();
+
+  if( callback ) {
+    callback( null );
+  }
+};
+
+/**
+ * @param {Buffer} data
+ */
+UdpConnection.prototype.write = function( data ) {
+  if( !this.socket ) {
+    throw new Error( 'Port not open' );
+  }
+
+  this.socket.send( data, 0, data.length, this.port, this.host );
+};
+
+
+module.exports = UdpConnection;
@@ -0,0 +1,42 @@
+/**
+ * Factories for the connections that AcnPort can communicate through
+ *
+ * Each factory is called with the port name and the connection options
+ * from the configuration (config.master.transport.connection), and
+ * returns an object implementing the interface described in
+ * Connection.js.
+ *
+ * Applications can add their own connection types to this table, or
+ * pass a connectionFactory option to AcnPort.
+ */
+'use strict';
+
+module.exports = {
+
+  'serial': function( name, options ) {
+    return new (require('./SerialConnection'))( name, options );
+  },
+
+  'tcp': function( name, options ) {
+    return new (require('./TcpConnection'))( name, options );
+  },
+
+  'udp': function( name, options ) {
+    return new (require('./UdpConnection'))( name, options );
+  },
+
+  'socketio': function( name, options ) {
+    return new (require('./SocketIoConnection'))( name, options );
+  },
+
+  'stream': function( name, options ) {
+    return new (require('./StreamConnection'))( name, options );
+  },
+
+  // An object that already implements the connection interface (for
+  // example the AcnSimulator)
+  'generic': function( name, options ) {
+    return options.device;
+  },
+
+};
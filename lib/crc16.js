@@ -0,0 +1,53 @@
+/**
+ * Calculates the 16-bit CRC used by MODBUS RTU
+ *
+ * The same CRC protects the firmware blocks sent to the bootloader.
+ */
+'use strict';
+
+/**
+ * Table lookup for the MODBUS RTU CRC
+ */
+var CRC_TABLE = (function() {
+  var table = [];
+
+  for( var i = 0; i < 256; i++ ) {
+    var crc = i;
+
+    for( var bit = 0; bit < 8; bit++ ) {
+      crc = ( crc & 1 ) ? ( crc >>> 1 ) ^ 0xA001 : crc >>> 1;
+    }
+    table.push( crc );
+  }
+
+  return table;
+})();
+
+/**
+ * Calculates the MODBUS RTU CRC of a buffer
+ *
+ * @param  {Buffer} buffer bytes to be checked
+ * @param  {number} length number of bytes to include (default: all)
+ * @return {number}        16-bit CRC
+ */
+function crc16( buffer, length ) {
+  var crc = 0xFFFF;
+
+  if( 'undefined' === typeof( length )) {
+    length = buffer.length;
+  }
+
+  for( var i = 0; i < length; i++ ) {
+    crc = ( crc >>> 8 ) ^ CRC_TABLE[ ( crc ^ buffer[i] ) & 0xFF ];
+  }
+
+  return crc;
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = crc16;
@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Decodes the faults reported by CS1108 controllers
+ *
+ * Each code in the catalogue has a name, a severity ('none', 'info',
+ * 'warning', 'fault' or 'critical') and a description.  Codes that are not
+ * in the catalogue are reported as 'unknown' faults, so controllers can
+ * still be monitored.
+ *
+ * lib/maps/cs1108Faults.json is a placeholder: the codes have not been
+ * confirmed against the CS1108 documentation, so it only lists code 0 (no
+ * fault).  The documented codes are added with add(), or load() from a
+ * file in the same format as the included catalogue.
+ *
+ * The fault log in a controller report holds the codes of the last 16
+ * faults, most recent first; unused entries are 0.
+ *
+ */
+
+// built-in filesystem module
+var fs = require('fs');
+
+// The fault catalogue
+var catalogue = require('./maps/cs1108Faults.json');
+
+// Catalogue entries keyed by code
+var FAULTS = {};
+
+catalogue.faults.forEach( function( fault ) {
+  FAULTS[ fault.code ] = fault;
+});
+
+
+/**
+ * Looks up a fault code
+ *
+ * @param  {number} code fault code from the controller
+ * @return {object}      { code, name, severity, description }
+ */
+function describe( code ) {
+  var fault = FAULTS[ code ];
+
+  if( !fault ) {
+    return {
+      code: code,
+      name: 'unknown',
+      severity: 'fault',
+      description: 'Unknown fault ' + code
+    };
+  }
+
+  return {
+    code: fault.code,
+    name: fault.name,
+    severity: fault.severity,
+    description: fault.description
+  };
+}
+
+/**
+ * Adds codes to the catalogue, replacing any that are already listed
+ *
+ * @param  {Array} faults [ { code, name, severity, description } ]
+ * @throws {Error}        if an entry has no numeric code or no name
+ */
+function add( faults ) {
+  faults.forEach( function( fault ) {
+    if( 'number' !== typeof( fault.code ) || !fault.name ) {
+      throw new Error( 'A fault needs a code and a name' );
+    }
+  });
+
+  faults.forEach( function( fault ) {
+    FAULTS[ fault.code ] = fault;
+  });
+}
+
+/**
+ * Adds the codes listed in a catalogue file
+ *
+ * @param  {string} file path to a JSON file: { faults: [ ... ] }
+ * @return {Array}       the entries that were added
+ * @throws {Error}       if the file cannot be read or has no fault list
+ */
+function load( file ) {
+  var contents = JSON.parse( fs.readFileSync( file, 'utf8' ));
+
+  if( !Array.isArray( contents.faults )) {
+    throw new Error( 'No faults listed in ' + file );
+  }
+
+  add( contents.faults );
+
+  return contents.faults;
+}
+
+/**
+ * Removes codes that were added, going back to the included catalogue
+ *
+ * @param  {Array} faults the entries that were passed to add()
+ */
+function remove( faults ) {
+  faults.forEach( function( fault ) {
+    if( FAULTS[ fault.code ] === fault ) {
+      delete FAULTS[ fault.code ];
+    }
+  });
+
+  catalogue.faults.forEach( function( fault ) {
+    if( !( fault.code in FAULTS )) {
+      FAULTS[ fault.code ] = fault;
+    }
+  });
+}
+
+/**
+ * Converts a fault log to a list of faults
+ *
+ * @param  {Array|Buffer} log fault codes, most recent first
+ * @return {Array}            the faults (see describe), most recent first,
+ *                            without the unused entries
+ */
+function decodeLog( log ) {
+  var faults = [];
+
+  for( var i = 0; i < log.length; i++ ) {
+    if( log[i] !== 0 ) {
+      faults.push( describe( log[i] ));
+    }
+  }
+
+  return faults;
+}
+
+/**
+ * Returns the codes of a fault log, decoded or not
+ *
+ * @param  {Array} log fault codes, or faults from decodeLog
+ * @return {Array}     the codes, without unused entries
+ */
+function codes( log ) {
+  return Array.prototype.map.call( log || [], function( entry ) {
+    return ( 'object' === typeof( entry )) ? entry.code : entry;
+  })
+  .filter( function( code ) { return code !== 0; });
+}
+
+/**
+ * Checks whether a list starts with another list
+ *
+ * @param  {Array} prefix the start
+ * @param  {Array} list   the list
+ * @return {boolean}      true if list starts with prefix
+ */
+function isPrefix( prefix, list ) {
+  if( prefix.length > list.length ) {
+    return false;
+  }
+
+  for( var i = 0; i < prefix.length; i++ ) {
+    if( prefix[i] !== list[i] ) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Finds the faults that were added to a fault log between two reports
+ *
+ * New faults are pushed onto the front of the log, so the older entries
+ * move back.  The faults that are new are the ones in front of the
+ * entries that were already in the previous log.
+ *
+ * @param  {Array} previous the earlier log (codes, or faults from decodeLog)
+ * @param  {Array} current  the later log
+ * @return {Array}          the new faults (see describe), most recent first
+ */
+function diffLogs( previous, current ) {
+  var before = codes( previous );
+  var after = codes( current );
+
+  var added = 0;
+
+  // the rest of the log must be the start of the previous one
+  while( added < after.length && !isPrefix( after.slice( added ), before )) {
+    added++;
+  }
+
+  return after.slice( 0, added ).map( describe );
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  severities: catalogue.severities,
+
+  add: add,
+  load: load,
+  remove: remove,
+  describe: describe,
+  decodeLog: decodeLog,
+  diffLogs: diffLogs
+};
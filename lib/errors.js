@@ -0,0 +1,215 @@
+'use strict';
+
+/**
+ * Errors reported by AcnPort
+ *
+ * Every error is an AcnError, so callers can tell them apart from
+ * programming errors, and branch on the cause with instanceof (or the
+ * name property) rather than parsing the message:
+ *
+ *   AcnError
+ *     TimeoutError            the device did not answer in time
+ *     DisconnectedError       the port was closed while the request waited
+ *     InvalidResponseError    the answer was corrupt (checksum, length...)
+ *     CancelledError          the caller cancelled the request
+ *     ExceptionResponseError  the device answered with a MODBUS exception
+ *       DeviceBusyError       ...the exception was SlaveDeviceBusy
+ *     ValidationError         a value is not allowed for a register, so it
+ *                             was not sent
+ *
+ * Each error has a 'request' property holding the MODBUS request that
+ * failed (when there was one), and errors that replace an error from
+ * cs-modbus keep it in their 'cause' property.
+ *
+ */
+
+// built-in node utility module
+var util = require('util');
+
+// Errors reported by the MODBUS master
+var ModbusErrors = require('@csllc/cs-modbus/lib/errors');
+
+// Names of the MODBUS exception codes
+var EXCEPTIONS = {
+  0x01: 'IllegalFunction',
+  0x02: 'IllegalDataAddress',
+  0x03: 'IllegalDataValue',
+  0x04: 'SlaveDeviceFailure',
+  0x05: 'Acknowledge',
+  0x06: 'SlaveDeviceBusy',
+  0x08: 'MemoryParityError',
+  0x0A: 'GatewayPathUnavailable',
+  0x0B: 'GatewayTargetDeviceFailedToRespond'
+};
+
+// The exception code that means the device is busy
+var SLAVE_DEVICE_BUSY = 0x06;
+
+
+/**
+ * Base class of all the errors
+ *
+ * @param {string} message description of the error
+ * @param {object} request the request that failed (optional)
+ */
+function AcnError( message, request ) {
+  Error.call( this );
+
+  if( Error.captureStackTrace ) {
+    Error.captureStackTrace( this, this.constructor );
+  }
+
+  this.name = 'AcnError';
+  this.message = message;
+  this.request = request || null;
+}
+
+util.inherits( AcnError, Error );
+
+/**
+ * Declares a subclass of an error
+ *
+ * @param  {string} name        name of the new class
+ * @param  {Function} Parent    class it extends
+ * @param  {string} message     default message
+ * @return {Function}           constructor (message, request)
+ */
+function createError( name, Parent, message ) {
+
+  function SubError( newMessage, request ) {
+    Parent.call( this, newMessage || message, request );
+    this.name = name;
+  }
+
+  util.inherits( SubError, Parent );
+
+  return SubError;
+}
+
+var TimeoutError = createError( 'TimeoutError', AcnError,
+  'No response was received from the device in the specified time' );
+
+var DisconnectedError = createError( 'DisconnectedError', AcnError,
+  'The port is not connected' );
+
+var InvalidResponseError = createError( 'InvalidResponseError', AcnError,
+  'The response from the device was invalid' );
+
+var CancelledError = createError( 'CancelledError', AcnError,
+  'The request was cancelled' );
+
+
+/**
+ * The device answered with a MODBUS exception
+ *
+ * @param {number} code    the exception code
+ * @param {object} request the request that failed (optional)
+ */
+function ExceptionResponseError( code, request ) {
+  var name = EXCEPTIONS[ code ] || 'UnknownException';
+
+  AcnError.call( this, 'Exception ' + code + ' (' + name + ')', request );
+
+  this.name = 'ExceptionResponseError';
+  this.code = code;
+  this.exception = name;
+}
+
+util.inherits( ExceptionResponseError, AcnError );
+
+
+/**
+ * The device answered with exception 6 (SlaveDeviceBusy)
+ *
+ * @param {object} request the request that failed (optional)
+ */
+function DeviceBusyError( request ) {
+  ExceptionResponseError.call( this, SLAVE_DEVICE_BUSY, request );
+
+  this.name = 'DeviceBusyError';
+}
+
+util.inherits( DeviceBusyError, ExceptionResponseError );
+
+
+/**
+ * A value does not meet the constraints of the register it is meant for
+ *
+ * @param {string} message  description of the problem
+ * @param {string} register name of the register (or bitfield)
+ * @param {any} value       the value that was rejected
+ */
+function ValidationError( message, register, value ) {
+  AcnError.call( this, message );
+
+  this.name = 'ValidationError';
+  this.register = register;
+  this.value = value;
+}
+
+util.inherits( ValidationError, AcnError );
+
+
+/**
+ * Makes an error for a completed MODBUS transaction
+ *
+ * @param  {Error} err        error reported by the master, if any
+ * @param  {object} response  response from the device, if any
+ * @param  {object} request   the request that was sent
+ * @param  {boolean} connected whether the port is still connected
+ * @return {AcnError}         the error, or null if the request succeeded
+ */
+function fromModbus( err, response, request, connected ) {
+  var result;
+
+  if( response && response.exceptionCode ) {
+    return ( response.exceptionCode === SLAVE_DEVICE_BUSY ) ?
+      new DeviceBusyError( request ) :
+      new ExceptionResponseError( response.exceptionCode, request );
+  }
+
+  if( !err ) {
+    return null;
+  }
+
+  if( err instanceof AcnError ) {
+    return err;
+  }
+
+  if( err instanceof ModbusErrors.ResponseTimeoutError ) {
+    result = connected ? new TimeoutError( null, request ) : new DisconnectedError( null, request );
+  }
+  else if( err instanceof ModbusErrors.InvalidChecksumError ||
+    err instanceof ModbusErrors.InvalidResponseDataError ||
+    err instanceof ModbusErrors.IncompleteResponseFrameError ) {
+    result = new InvalidResponseError( err.message, request );
+  }
+  else {
+    result = new AcnError( err.message, request );
+  }
+
+  result.cause = err;
+
+  return result;
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  AcnError: AcnError,
+  TimeoutError: TimeoutError,
+  DisconnectedError: DisconnectedError,
+  InvalidResponseError: InvalidResponseError,
+  CancelledError: CancelledError,
+  ExceptionResponseError: ExceptionResponseError,
+  DeviceBusyError: DeviceBusyError,
+  ValidationError: ValidationError,
+
+  EXCEPTIONS: EXCEPTIONS,
+
+  fromModbus: fromModbus
+};
@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * Custom decoders for ACN objects that can't be described by the map schema
+ *
+ * Each decoder contains Register options (fromBuffer, format, etc) and is
+ * referenced by name from the 'decoder' property of an object in the schema.
+ *
+ */
+
+var buffers = require('h5.buffers');
+
+// CS1108 fault codes
+var cs1108Faults = require('../cs1108Faults');
+
+
+//------------------------------------//---------------------------------------
+// Utility functions
+
+
+/**
+ * Translates a coordinator role to a string
+ *
+ * @param {number} code role code
+ */
+function roleToString( code ) {
+  switch( code ) {
+    case 0:
+      return 'End Device';
+    case 1:
+      return 'Coordinator';
+    case 2:
+      return 'Net Coordinator';
+    default:
+      return 'Unknown';
+
+  }
+}
+
+/**
+ * Zero pads a number (on the left) to a specified length
+ *
+ * @param  {number} number the number to be padded
+ * @param  {number} length number of digits to return
+ * @return {string}        zero-padded number
+ */
+function zeroPad( number, length ) {
+  var pad = new Array(length + 1).join( '0' );
+
+  return (pad+number).slice(-pad.length);
+}
+
+/**
+ * Compute voltage from CS1108 value
+ * @param  {number} value raw value from the controller
+ * @return {number}       volts
+ */
+function voltage( value ) {
+  var volts = value * 1469 / 3 / 16777216.0;
+  return volts * 24;
+}
+
+/**
+ * Converts the 4 serial number bytes from a CS1108 to a string
+ *
+ * @param  {Array} values serial number bytes
+ * @return {string}       serial number like 'S0001234', or '' if not programmed
+ */
+function valueToCs1108Serial( values ) {
+
+  // checksum is the xor of the nibbles of the 3 serial number bytes.
+  // On my dev board, this calculation does not match what is stored in value[0]
+  // so the checksum is ignored (until I can verify it is working correctly)
+  if( (values[0] & 0xF0) === 0x20) {
+
+    // valid serial number, prepend the S, zero pad, and convert to decimal
+    var n = (values[1]*65536 + values[2] * 256 + values[3] ).toString(10);
+
+    return 'S' + zeroPad( n, 7 );
+
+  }
+  else {
+    // serial number not programmed
+    return '';
+  }
+}
+
+function cs1108StateFlags( byte ) {
+  var chargeMode;
+  switch( byte & 0xF ) {
+    case 1:
+      chargeMode = 'Pre-charge';
+      break;
+    case 2:
+      chargeMode = 'Bulk';
+      break;
+    case 4:
+      chargeMode = 'Overcharge';
+      break;
+    case 8:
+      chargeMode = 'Float Charge';
+      break;
+    default:
+      chargeMode = 'Not Charging';
+      break;
+
+  }
+
+  return {
+    charging: byte & 0xF,
+    chargeMode: chargeMode,
+    inUse: (byte & 0x10)
+  };
+
+}
+
+function cs1108Hours( fraction, hours ) {
+  return Math.round((hours + (fraction/65536))*10)/10;
+}
+
+/**
+ * Decodes a CS1108 controller report
+ *
+ * faultLog is the list of recent faults (most recent first) and
+ * currentFault the active fault, both decoded by lib/cs1108Faults.js
+ *
+ * @param  {BufferReader} values positioned after the data type byte
+ * @return {object}              the report
+ */
+function controllerReport( values ) {
+  var packet = {
+    datatype: 1,
+    serial : valueToCs1108Serial( values.shiftBytes( 4 ) ),
+    faultLog : cs1108Faults.decodeLog( values.shiftBytes( 16 ) ),
+    meters : {
+      hours : cs1108Hours( values.shiftUInt16( true ), values.shiftUInt16( true ) ),
+      noFloat : values.shiftUInt8(),
+      lowBatMin : values.shiftUInt8(),
+      lowBatHrs : values.shiftUInt8(),
+      overtemp : values.shiftUInt8(),
+      throtFail : values.shiftUInt8(),
+    },
+
+    currentFault : cs1108Faults.describe( values.shiftUInt8() ),
+    batteryVoltage : voltage( values.shiftUInt16() ),
+    stateFlags : cs1108StateFlags( values.shiftUInt8() ),
+  };
+
+  // Skip unused bytes
+  values.shiftBytes(6);
+
+  return packet;
+}
+
+/**
+ * Decodes a CS1108 GPS report
+ *
+ * @param  {BufferReader} values positioned after the data type byte
+ * @return {object}              the report
+ */
+function gpsReport( values ) {
+  var packet = {
+    datatype: 2,
+    serial : valueToCs1108Serial( values.shiftBytes( 4 ) ),
+    latitude: (values.shiftInt32( true ))/10000000.0,
+    longitude: (values.shiftInt32( true ))/10000000.0,
+    sats: values.shiftUInt8(),
+    fixValid: values.shiftUInt8(),
+    ehpe: values.shiftUInt32( true )/100.0,
+
+    cnoMin: values.shiftUInt8(),
+    cnoMax: values.shiftUInt8(),
+    cnoAvg: values.shiftUInt8(),
+    boundaryViolated: values.shiftUInt8(),
+    boundaryAction: values.shiftUInt8(),
+  };
+
+  // Skip unused bytes
+  values.shiftBytes(16);
+
+  return packet;
+}
+
+
+//------------------------------------//---------------------------------------
+// Decoders
+
+/**
+ * The coordinator status object
+ *
+ */
+var coordStatus = {
+  fromBuffer: function( buf ) {
+
+    var values = new buffers.BufferReader( buf );
+
+    var routingTable = values.shiftBytes(8);
+    var routingErrors = values.shiftBytes(8);
+    var coordinators = values.shiftUInt8();
+    var role = values.shiftUInt8();
+    this.value = {
+      role: role,
+      roleType: roleToString(role),
+      known: this.uint8ToBoolArray( coordinators, 1),
+      route: []
+    };
+
+    // now create the routing table
+    for (var i = 0; i < 8; i++ ){
+      this.value.route.push( {
+        to: i,
+        nextHop: routingTable[i],
+        errors: routingErrors[i]
+      });
+    }
+  },
+
+  format: function() {
+    return this.value;
+  },
+};
+
+/**
+ * The sensor data object (packets received from CS1108 controllers)
+ *
+ */
+var sensorData = {
+  fromBuffer: function( buf ) {
+    if( buf.length < 46 ){
+      this.msgtype = 0;
+    }
+    else {
+
+      var values = new buffers.BufferReader( buf );
+
+      var dataType = values.shiftUInt8();
+
+      if( dataType === 1 ) {
+        this.packet = controllerReport( values );
+      }
+      else if( dataType === 2 ) {
+        this.packet = gpsReport( values );
+      }
+      else {
+        this.msgtype = 0;
+        // Skip unused bytes
+        values.shiftBytes(39);
+      }
+
+      // last 6 bytes are metadata about the packet
+      this.from = zeroPad( values.shiftUInt16(true).toString(16), 4);
+      this.msgtype = values.shiftUInt8();
+      this.length = values.shiftUInt8();
+      this.rssi = values.shiftUInt8();
+      this.lqi = values.shiftUInt8();
+    }
+  },
+
+  format: function() {
+    if( this.msgtype === 0) {
+      return { msgtype: 0};
+    }
+    else {
+      return {
+        from: this.from,
+        msgtype: this.msgtype,
+        length: this.length,
+        rssi: this.rssi,
+        lqi: this.lqi,
+        packet: this.packet
+      };
+    }
+  },
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  coordStatus: coordStatus,
+  sensorData: sensorData
+};
@@ -0,0 +1,147 @@
+'use strict';
+
+/**
+ * Register maps for each supported firmware revision
+ *
+ * Each schema file may contain a 'firmware' range, like
+ *   "firmware": { "min": "1.2.0", "max": "1.9.99" }
+ * (either end may be omitted).  forVersion() picks the map whose range
+ * contains the version and has the highest minimum, so a map with no range
+ * is only used for versions that no other map claims.
+ *
+ */
+
+// file path handling
+var path = require('path');
+
+// Builds register maps from the schema files
+var MapLoader = require('../MapLoader');
+
+// Decoders for objects that can't be described in the schema
+var decoders = require('./decoders');
+
+// Schema files included with this package
+var FILES = [
+  'acn.json'
+];
+
+// The loaded maps
+var maps = [];
+
+
+/**
+ * Compares two version strings like '1.2.3'
+ *
+ * @param  {string} a version
+ * @param  {string} b version
+ * @return {number}   negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions( a, b ) {
+  var va = String( a ).split('.');
+  var vb = String( b ).split('.');
+
+  for( var i = 0; i < Math.max( va.length, vb.length ); i++ ) {
+    var diff = ( parseInt( va[i], 10 ) || 0 ) - ( parseInt( vb[i], 10 ) || 0 );
+
+    if( diff !== 0 ) {
+      return diff;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Returns the firmware range of a map
+ *
+ * @param  {object} map register map
+ * @return {object}     { min, max }
+ */
+function firmware( map ) {
+  return map.schema.firmware || {};
+}
+
+/**
+ * Checks whether a map applies to a firmware version
+ *
+ * @param  {object} map     register map
+ * @param  {string} version firmware version
+ * @return {boolean}        true if the map can be used
+ */
+function supports( map, version ) {
+  var range = firmware( map );
+
+  return ( !range.min || compareVersions( version, range.min ) >= 0 ) &&
+    ( !range.max || compareVersions( version, range.max ) <= 0 );
+}
+
+/**
+ * Adds a map
+ *
+ * @param  {object} schema map description (see MapLoader)
+ * @return {object}        the register map
+ */
+function add( schema ) {
+  var map = MapLoader.load( schema, decoders );
+
+  maps.push( map );
+
+  return map;
+}
+
+/**
+ * Finds the map for a firmware version
+ *
+ * @param  {string} version firmware version (from getSlaveId)
+ * @return {object}         the register map
+ * @throws {Error}          if no map supports the version
+ */
+function forVersion( version ) {
+  var candidates = maps.filter( function( map ) {
+    return supports( map, version );
+  });
+
+  if( candidates.length === 0 ) {
+    throw new Error( 'No register map for firmware version ' + version );
+  }
+
+  return candidates.reduce( function( best, map ) {
+    var diff = compareVersions( firmware( map ).min || '0', firmware( best ).min || '0' );
+
+    return ( diff > 0 ) ? map : best;
+  });
+}
+
+/**
+ * Removes a map that was added
+ *
+ * @param  {object} map the register map
+ */
+function remove( map ) {
+  var index = maps.indexOf( map );
+
+  if( index > -1 ) {
+    maps.splice( index, 1 );
+  }
+}
+
+FILES.forEach( function( file ) {
+  maps.push( MapLoader.loadFile( path.join( __dirname, file ), decoders ));
+});
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+
+  // the map that is used when the firmware version is not known
+  defaultMap: maps[0],
+
+  add: add,
+  remove: remove,
+  forVersion: forVersion,
+  compareVersions: compareVersions
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Switches the device's outputs, and the switches of its paired remote
+ *
+ * Outputs are switched through their configuration registers: lo0 and lo1
+ * in the localOutputs bank, ro0 to ro15 in the remoteOutputs bank.  The
+ * remote's switches are set through the remoteSwitches register.  Each
+ * change is read back from the device.
+ *
+ * Changes to remote outputs and switches are passed on to the remote.
+ * Afterwards remoteStatus is polled every pollInterval milliseconds until
+ * it reads one of the acknowledged values; if that does not happen within
+ * ackTimeout milliseconds, the promise rejects with a TimeoutError.
+ *
+ * This check is weak.  DOC0003825A does not describe how the remote
+ * acknowledges a change, so remoteStatus only shows that the remote is
+ * reachable: if it was already online before the write, the check passes
+ * at once, without confirming that this change arrived.  The acknowledged
+ * values (1 and 3) are the ones the simulator uses, and are not confirmed
+ * either; pass the right ones as the acknowledged option.  Nor is it
+ * confirmed that the device passes a write of remoteSwitches on to the
+ * remote.
+ */
+
+// Promise library
+var Promise = require('bluebird');
+
+// Errors reported by AcnPort
+var errors = require('./errors');
+
+// Default raw remoteStatus values taken as an acknowledgement (see above)
+var ACKNOWLEDGED = [ 1, 3 ];
+
+// Default milliseconds to wait for the remote to acknowledge a change
+var ACK_TIMEOUT = 2000;
+
+// Default milliseconds between reads of remoteStatus
+var POLL_INTERVAL = 100;
+
+
+/**
+ * Finds the register of an output
+ *
+ * @param  {object} map    the device's register map
+ * @param  {string} prefix 'lo' or 'ro'
+ * @param  {number} n      the output number
+ * @return {string}        the register name
+ * @throws {Error}         if the device has no such output
+ */
+function outputName( map, prefix, n ) {
+  var name = prefix + n;
+
+  if( !/^\d+$/.test( String( n )) || !map[ name ] ) {
+    throw new Error( 'No such output: ' + name );
+  }
+
+  return name;
+}
+
+/**
+ * Writes a register and checks that it reads back as written
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {string} name    the register name
+ * @param  {varies} value   the formatted value
+ * @param  {object} options request options
+ * @return {Promise}        resolves with the formatted value read back
+ */
+function writeAndCheck( port, name, value, options ) {
+  var reg;
+
+  return port.getMap()
+    .then( function( map ) {
+      reg = map[ name ];
+
+      return port.write( reg, value, options );
+    })
+    .then( function() {
+      var written = reg.value;
+
+      return port.read( reg, options )
+        .then( function() {
+          if( reg.value !== written ) {
+            throw new Error( reg.title + ' reads back as ' + JSON.stringify( reg.format() ));
+          }
+
+          return reg.format();
+        });
+    });
+}
+
+/**
+ * Waits for the remote to acknowledge a change
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {object} options request options, plus ackTimeout,
+ *                          pollInterval and acknowledged (the raw
+ *                          remoteStatus values that count as an
+ *                          acknowledgement)
+ * @return {Promise}        resolves when it does, or rejects with a
+ *                          TimeoutError
+ */
+function waitForAck( port, options ) {
+  options = options || {};
+
+  var timeout = ( 'ackTimeout' in options ) ? options.ackTimeout : ACK_TIMEOUT;
+  var interval = options.pollInterval || POLL_INTERVAL;
+  var acknowledged = options.acknowledged || ACKNOWLEDGED;
+  var deadline = Date.now() + timeout;
+
+  function poll() {
+    return port.read( 'remoteStatus', options )
+      .then( function( reg ) {
+        if( acknowledged.indexOf( reg.value ) > -1 ) {
+          return;
+        }
+
+        if( Date.now() + interval > deadline ) {
+          throw new errors.TimeoutError( 'The remote did not acknowledge the change (status ' +
+            reg.value + ')' );
+        }
+
+        return Promise.delay( interval ).then( poll );
+      });
+  }
+
+  return poll();
+}
+
+/**
+ * Writes a remote register, and waits for the remote to acknowledge it
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {string} name    the register name
+ * @param  {varies} value   the formatted value
+ * @param  {object} options see waitForAck()
+ * @return {Promise}        resolves with the formatted value read back
+ */
+function writeRemote( port, name, value, options ) {
+  return writeAndCheck( port, name, value, options )
+    .then( function( result ) {
+      return waitForAck( port, options ).return( result );
+    });
+}
+
+/**
+ * Reads an output's configuration and changes it
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {string} prefix  'lo' or 'ro'
+ * @param  {number} n       the output number
+ * @param  {boolean|object} state whether the output is on, or its whole
+ *                          configuration ({ active, duty, period })
+ * @param  {object} options request options
+ * @return {Promise}        resolves with { name, value }
+ */
+function outputValue( port, prefix, n, state, options ) {
+  return port.getMap()
+    .then( function( map ) {
+      return port.read( outputName( map, prefix, n ), options );
+    })
+    .then( function( reg ) {
+      var value = ( 'object' === typeof state && state !== null ) ? state :
+        Object.assign( reg.format(), { active: Boolean( state ) });
+
+      return { name: reg.name, value: value };
+    });
+}
+
+/**
+ * Turns a local output on or off
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {number} n       the output number (0 or 1)
+ * @param  {boolean|object} state whether the output is on, keeping its
+ *                          duty and period, or its whole configuration
+ * @param  {object} options request options
+ * @return {Promise}        resolves with the output's configuration
+ */
+function setLocalOutput( port, n, state, options ) {
+  return outputValue( port, 'lo', n, state, options )
+    .then( function( output ) {
+      return writeAndCheck( port, output.name, output.value, options );
+    });
+}
+
+/**
+ * Turns a remote output on or off
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {number} n       the output number (0 to 15)
+ * @param  {boolean|object} state whether the output is on, keeping its
+ *                          duty and period, or its whole configuration
+ * @param  {object} options see waitForAck()
+ * @return {Promise}        resolves with the output's configuration
+ */
+function setRemoteOutput( port, n, state, options ) {
+  return outputValue( port, 'ro', n, state, options )
+    .then( function( output ) {
+      return writeRemote( port, output.name, output.value, options );
+    });
+}
+
+/**
+ * Turns a remote output on, then off again
+ *
+ * The output is switched off even if switching it on fails, since the
+ * write may have reached the device before the failure.
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {number} n       the output number (0 to 15)
+ * @param  {number} ms      milliseconds the output stays on
+ * @param  {object} options see waitForAck()
+ * @return {Promise}        resolves with the output's configuration once
+ *                          it is off; rejects with the first error
+ */
+function pulseRemoteOutput( port, n, ms, options ) {
+  var off = function() {
+    return setRemoteOutput( port, n, false, options );
+  };
+
+  return setRemoteOutput( port, n, true, options )
+    .delay( ms )
+    .then( off, function( err ) {
+      // report why switching on failed, once the output is off
+      return off().finally( function() { throw err; });
+    });
+}
+
+/**
+ * Sets the switches of the paired remote
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {number|Array} mask 16-bit mask (bit 0 is switch 0), or an array
+ *                          of booleans
+ * @param  {object} options see waitForAck()
+ * @return {Promise}        resolves with the switches, as an array of
+ *                          booleans
+ */
+function setSwitchMask( port, mask, options ) {
+  return writeRemote( port, 'remoteSwitches', mask, options );
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  setLocalOutput: setLocalOutput,
+  setRemoteOutput: setRemoteOutput,
+  pulseRemoteOutput: pulseRemoteOutput,
+  setSwitchMask: setSwitchMask,
+  waitForAck: waitForAck
+};
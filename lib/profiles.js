@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * Configuration profiles: the settings of one unit, saved so they can be
+ * applied to others
+ *
+ * A profile is a JSON document like
+ *
+ *   {
+ *     "profile": "cs-acn",
+ *     "version": 1,
+ *     "device": { "product": 1, "productType": "...", "firmware": "1.2.3" },
+ *     "created": "2017-03-01T12:00:00.000Z",
+ *     "config": { "channelMap": "0x07ff", "msBetweenStatusTx": 500, ... },
+ *     "outputs": { "lo0": { "active": true, "duty": 50, "period": 200 }, ... }
+ *   }
+ *
+ * config holds the registers of the config bank, in the formatted form
+ * that reading the bank returns.  The MODBUS slave ID identifies the unit
+ * on its bus rather than its setup, so it is not included.  outputs holds
+ * the local and remote output configuration, keyed by register name; it is
+ * optional, and outputs that are left out keep their setting.
+ *
+ * Before a profile is applied, the device must be the same product, and
+ * its firmware must use the same register map as the firmware the profile
+ * was exported from (see maps.forVersion), unless the force option is set.
+ *
+ */
+
+// Promise library
+var Promise = require('bluebird');
+
+// Register maps for each firmware version
+var maps = require('./maps');
+
+// Configuration editing
+var configEditor = require('./configEditor');
+
+// Identifies the profile format
+var PROFILE = 'cs-acn';
+var VERSION = 1;
+
+// Registers that are not part of a profile
+var EXCLUDED = [ 'modbusSlaveId' ];
+
+// Banks whose registers are kept in the outputs section
+var OUTPUT_BANKS = [ 'localOutputs', 'remoteOutputs' ];
+
+
+/**
+ * Lists the banks a profile sets on a device
+ *
+ * @param  {object} map     the device's register map
+ * @param  {object} profile the profile
+ * @return {Array}          { bank, values } for each bank
+ */
+function sections( map, profile ) {
+  var result = [ { bank: 'config', values: profile.config } ];
+
+  if( profile.outputs ) {
+    OUTPUT_BANKS.filter( function( bank ) { return map[ bank ]; })
+      .forEach( function( bank ) {
+        result.push( { bank: bank, values: profile.outputs } );
+      });
+  }
+
+  return result;
+}
+
+
+/**
+ * Reads the configuration of a device into a profile
+ *
+ * @param  {AcnPort} port the port the device is connected to
+ * @return {Promise}      resolves with the profile
+ */
+function exportProfile( port ) {
+  var profile = { profile: PROFILE, version: VERSION };
+
+  return port.getSlaveId()
+    .then( function( id ) {
+      profile.device = { product: id.product, productType: id.productType, firmware: id.version };
+      profile.created = new Date().toISOString();
+
+      return configEditor.preview( port, {} );
+    })
+    .then( function( result ) {
+      profile.config = {};
+
+      Object.keys( result.current ).forEach( function( name ) {
+        if( EXCLUDED.indexOf( name ) === -1 ) {
+          profile.config[ name ] = result.current[ name ];
+        }
+      });
+
+      return port.getMap();
+    })
+    .then( function( map ) {
+      var banks = OUTPUT_BANKS.filter( function( bank ) { return map[ bank ]; });
+
+      return Promise.mapSeries( banks, function( bank ) {
+        return configEditor.preview( port, {}, bank );
+      });
+    })
+    .then( function( results ) {
+      if( results.length > 0 ) {
+        profile.outputs = results.reduce( function( outputs, result ) {
+          return Object.assign( outputs, result.current );
+        }, {} );
+      }
+
+      return profile;
+    });
+}
+
+/**
+ * Checks that a profile can be applied to a device
+ *
+ * @param  {object} profile the profile
+ * @param  {object} id      the device's identity (see AcnPort.getSlaveId)
+ * @param  {object} options force: skip the device type and firmware checks
+ * @throws {Error}          if it can't
+ */
+function check( profile, id, options ) {
+  if( !profile || profile.profile !== PROFILE || 'object' !== typeof( profile.config )) {
+    throw new Error( 'Not a configuration profile' );
+  }
+
+  if( profile.version > VERSION ) {
+    throw new Error( 'Profile version ' + profile.version + ' is not supported' );
+  }
+
+  if( options && options.force ) {
+    return;
+  }
+
+  var device = profile.device || {};
+
+  if( device.product !== id.product ) {
+    throw new Error( 'Profile is for ' + ( device.productType || device.product ) +
+      ', not ' + ( id.productType || id.product ));
+  }
+
+  if( maps.forVersion( device.firmware ) !== maps.forVersion( id.version )) {
+    throw new Error( 'Profile is for firmware ' + device.firmware +
+      ', which is not compatible with ' + id.version );
+  }
+}
+
+/**
+ * Applies a profile to a device
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {object} profile the profile
+ * @param  {object} options optional settings:
+ *   dryRun: only compare the profile with the device
+ *   force: skip the device type and firmware checks
+ * @return {Promise}        resolves with { serialNumber, dryRun, changes,
+ *                          mismatches }: the registers that differ (see
+ *                          configEditor.diff), and for a real run the ones
+ *                          that did not read back as written.  Nothing is
+ *                          written if any of the values is not valid.
+ */
+function apply( port, profile, options ) {
+  options = options || {};
+
+  var result = { dryRun: Boolean( options.dryRun ), changes: [], mismatches: [] };
+  var banks;
+
+  return port.getSlaveId()
+    .then( function( id ) {
+      result.serialNumber = id.serialNumber;
+      check( profile, id, options );
+
+      return port.getMap();
+    })
+    .then( function( map ) {
+      banks = sections( map, profile );
+
+      return Promise.mapSeries( banks, function( section ) {
+        return configEditor.preview( port, section.values, section.bank );
+      });
+    })
+    .then( function( previews ) {
+      var changes = [].concat.apply( [], previews.map( function( preview ) { return preview.changes; }));
+      var invalid = changes.filter( function( change ) { return change.error; });
+
+      if( invalid.length > 0 ) {
+        throw new Error( invalid.map( function( change ) { return change.error; }).join( '; ' ));
+      }
+
+      if( options.dryRun ) {
+        result.changes = changes;
+        return;
+      }
+
+      return Promise.each( banks, function( section ) {
+        return configEditor.apply( port, section.values, section.bank )
+          .then( function( applied ) {
+            result.changes = result.changes.concat( applied.changes );
+            result.mismatches = result.mismatches.concat( applied.mismatches );
+          });
+      });
+    })
+    .then( function() {
+      return result;
+    });
+}
+
+/**
+ * Applies a profile to several devices, one after the other
+ *
+ * A device that fails does not stop the others.
+ *
+ * @param  {Array} ports    the ports the devices are connected to
+ * @param  {object} profile the profile
+ * @param  {object} options see apply()
+ * @return {Promise}        resolves with the result for each port: what
+ *                          apply() resolves with, plus the port name, or
+ *                          { port, error } if it failed
+ */
+function applyAll( ports, profile, options ) {
+  return Promise.mapSeries( ports, function( port ) {
+    return Promise.try( function() { return apply( port, profile, options ); })
+      .then( function( result ) {
+        return Object.assign( { port: port.name }, result );
+      })
+      .catch( function( err ) {
+        return { port: port.name, error: err.message };
+      });
+  });
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  exportProfile: exportProfile,
+  check: check,
+  apply: apply,
+  applyAll: applyAll
+};
@@ -0,0 +1,299 @@
+/**
+ * Stores telemetry records in an append-only text file
+ *
+ * Two formats are supported:
+ *   jsonl: one JSON object per line
+ *   csv:   a header line followed by time,device,register,value lines,
+ *          where value is JSON (quoted as needed for CSV)
+ *
+ * In both, time is an ISO 8601 string so the files are easy to read and
+ * to import into other tools.  Records are only ever appended, except
+ * when prune() rewrites the file to drop old records.
+ */
+'use strict';
+
+// File system
+var fs = require('fs');
+
+// Promise library
+var Promise = require('bluebird');
+
+// Promise versions of the file system functions we use
+var appendFile = Promise.promisify( fs.appendFile );
+var readFile = Promise.promisify( fs.readFile );
+var writeFile = Promise.promisify( fs.writeFile );
+var rename = Promise.promisify( fs.rename );
+
+// Columns of a CSV file
+var CSV_HEADER = 'time,device,register,value';
+
+
+/**
+ * Quotes a CSV field if necessary
+ *
+ * @param  {string} field the field
+ * @return {string}       the field, quoted if it contains , " or a newline
+ */
+function csvQuote( field ) {
+  return /[",\r\n]/.test( field ) ? '"' + field.replace( /"/g, '""' ) + '"' : field;
+}
+
+/**
+ * Splits a CSV line into fields
+ *
+ * @param  {string} line the line
+ * @return {Array}       the fields
+ */
+function csvSplit( line ) {
+  var fields = [];
+  var re = /(?:^|,)(?:"((?:[^"]|"")*)"|([^,]*))/g;
+  var match;
+
+  while( ( match = re.exec( line )) !== null && fields.length < 4 ) {
+    fields.push( match[1] !== undefined ? match[1].replace( /""/g, '"' ) : match[2] );
+  }
+
+  return fields;
+}
+
+// How records are written and read in each format
+var FORMATS = {
+
+  jsonl: {
+    header: null,
+
+    format: function( record ) {
+      return JSON.stringify( {
+        time: new Date( record.time ).toISOString(),
+        device: record.device,
+        register: record.register,
+        value: record.value
+      });
+    },
+
+    parse: function( line ) {
+      var record = JSON.parse( line );
+
+      record.time = Date.parse( record.time );
+      return record;
+    }
+  },
+
+  csv: {
+    header: CSV_HEADER,
+
+    format: function( record ) {
+      return [
+        new Date( record.time ).toISOString(),
+        csvQuote( String( record.device )),
+        csvQuote( String( record.register )),
+        csvQuote( JSON.stringify( record.value ))
+      ].join( ',' );
+    },
+
+    parse: function( line ) {
+      var fields = csvSplit( line );
+
+      return {
+        time: Date.parse( fields[0] ),
+        device: fields[1],
+        register: fields[2],
+        value: JSON.parse( fields[3] )
+      };
+    }
+  }
+};
+
+
+/**
+ * Checks whether a record matches a query
+ *
+ * @param  {object} record the record
+ * @param  {object} filter {device, register, from, to}
+ * @return {boolean}       true if it matches
+ */
+function matches( record, filter ) {
+  return ( filter.device === undefined || record.device === filter.device ) &&
+    ( filter.register === undefined || record.register === filter.register ) &&
+    ( filter.from === undefined || record.time >= filter.from ) &&
+    ( filter.to === undefined || record.time <= filter.to );
+}
+
+
+/**
+ * Constructor
+ *
+ * @param {string} file   name of the file
+ * @param {string} format 'jsonl' or 'csv'
+ */
+function FileStore( file, format ) {
+  if( !file ) {
+    throw new Error( 'A file name is needed to record telemetry' );
+  }
+
+  this.file = file;
+  this.format = FORMATS[ format ];
+
+  // file operations are carried out one at a time, in order
+  this.pending = Promise.resolve();
+}
+
+/**
+ * Runs a file operation after the ones already started
+ *
+ * @param  {Function} operation returns a Promise
+ * @return {Promise}            resolves with the operation's result
+ */
+FileStore.prototype.serialize = function( operation ) {
+  var result = this.pending.then( operation );
+
+  this.pending = result.catch( function() {} );
+
+  return result;
+};
+
+/**
+ * Creates the file if it doesn't exist
+ *
+ * @return {Promise} resolves when the file is ready
+ */
+FileStore.prototype.open = function() {
+  var me = this;
+
+  return me.serialize( function() {
+    if( fs.existsSync( me.file )) {
+      return;
+    }
+
+    return writeFile( me.file, me.format.header ? me.format.header + '\n' : '' );
+  });
+};
+
+/**
+ * Adds records to the end of the file
+ *
+ * @param  {Array} records the records
+ * @return {Promise}       resolves when they are written
+ */
+FileStore.prototype.append = function( records ) {
+  var me = this;
+  var text = records.map( function( record ) {
+    return me.format.format( record ) + '\n';
+  }).join( '' );
+
+  return me.serialize( function() {
+    return appendFile( me.file, text );
+  });
+};
+
+/**
+ * Reads every record in the file
+ *
+ * Lines that can't be parsed (for example one cut short by a crash) are
+ * skipped.
+ *
+ * @return {Promise} resolves with the records, in the order written
+ */
+FileStore.prototype.readAll = function() {
+  var me = this;
+
+  return readFile( me.file, 'utf8' )
+    .then( function( text ) {
+      var records = [];
+
+      text.split( /\r?\n/ ).forEach( function( line ) {
+        if( line && line !== me.format.header ) {
+          try {
+            records.push( me.format.parse( line ));
+          }
+          catch( e ) {
+            // ignore the damaged line
+          }
+        }
+      });
+
+      return records;
+    });
+};
+
+/**
+ * Finds records
+ *
+ * @param  {object} filter {device, register, from, to, limit}; limit
+ *                         keeps the most recent records
+ * @return {Promise}       resolves with the records, oldest first
+ */
+FileStore.prototype.query = function( filter ) {
+  var me = this;
+
+  return me.serialize( function() { return me.readAll(); })
+    .then( function( records ) {
+      var found = records
+        .filter( function( record ) { return matches( record, filter ); })
+        .sort( function( a, b ) { return a.time - b.time; });
+
+      return filter.limit ? found.slice( -filter.limit ) : found;
+    });
+};
+
+/**
+ * Removes old records by rewriting the file
+ *
+ * @param  {number} maxAge     milliseconds to keep records (optional)
+ * @param  {number} maxRecords number of records to keep (optional)
+ * @return {Promise}           resolves with the number of records removed
+ */
+FileStore.prototype.prune = function( maxAge, maxRecords ) {
+  var me = this;
+
+  return me.serialize( function() {
+    return me.readAll()
+      .then( function( records ) {
+        var kept = records;
+
+        if( maxAge ) {
+          var oldest = Date.now() - maxAge;
+
+          kept = kept.filter( function( record ) { return record.time >= oldest; });
+        }
+
+        if( maxRecords && kept.length > maxRecords ) {
+          kept = kept.slice( -maxRecords );
+        }
+
+        if( kept.length === records.length ) {
+          return 0;
+        }
+
+        var lines = kept.map( function( record ) { return me.format.format( record ) + '\n'; });
+
+        if( me.format.header ) {
+          lines.unshift( me.format.header + '\n' );
+        }
+
+        // replace the file in one step, so a crash can't leave it half written
+        return writeFile( me.file + '.tmp', lines.join( '' ))
+          .then( function() { return rename( me.file + '.tmp', me.file ); })
+          .then( function() { return records.length - kept.length; });
+      });
+  });
+};
+
+/**
+ * Waits for pending writes to finish
+ *
+ * @return {Promise} resolves when the file is no longer in use
+ */
+FileStore.prototype.close = function() {
+  return this.serialize( function() {} );
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = FileStore;
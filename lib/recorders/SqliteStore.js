@@ -0,0 +1,258 @@
+/**
+ * Stores telemetry records in a SQLite database
+ *
+ * Records are kept in a 'telemetry' table with columns time (milliseconds
+ * since 1970), device, register and value (JSON), indexed for queries by
+ * device, register and time.
+ *
+ * This needs the sqlite3 package, which is an optional dependency because
+ * it includes a native module.
+ */
+'use strict';
+
+// Promise library
+var Promise = require('bluebird');
+
+// Statements that create the database
+var SCHEMA = [
+  'CREATE TABLE IF NOT EXISTS telemetry (' +
+    'time INTEGER NOT NULL, device TEXT, register TEXT, value TEXT)',
+  'CREATE INDEX IF NOT EXISTS telemetry_lookup ON telemetry (device, register, time)',
+  'CREATE INDEX IF NOT EXISTS telemetry_time ON telemetry (time)'
+];
+
+
+/**
+ * Constructor
+ *
+ * @param {string} file name of the database file
+ */
+function SqliteStore( file ) {
+  if( !file ) {
+    throw new Error( 'A file name is needed to record telemetry' );
+  }
+
+  this.file = file;
+  this.db = null;
+
+  // transactions are carried out one at a time, in order
+  this.pending = Promise.resolve();
+}
+
+/**
+ * Runs an operation after the ones already started
+ *
+ * @param  {Function} operation returns a Promise
+ * @return {Promise}            resolves with the operation's result
+ */
+SqliteStore.prototype.serialize = function( operation ) {
+  var result = this.pending.then( operation );
+
+  this.pending = result.catch( function() {} );
+
+  return result;
+};
+
+/**
+ * Runs a statement that doesn't return rows
+ *
+ * @param  {string} sql    the statement
+ * @param  {Array} params  values for the ? placeholders
+ * @return {Promise}       resolves with the number of rows changed
+ */
+SqliteStore.prototype.run = function( sql, params ) {
+  var db = this.db;
+
+  return new Promise( function( resolve, reject ) {
+    db.run( sql, params || [], function( err ) {
+      if( err ) {
+        reject( err );
+      }
+      else {
+        resolve( this.changes );
+      }
+    });
+  });
+};
+
+/**
+ * Runs a query
+ *
+ * @param  {string} sql    the query
+ * @param  {Array} params  values for the ? placeholders
+ * @return {Promise}       resolves with the rows
+ */
+SqliteStore.prototype.all = function( sql, params ) {
+  var db = this.db;
+
+  return new Promise( function( resolve, reject ) {
+    db.all( sql, params || [], function( err, rows ) {
+      if( err ) {
+        reject( err );
+      }
+      else {
+        resolve( rows );
+      }
+    });
+  });
+};
+
+/**
+ * Opens the database, creating it if necessary
+ *
+ * @return {Promise} resolves when the database is ready
+ */
+SqliteStore.prototype.open = function() {
+  var me = this;
+
+  return new Promise( function( resolve, reject ) {
+    var sqlite3 = require('sqlite3');
+
+    me.db = new sqlite3.Database( me.file, function( err ) {
+      if( err ) {
+        reject( err );
+      }
+      else {
+        resolve();
+      }
+    });
+  })
+  .then( function() {
+    return Promise.each( SCHEMA, function( sql ) { return me.run( sql ); });
+  });
+};
+
+/**
+ * Adds records
+ *
+ * @param  {Array} records the records
+ * @return {Promise}       resolves when they are stored
+ */
+SqliteStore.prototype.append = function( records ) {
+  var me = this;
+
+  return me.serialize( function() {
+    return me.run( 'BEGIN' )
+      .then( function() {
+        return Promise.each( records, function( record ) {
+          return me.run( 'INSERT INTO telemetry (time, device, register, value) VALUES (?, ?, ?, ?)',
+            [ record.time, record.device, record.register, JSON.stringify( record.value ) ] );
+        });
+      })
+      .then( function() { return me.run( 'COMMIT' ); })
+      .catch( function( err ) {
+        return me.run( 'ROLLBACK' ).finally( function() { throw err; });
+      });
+  });
+};
+
+/**
+ * Finds records
+ *
+ * @param  {object} filter {device, register, from, to, limit}; limit
+ *                         keeps the most recent records
+ * @return {Promise}       resolves with the records, oldest first
+ */
+SqliteStore.prototype.query = function( filter ) {
+  var me = this;
+  var where = [];
+  var params = [];
+
+  [ [ 'device', 'device = ?' ],
+    [ 'register', 'register = ?' ],
+    [ 'from', 'time >= ?' ],
+    [ 'to', 'time <= ?' ] ].forEach( function( condition ) {
+    if( filter[ condition[0] ] !== undefined ) {
+      where.push( condition[1] );
+      params.push( filter[ condition[0] ] );
+    }
+  });
+
+  var sql = 'SELECT rowid, time, device, register, value FROM telemetry' +
+    ( where.length ? ' WHERE ' + where.join( ' AND ' ) : '' ) +
+    ' ORDER BY time DESC, rowid DESC';
+
+  if( filter.limit ) {
+    sql += ' LIMIT ?';
+    params.push( filter.limit );
+  }
+
+  return this.serialize( function() { return me.all( sql, params ); })
+    .then( function( rows ) {
+      return rows.reverse().map( function( row ) {
+        return {
+          time: row.time,
+          device: row.device,
+          register: row.register,
+          value: JSON.parse( row.value )
+        };
+      });
+    });
+};
+
+/**
+ * Removes old records
+ *
+ * @param  {number} maxAge     milliseconds to keep records (optional)
+ * @param  {number} maxRecords number of records to keep (optional)
+ * @return {Promise}           resolves with the number of records removed
+ */
+SqliteStore.prototype.prune = function( maxAge, maxRecords ) {
+  var me = this;
+  var removed = 0;
+
+  return me.serialize( function() {
+    return Promise.try( function() {
+      if( maxAge ) {
+        return me.run( 'DELETE FROM telemetry WHERE time < ?', [ Date.now() - maxAge ] )
+          .then( function( changes ) { removed += changes; });
+      }
+    })
+    .then( function() {
+      if( maxRecords ) {
+        return me.run( 'DELETE FROM telemetry WHERE rowid NOT IN ' +
+          '(SELECT rowid FROM telemetry ORDER BY time DESC, rowid DESC LIMIT ?)', [ maxRecords ] )
+          .then( function( changes ) { removed += changes; });
+      }
+    })
+    .then( function() { return removed; });
+  });
+};
+
+/**
+ * Closes the database
+ *
+ * @return {Promise} resolves when it is closed
+ */
+SqliteStore.prototype.close = function() {
+  var me = this;
+
+  return me.serialize( function() {
+    return new Promise( function( resolve, reject ) {
+      if( !me.db ) {
+        return resolve();
+      }
+
+      me.db.close( function( err ) {
+        me.db = null;
+
+        if( err ) {
+          reject( err );
+        }
+        else {
+          resolve();
+        }
+      });
+    });
+  });
+};
+
+
+/**
+ * Public interface to this module
+ *
+ * The object constructor is available to our client
+ *
+ * @ignore
+ */
+module.exports = SqliteStore;
@@ -0,0 +1,32 @@
+/**
+ * Storage backends for the telemetry Recorder
+ *
+ * Each factory is called with the recorder options and returns a store
+ * with these methods, each returning a Promise:
+ *
+ *   open()                  prepare the file or database
+ *   append(records)         add records ({time, device, register, value})
+ *   query(filter)           find records ({device, register, from, to,
+ *                           limit}), oldest first
+ *   prune(maxAge, maxRecords) remove old records
+ *   close()                 release the file or database
+ *
+ * Applications can add their own store types to this table.
+ */
+'use strict';
+
+module.exports = {
+
+  'jsonl': function( options ) {
+    return new (require('./FileStore'))( options.file, 'jsonl' );
+  },
+
+  'csv': function( options ) {
+    return new (require('./FileStore'))( options.file, 'csv' );
+  },
+
+  'sqlite': function( options ) {
+    return new (require('./SqliteStore'))( options.file );
+  },
+
+};
@@ -0,0 +1,408 @@
+'use strict';
+
+/**
+ * Discovers the wireless network around one or more ACN devices
+ *
+ * Each device that can be reached through a port is asked for its network
+ * status, coordinator status and connection table (and its peers are
+ * pinged, to measure the links), and the answers are combined into a
+ * graph:
+ *
+ *   {
+ *     nodes: [ { id, role, panId, shortAddress, longAddress, channel,
+ *                port, serialNumber } ],
+ *     edges: [ { from, to, type, hops, lqi, rssi, nextHop, errors } ],
+ *     errors: [ { port, error } ]
+ *   }
+ *
+ * Nodes in a network are identified by PAN ID and short address, like
+ * '1234:0100', so a device seen by several others is only listed once.  A
+ * device that has not joined a network is identified by its port, like
+ * 'port:COM3'.  port and serialNumber are only known for the devices that
+ * were reached, and longAddress (the MAC address) for the devices that
+ * are in the connection table of another.
+ *
+ * Following MiWi PRO addressing, coordinator n has the short address
+ * n << 8: the routing table, the list of known coordinators and the parent
+ * in the network status refer to coordinators by n.
+ *
+ * Edges are listed from the point of view of the device that reported
+ * them:
+ *   connection  a peer in the device's connection table.  hops is 1 if
+ *               the connection is direct; lqi and rssi are the link
+ *               quality the peer measured when it was pinged.
+ *   parent      the coordinator the device joined through
+ *   route       a coordinator in the device's routing table.  nextHop is
+ *               the node messages for it are sent to, errors the routing
+ *               error count, and hops the length of the route, if the
+ *               routing tables that were read show all of it (otherwise
+ *               null).
+ *
+ * errors lists the ports whose device could not be read.
+ */
+
+// Promise library
+var Promise = require('bluebird');
+
+// Value used by the device for 'no coordinator'
+var NONE = 0xFF;
+
+// Short address of a device that is not in a network
+var NO_ADDRESS = 'ffff';
+
+// Graphviz edge style for each type of edge
+var EDGE_STYLES = {
+  connection: 'solid',
+  parent: 'dotted',
+  route: 'dashed'
+};
+
+
+/**
+ * Makes the ID of a node in a network
+ *
+ * @param  {string} panId        the PAN ID, like '1234'
+ * @param  {string} shortAddress the short address, like '0100'
+ * @return {string}              like '1234:0100'
+ */
+function nodeId( panId, shortAddress ) {
+  return panId + ':' + shortAddress;
+}
+
+/**
+ * Returns the short address of a coordinator
+ *
+ * @param  {number} n the coordinator number
+ * @return {string}   like '0300'
+ */
+function coordinatorAddress( n ) {
+  return ( '000' + ( n << 8 ).toString(16) ).slice( -4 );
+}
+
+/**
+ * Guesses the role of a node that was not read, from its short address
+ *
+ * @param  {string} shortAddress the short address
+ * @return {string}              'Net Coordinator', 'Coordinator' or
+ *                               'End Device'
+ */
+function roleOf( shortAddress ) {
+  if( shortAddress === '0000' ) {
+    return 'Net Coordinator';
+  }
+
+  return /00$/.test( shortAddress ) ? 'Coordinator' : 'End Device';
+}
+
+/**
+ * Measures the link to a peer
+ *
+ * @param  {AcnPort} port       the port the device is connected to
+ * @param  {object} connection  the peer's connection table entry
+ * @return {Promise}            resolves with { lqi, rssi }, or null if the
+ *                              peer did not answer
+ */
+function measure( port, connection ) {
+  return port.ping( parseInt( connection.altAddress, 16 ))
+    .then( function( result ) {
+      return result.error ? null : result.fwd;
+    })
+    .catch( function() {
+      return null;
+    });
+}
+
+/**
+ * Reads what a device knows about the network
+ *
+ * @param  {AcnPort} port   the port the device is connected to
+ * @param  {object} options see discover()
+ * @return {Promise}        resolves with { port, serialNumber, network,
+ *                          coord, connections, links }
+ */
+function survey( port, options ) {
+  var result = { port: port.name };
+
+  return port.getSlaveId()
+    .then( function( id ) {
+      result.serialNumber = id.serialNumber;
+
+      return port.read( 'networkStatus' );
+    })
+    .then( function( status ) {
+      result.network = status.format();
+
+      return port.getCoord();
+    })
+    .then( function( coord ) {
+      result.coord = coord;
+
+      return port.getConnections();
+    })
+    .then( function( connections ) {
+      result.connections = connections;
+
+      return options.ping ? Promise.mapSeries( connections, function( connection ) {
+        return measure( port, connection );
+      }) : [];
+    })
+    .then( function( links ) {
+      result.links = links;
+
+      return result;
+    });
+}
+
+/**
+ * Returns the node ID of a surveyed device
+ *
+ * @param  {object} device result of survey()
+ * @return {string}        the node ID
+ */
+function deviceId( device ) {
+  var network = device.network;
+
+  return ( network.shortAddress === NO_ADDRESS ) ? 'port:' + device.port :
+    nodeId( network.panId, network.shortAddress );
+}
+
+/**
+ * Collects the nodes and edges of a graph
+ *
+ * @return {object} { nodes, edges, addNode(properties) }; addNode adds a
+ *                  node, or fills in the properties of a node that is
+ *                  already known
+ */
+function createGraph() {
+  var graph = { nodes: [], edges: [] };
+  var byId = {};
+
+  graph.addNode = function( properties ) {
+    var node = byId[ properties.id ];
+
+    if( !node ) {
+      node = byId[ properties.id ] = {};
+      graph.nodes.push( node );
+    }
+
+    Object.keys( properties ).forEach( function( key ) {
+      if( !( key in node ) && properties[ key ] !== null && properties[ key ] !== undefined ) {
+        node[ key ] = properties[ key ];
+      }
+    });
+
+    return node;
+  };
+
+  return graph;
+}
+
+/**
+ * Adds the edges reported by a device, and the nodes they lead to
+ *
+ * @param {object} graph  the graph (see createGraph)
+ * @param {object} device result of survey()
+ */
+function addEdges( graph, device ) {
+  var from = deviceId( device );
+  var network = device.network;
+
+  device.connections.forEach( function( connection, index ) {
+    var link = device.links[ index ] || {};
+    var peer = graph.addNode( {
+      id: nodeId( connection.panId, connection.altAddress ),
+      role: roleOf( connection.altAddress ),
+      panId: connection.panId,
+      shortAddress: connection.altAddress,
+      longAddress: connection.address
+    });
+
+    graph.edges.push( {
+      from: from,
+      to: peer.id,
+      type: 'connection',
+      hops: connection.status.directConnection ? 1 : null,
+      lqi: ( 'lqi' in link ) ? link.lqi : null,
+      rssi: ( 'rssi' in link ) ? link.rssi : null
+    });
+  });
+
+  if( network.shortAddress === NO_ADDRESS ) {
+    return;
+  }
+
+  // adds a coordinator of the device's network, and returns its ID
+  var coordinator = function( n ) {
+    var address = coordinatorAddress( n );
+
+    return graph.addNode( {
+      id: nodeId( network.panId, address ),
+      role: roleOf( address ),
+      panId: network.panId,
+      shortAddress: address
+    }).id;
+  };
+
+  if( network.parent !== NONE && coordinator( network.parent ) !== from ) {
+    graph.edges.push( { from: from, to: coordinator( network.parent ), type: 'parent', hops: 1 } );
+  }
+
+  device.coord.route.forEach( function( route ) {
+    if( device.coord.known[ route.to ] && route.nextHop !== NONE && coordinator( route.to ) !== from ) {
+      graph.edges.push( {
+        from: from,
+        to: coordinator( route.to ),
+        type: 'route',
+        nextHop: coordinator( route.nextHop ),
+        errors: route.errors,
+        hops: null
+      });
+    }
+  });
+}
+
+/**
+ * Works out the length of each route, by following the routing tables
+ * of the devices that were read
+ *
+ * @param {Array} edges the graph's edges
+ */
+function countHops( edges ) {
+  var routes = edges.filter( function( edge ) { return edge.type === 'route'; });
+
+  // the next hop from a node towards a coordinator, if known
+  var nextHop = function( from, to ) {
+    var route = routes.filter( function( r ) { return r.from === from && r.to === to; })[0];
+
+    return route && route.nextHop;
+  };
+
+  var hops = function( from, to, visited ) {
+    var next = nextHop( from, to );
+
+    if( !next || visited.indexOf( next ) > -1 ) {
+      return null;
+    }
+
+    if( next === to ) {
+      return 1;
+    }
+
+    var rest = hops( next, to, visited.concat( from ));
+
+    return ( rest === null ) ? null : rest + 1;
+  };
+
+  routes.forEach( function( route ) {
+    route.hops = hops( route.from, route.to, [] );
+  });
+}
+
+/**
+ * Discovers the network seen by one or more devices
+ *
+ * @param  {AcnPort|Array} ports the port(s) the devices are connected to
+ * @param  {object} options optional settings:
+ *   ping: whether to ping each peer to measure the link (default true)
+ * @return {Promise}              resolves with the graph
+ */
+function discover( ports, options ) {
+  options = Object.assign( { ping: true }, options );
+
+  var errors = [];
+
+  return Promise.mapSeries( [].concat( ports ), function( port ) {
+    return Promise.try( function() { return survey( port, options ); })
+      .catch( function( err ) {
+        errors.push( { port: port.name, error: err.message } );
+      });
+  })
+  .then( function( results ) {
+    var devices = results.filter( Boolean );
+    var graph = createGraph();
+
+    // the devices that were read come first, and their own view of
+    // themselves takes precedence over what others report
+    devices.forEach( function( device ) {
+      graph.addNode( {
+        id: deviceId( device ),
+        role: device.coord.roleType,
+        panId: device.network.shortAddress === NO_ADDRESS ? null : device.network.panId,
+        shortAddress: device.network.shortAddress === NO_ADDRESS ? null : device.network.shortAddress,
+        channel: device.network.currentChannel,
+        port: device.port,
+        serialNumber: device.serialNumber
+      });
+    });
+
+    devices.forEach( function( device ) { addEdges( graph, device ); });
+    countHops( graph.edges );
+
+    return { nodes: graph.nodes, edges: graph.edges, errors: errors };
+  });
+}
+
+/**
+ * Quotes a Graphviz ID
+ *
+ * @param  {string} text the text
+ * @return {string}      the quoted text
+ */
+function quote( text ) {
+  return '"' + String( text ).replace( /["\\]/g, '\\$&' ) + '"';
+}
+
+/**
+ * Describes a graph in the Graphviz DOT language
+ *
+ * Devices that were read are drawn in bold.  Connections are solid lines,
+ * parents dotted and routes dashed.
+ *
+ * @param  {object} graph result of discover()
+ * @return {string}       the DOT source
+ */
+function toDot( graph ) {
+  var lines = [ 'digraph acn {', '  node [shape=box];' ];
+
+  graph.nodes.forEach( function( node ) {
+    var label = [ node.role, node.shortAddress, node.longAddress, node.port ]
+      .filter( Boolean )
+      .map( function( part ) { return quote( part ).slice( 1, -1 ); })
+      .join( '\\n' );
+
+    lines.push( '  ' + quote( node.id ) + ' [label="' + label + '"' +
+      ( node.port ? ', style=bold' : '' ) + '];' );
+  });
+
+  graph.edges.forEach( function( edge ) {
+    var label = [ edge.type ];
+
+    if( edge.hops ) {
+      label.push( edge.hops + ( edge.hops === 1 ? ' hop' : ' hops' ));
+    }
+    if( edge.lqi !== null && edge.lqi !== undefined ) {
+      label.push( 'LQI ' + edge.lqi + ', RSSI ' + edge.rssi );
+    }
+    if( edge.errors ) {
+      label.push( edge.errors + ' errors' );
+    }
+
+    lines.push( '  ' + quote( edge.from ) + ' -> ' + quote( edge.to ) +
+      ' [label=' + quote( label.join( ', ' )) + ', style=' + EDGE_STYLES[ edge.type ] + '];' );
+  });
+
+  lines.push( '}' );
+
+  return lines.join( '\n' ) + '\n';
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  discover: discover,
+  toDot: toDot
+};
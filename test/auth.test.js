@@ -0,0 +1,213 @@
+/**
+ * Test script to verify authentication and roles
+ *
+ */
+'use strict';
+
+// File system
+var fs = require('fs');
+
+// Operating system utilities
+var os = require('os');
+
+// File path utilities
+var path = require('path');
+
+// built-in HTTP module
+var http = require('http');
+
+// Promise library
+var Promise = require('bluebird');
+
+// Users, tokens and roles
+var Auth = require('../lib/Auth');
+
+// The REST API
+var RestApi = require('../lib/RestApi');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Makes a Basic Authorization header
+ *
+ * @param  {string} name     user name
+ * @param  {string} password the password
+ * @return {string}          the header
+ */
+function basic( name, password ) {
+  return 'Basic ' + new Buffer( name + ':' + password ).toString( 'base64' );
+}
+
+
+describe('Auth', function() {
+
+  var file = path.join( os.tmpdir(), 'cs-acn-users-test.json' );
+  var auth;
+
+  beforeEach( function() {
+    auth = new Auth( file );
+    auth.addUser( 'alice', 'secret', 'admin' );
+    auth.addUser( 'bob', 'hunter2', 'viewer' );
+  });
+
+  afterEach( function() {
+    if( fs.existsSync( file )) {
+      fs.unlinkSync( file );
+    }
+  });
+
+  it('should check passwords', function() {
+    expect( auth.authenticate( basic( 'alice', 'secret' ))).to.deep.equal( { name: 'alice', role: 'admin' } );
+    expect( auth.authenticate( basic( 'alice', 'hunter2' ))).to.equal( null );
+    expect( auth.authenticate( basic( 'carol', 'secret' ))).to.equal( null );
+    expect( auth.authenticate( 'Basic !!!' )).to.equal( null );
+    expect( auth.authenticate( undefined )).to.equal( null );
+  });
+
+  it('should check tokens', function() {
+    var token = auth.addToken( 'dashboard', 'operator' );
+
+    expect( auth.authenticate( 'Bearer ' + token )).to.deep.equal( { name: 'dashboard', role: 'operator' } );
+    expect( auth.authenticate( 'Bearer ' + token + '0' )).to.equal( null );
+  });
+
+  it('should not store passwords or tokens', function() {
+    var token = auth.addToken( 'dashboard', 'viewer' );
+
+    auth.save();
+
+    var text = fs.readFileSync( file, 'utf8' );
+
+    expect( text ).to.not.contain( 'secret' );
+    expect( text ).to.not.contain( token );
+
+    var loaded = new Auth( file );
+
+    expect( loaded.authenticate( basic( 'bob', 'hunter2' )).role ).to.equal( 'viewer' );
+    expect( loaded.authenticate( 'Bearer ' + token ).name ).to.equal( 'dashboard' );
+  });
+
+  it('should allow each role its actions', function() {
+    var viewer = { name: 'v', role: 'viewer' };
+    var operator = { name: 'o', role: 'operator' };
+    var admin = { name: 'a', role: 'admin' };
+
+    expect( auth.allowed( viewer, 'pair' )).to.equal( false );
+    expect( auth.allowed( operator, 'read' )).to.equal( true );
+    expect( auth.allowed( operator, 'ping' )).to.equal( true );
+    expect( auth.allowed( operator, 'scan' )).to.equal( true );
+    expect( auth.allowed( operator, 'topology' )).to.equal( true );
+    expect( auth.allowed( operator, 'write' )).to.equal( false );
+    expect( auth.allowed( operator, 'clear' )).to.equal( false );
+    expect( auth.allowed( admin, 'write' )).to.equal( true );
+    expect( auth.allowed( admin, 'unlock' )).to.equal( true );
+    expect( auth.allowed( admin, 'selfDestruct' )).to.equal( false );
+    expect( auth.allowed( viewer, 'toString' )).to.equal( false );
+    expect( auth.allowed( null, 'read' )).to.equal( false );
+  });
+
+  it('should only let viewers receive status', function() {
+    var viewer = { name: 'v', role: 'viewer' };
+
+    [ 'read', 'history', 'configFields', 'configPreview' ].forEach( function( action ) {
+      expect( auth.allowed( viewer, action )).to.equal( false );
+    });
+  });
+
+  it('should reject unknown roles', function() {
+    expect( function() { auth.addUser( 'eve', 'x', 'root' ); }).to.throw( /Unknown role/ );
+  });
+
+});
+
+
+describe('REST API authentication', function() {
+
+  var server;
+  var port;
+  var auth;
+
+  beforeEach( function( done ) {
+    auth = new Auth();
+    auth.addUser( 'alice', 'secret', 'admin' );
+    auth.addUser( 'bob', 'hunter2', 'viewer' );
+    auth.addUser( 'carol', 'letmein', 'operator' );
+
+    // a port that answers every request at once
+    port = {
+      name: 'fake',
+      getSlaveId: function() { return Promise.resolve( { serialNumber: '1' } ); },
+      pair: function() { return Promise.resolve( 0 ); },
+      clear: function() { return Promise.resolve( 0 ); },
+      unlock: function() { return Promise.resolve( 0 ); }
+    };
+
+    var api = new RestApi( port, auth );
+
+    server = http.createServer( function( req, res ) { api.handle( req, res ); });
+    server.listen( 0, '127.0.0.1', done );
+  });
+
+  afterEach( function( done ) {
+    server.close( done );
+  });
+
+  /**
+   * Sends a request to the API
+   *
+   * @param  {string} method        HTTP method
+   * @param  {string} path          the path
+   * @param  {string} authorization Authorization header (optional)
+   * @return {Promise}              resolves with the response
+   */
+  function call( method, path, authorization ) {
+    return new Promise( function( resolve, reject ) {
+      var req = http.request( {
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: path,
+        headers: authorization ? { Authorization: authorization } : {}
+      }, function( res ) {
+        res.resume();
+        res.on( 'end', function() { resolve( res ); });
+      });
+
+      req.on( 'error', reject );
+      req.end();
+    });
+  }
+
+  it('should ask for credentials', function() {
+    return Promise.all( [
+      call( 'GET', '/device' ),
+      call( 'GET', '/device', basic( 'alice', 'wrong' ))
+    ])
+    .then( function( results ) {
+      results.forEach( function( res ) {
+        expect( res.statusCode ).to.equal( 401 );
+        expect( res.headers['www-authenticate'] ).to.match( /^Basic/ );
+      });
+    });
+  });
+
+  it('should only allow actions permitted for the role', function() {
+    return Promise.all( [
+      call( 'GET', '/device', basic( 'bob', 'hunter2' )),
+      call( 'GET', '/device', basic( 'carol', 'letmein' )),
+      call( 'POST', '/commands/pair', basic( 'bob', 'hunter2' )),
+      call( 'POST', '/commands/pair', basic( 'carol', 'letmein' )),
+      call( 'POST', '/commands/clear', basic( 'bob', 'hunter2' )),
+      call( 'POST', '/commands/clear', basic( 'alice', 'secret' )),
+      call( 'POST', '/commands/unlock', basic( 'bob', 'hunter2' )),
+      call( 'POST', '/commands/unlock', basic( 'alice', 'secret' ))
+    ])
+    .then( function( results ) {
+      expect( results.map( function( res ) { return res.statusCode; }) )
+        .to.deep.equal( [ 403, 200, 403, 200, 403, 200, 403, 200 ] );
+    });
+  });
+
+});
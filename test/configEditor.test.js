@@ -0,0 +1,126 @@
+/**
+ * Test script to verify editing the device configuration
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// The configuration editor
+var configEditor = require('../lib/configEditor');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Configuration Editor', function() {
+
+  var port;
+  var writes;
+
+  beforeEach( function() {
+    port = simulated.createPort().port;
+
+    // keep track of the registers written
+    writes = [];
+    var write = port.write;
+
+    port.write = function( item, value, options ) {
+      writes.push( item );
+      return write.call( port, item, value, options );
+    };
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  it('should describe every register of the config bank', function() {
+    return port.getMap()
+      .then( function( map ) {
+        var fields = configEditor.fields( map );
+        var names = fields.map( function( field ) { return field.name; });
+
+        expect( names ).to.contain( 'modbusSlaveId' );
+        expect( names ).to.contain( 'fastSpeed' );
+
+        var interval = fields[ names.indexOf( 'msBetweenStatusTx' ) ];
+
+        expect( interval.units ).to.equal( 'ms' );
+        expect( interval.min ).to.equal( 0 );
+        expect( interval.max ).to.equal( 65535 );
+      });
+  });
+
+  it('should preview only the values that differ', function() {
+    return configEditor.preview( port, {} )
+      .then( function( result ) {
+        var edited = Object.assign( {}, result.current, {
+          msBetweenStatusTx: String( result.current.msBetweenStatusTx + 10 ),
+          channelMap: result.current.channelMap.toUpperCase().replace( 'X', 'x' )
+        });
+
+        return configEditor.preview( port, edited )
+          .then( function( preview ) {
+            expect( preview.changes ).to.deep.equal( [ {
+              name: 'msBetweenStatusTx',
+              title: 'Status Interval',
+              from: result.current.msBetweenStatusTx,
+              to: result.current.msBetweenStatusTx + 10,
+              error: null
+            } ] );
+          });
+      });
+  });
+
+  it('should write the changed registers and read them back', function() {
+    return configEditor.apply( port, { msBetweenStatusTx: 1234, powerOffSec: 600 } )
+      .then( function( result ) {
+        expect( writes ).to.deep.equal( [ 'msBetweenStatusTx', 'powerOffSec' ] );
+        expect( result.mismatches ).to.deep.equal( [] );
+        expect( result.config.msBetweenStatusTx ).to.equal( 1234 );
+        expect( result.config.powerOffSec ).to.equal( 600 );
+
+        // nothing to do the second time
+        return configEditor.apply( port, { msBetweenStatusTx: 1234 } );
+      })
+      .then( function( result ) {
+        expect( result.changes ).to.deep.equal( [] );
+        expect( writes ).to.have.length( 2 );
+      });
+  });
+
+  it('should edit the output configuration', function() {
+    var output = { active: true, duty: 75, period: 300 };
+
+    return configEditor.apply( port, { ro15: output, lo0: { active: true } }, 'remoteOutputs' )
+      .then( function( result ) {
+        // lo0 is in the other bank
+        expect( writes ).to.deep.equal( [ 'ro15' ] );
+        expect( result.mismatches ).to.deep.equal( [] );
+        expect( result.config.ro15 ).to.deep.equal( output );
+        expect( Object.keys( result.config )).to.have.length( 16 );
+
+        return configEditor.preview( port, { ro15: { active: true, duty: 60, period: 300 } }, 'remoteOutputs' );
+      })
+      .then( function( result ) {
+        expect( result.changes[0].error ).to.match( /Invalid value for duty/ );
+      });
+  });
+
+  it('should not write anything if a value is invalid', function() {
+    return configEditor.apply( port, { msBetweenStatusTx: 1000, powerOffSec: 70000 } )
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.match( /Power Off must be from 0 to 65535/ );
+        expect( writes ).to.deep.equal( [] );
+      });
+  });
+
+});
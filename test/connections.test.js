@@ -0,0 +1,134 @@
+/**
+ * Test script to verify the connection types AcnPort can communicate
+ * through
+ *
+ * These tests run against simulated devices, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Simulated device
+var AcnSimulator = require('../lib/AcnSimulator');
+
+// Duplex stream for the in-memory connection
+var Duplex = require('stream').Duplex;
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+/**
+ * Opens the port, checks the device identifies itself, and cleans up
+ *
+ * @param  {AcnPort} port the port to test
+ * @param  {Function} done mocha callback
+ */
+function expectSlaveId( port, done ) {
+  port.open()
+    .then( function() { return port.getSlaveId(); })
+    .then( function( id ) {
+      expect( id.serialNumber ).to.equal( '0000000001' );
+      expect( id.productType ).to.equal( 'Gw/Repeater' );
+    })
+    .then( function() { port.destroy(); done(); } )
+    .catch( done );
+}
+
+describe('Connections', function() {
+
+  it('should communicate with a generic device', function(done) {
+    var port = new AcnPort( 'sim', simulated.configFor( {
+      type: 'generic',
+      device: new AcnSimulator()
+    }));
+
+    expectSlaveId( port, done );
+  });
+
+  it('should communicate over TCP', function(done) {
+    var sim = new AcnSimulator();
+
+    sim.listen( 0, function( err, address ) {
+      var port = new AcnPort( 'localhost:' + address.port,
+        simulated.configFor( { type: 'tcp' } ));
+
+      expectSlaveId( port, function( err ) {
+        sim.destroy();
+        done( err );
+      });
+    });
+  });
+
+  it('should communicate through a duplex stream', function(done) {
+    var sim = new AcnSimulator();
+
+    var stream = new Duplex( {
+      read: function() {},
+      write: function( chunk, encoding, callback ) {
+        sim.receive( chunk, function( response ) { stream.push( response ); } );
+        callback();
+      }
+    });
+
+    var port = new AcnPort( 'memory', simulated.configFor( {
+      type: 'stream',
+      stream: stream
+    }));
+
+    expectSlaveId( port, done );
+  });
+
+  it('should use a supplied connection factory', function(done) {
+    var config = simulated.configFor( { type: 'custom' } );
+    var names = [];
+
+    config.connectionFactory = function( name, options ) {
+      names.push( name, options.type );
+      return new AcnSimulator();
+    };
+
+    var port = new AcnPort( 'custom-port', config );
+
+    expect( names ).to.deep.equal( [ 'custom-port', 'custom' ] );
+    expectSlaveId( port, done );
+  });
+
+  it('should reject an unknown connection type', function() {
+    expect( function() {
+      return new AcnPort( 'x', simulated.configFor( { type: 'carrier-pigeon' } ));
+    }).to.throw( /Unknown connection type/ );
+  });
+
+  it('should reconnect after the device disconnects', function(done) {
+
+    var sim = new AcnSimulator();
+    var port = new AcnPort( 'sim', simulated.configFor( {
+      type: 'generic',
+      device: sim
+    }));
+
+    this.timeout( 3000 );
+
+    port.once( 'connected', function() {
+
+      port.once( 'disconnected', function() {
+        port.once( 'connected', function() {
+          port.getSlaveId()
+            .then( function() { port.destroy(); done(); } )
+            .catch( done );
+        });
+      });
+
+      // simulate unplugging the device
+      sim.close();
+    });
+
+    port.open();
+  });
+
+});
@@ -0,0 +1,102 @@
+/**
+ * Test script to verify decoding of CS1108 fault codes and fault logs
+ *
+ */
+'use strict';
+
+// built-in modules
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// CS1108 fault codes
+var cs1108Faults = require('../lib/cs1108Faults');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('CS1108 Faults', function() {
+
+  // made-up codes; the included catalogue only lists code 0
+  var TEST_FAULTS = [
+    { code: 1, name: 'first', severity: 'warning', description: 'First test fault' },
+    { code: 3, name: 'third', severity: 'fault', description: 'Third test fault' }
+  ];
+
+  before( function() {
+    cs1108Faults.add( TEST_FAULTS );
+  });
+
+  after( function() {
+    cs1108Faults.remove( TEST_FAULTS );
+  });
+
+  it('should describe fault codes', function() {
+    expect( cs1108Faults.describe( 3 ) ).to.deep.equal( {
+      code: 3,
+      name: 'third',
+      severity: 'fault',
+      description: 'Third test fault'
+    });
+
+    expect( cs1108Faults.describe( 0 ).name ).to.equal( 'none' );
+    expect( cs1108Faults.describe( 200 ).name ).to.equal( 'unknown' );
+    expect( cs1108Faults.describe( 200 ).description ).to.equal( 'Unknown fault 200' );
+  });
+
+  it('should only add complete entries', function() {
+    expect( function() { cs1108Faults.add( [ { code: 5 } ] ); } ).to.throw( 'A fault needs a code and a name' );
+    expect( cs1108Faults.describe( 5 ).name ).to.equal( 'unknown' );
+  });
+
+  it('should load codes from a catalogue file', function() {
+    var file = path.join( os.tmpdir(), 'cs1108Faults-' + process.pid + '.json' );
+    var loaded;
+
+    fs.writeFileSync( file, JSON.stringify( {
+      faults: [ { code: 7, name: 'seventh', severity: 'info', description: 'Seventh test fault' } ]
+    }));
+
+    try {
+      loaded = cs1108Faults.load( file );
+      expect( cs1108Faults.describe( 7 ).name ).to.equal( 'seventh' );
+
+      fs.writeFileSync( file, '{}' );
+      expect( function() { cs1108Faults.load( file ); } ).to.throw( /No faults listed/ );
+    }
+    finally {
+      fs.unlinkSync( file );
+      cs1108Faults.remove( loaded || [] );
+    }
+
+    expect( cs1108Faults.describe( 7 ).name ).to.equal( 'unknown' );
+  });
+
+  it('should decode a fault log without the unused entries', function() {
+    var log = cs1108Faults.decodeLog( [ 3, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ] );
+
+    expect( log.map( function( f ) { return f.name; }) ).to.deep.equal( [ 'third', 'first' ] );
+  });
+
+  it('should find faults added between reports', function() {
+    var previous = cs1108Faults.decodeLog( [ 3, 1 ] );
+
+    expect( cs1108Faults.diffLogs( previous, [ 3, 1 ] ) ).to.deep.equal( [] );
+    expect( cs1108Faults.diffLogs( previous, [ 4, 2, 3, 1 ] ).map( function( f ) { return f.code; }) )
+      .to.deep.equal( [ 4, 2 ] );
+    expect( cs1108Faults.diffLogs( [], [ 5 ] ) ).to.have.length( 1 );
+
+    // a repeat of the most recent fault is still new
+    expect( cs1108Faults.diffLogs( [ 3, 1 ], [ 3, 3, 1 ] ) ).to.have.length( 1 );
+  });
+
+  it('should handle a full log that drops its oldest entry', function() {
+    var previous = [ 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 1, 2, 3, 4 ];
+    var current = [ 9 ].concat( previous.slice( 0, 15 ));
+
+    expect( cs1108Faults.diffLogs( previous, current ).map( function( f ) { return f.code; }) )
+      .to.deep.equal( [ 9 ] );
+  });
+
+});
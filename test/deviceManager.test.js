@@ -0,0 +1,201 @@
+/**
+ * Test script to verify the DeviceManager finds and tracks devices
+ *
+ * These tests run against simulated devices, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Object under test
+var DeviceManager = require('../lib/DeviceManager');
+
+// Simulated device
+var AcnSimulator = require('../lib/AcnSimulator');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('DeviceManager', function() {
+
+  // simulated devices, keyed by port name
+  var attached;
+
+  // the ports we report to the manager
+  var ports;
+
+  var manager;
+
+  /**
+   * Plugs a simulated device into a port
+   *
+   * @param  {string} path         port name
+   * @param  {number} serialNumber device serial number
+   */
+  function plug( path, serialNumber ) {
+    attached[ path ] = serialNumber;
+    ports.push( { comName: path } );
+  }
+
+  /**
+   * Removes a port from the list
+   *
+   * @param  {string} path port name
+   */
+  function unplug( path ) {
+    ports = ports.filter( function( info ) { return info.comName !== path; } );
+  }
+
+  beforeEach( function() {
+    var config = simulated.configFor();
+
+    attached = {};
+    ports = [];
+
+    config.master.defaultTimeout = 200;
+    config.connectionFactory = function( name ) {
+      if( !attached[ name ] ) {
+        throw new Error( 'Nothing attached to ' + name );
+      }
+
+      return new AcnSimulator( {
+        factory: {
+          macAddress: 'e4:a3:87:00:00:00:00:0' + attached[ name ],
+          serialNumber: attached[ name ],
+          productType: 0
+        }
+      });
+    };
+
+    manager = new DeviceManager( config, {
+      list: function( callback ) { callback( null, ports ); }
+    });
+  });
+
+  afterEach( function() {
+    manager.stop();
+  });
+
+  it('should identify each device by serial number', function() {
+    var added = [];
+
+    plug( 'COM1', 1 );
+    plug( 'COM2', 2 );
+    plug( 'COM3' );
+
+    manager.on( 'added', function( device ) { added.push( device.path ); } );
+
+    return manager.scan()
+      .then( function( devices ) {
+        expect( devices ).to.have.length( 2 );
+        expect( added ).to.deep.equal( [ 'COM1', 'COM2' ] );
+        expect( manager.get( '0000000002' ).port ).to.not.equal( undefined );
+        expect( manager.devices[ '0000000002' ].path ).to.equal( 'COM2' );
+        expect( Object.keys( manager.rejected )).to.deep.equal( [ 'COM3' ] );
+        expect( manager.rejected.COM3.failures ).to.equal( 1 );
+      });
+  });
+
+  it('should not probe a port twice', function() {
+    var added = 0;
+
+    plug( 'COM1', 1 );
+
+    manager.on( 'added', function() { added++; } );
+
+    return manager.scan()
+      .then( function() { return manager.scan(); })
+      .then( function( devices ) {
+        expect( devices ).to.have.length( 1 );
+        expect( added ).to.equal( 1 );
+      });
+  });
+
+  it('should probe a failed port again, up to maxFailures times', function() {
+    var probes = 0;
+    var factory = manager.config.connectionFactory;
+
+    manager = new DeviceManager( manager.config, {
+      list: function( callback ) { callback( null, ports ); },
+      maxFailures: 2,
+      retryDelay: 0
+    });
+
+    manager.config.connectionFactory = function( name ) {
+      probes++;
+      return factory( name );
+    };
+
+    plug( 'COM2' );
+    plug( 'COM3' );
+
+    return manager.scan()
+      .then( function() {
+        // the device on COM2 has finished starting up
+        attached.COM2 = 2;
+
+        return manager.scan();
+      })
+      .then( function( devices ) {
+        expect( devices.map( function( device ) { return device.path; }) ).to.deep.equal( [ 'COM2' ] );
+        expect( manager.rejected.COM3.failures ).to.equal( 2 );
+
+        return manager.scan();
+      })
+      .then( function() {
+        expect( probes ).to.equal( 4 );
+      });
+  });
+
+  it('should reject a scan when the ports cannot be listed', function() {
+    manager = new DeviceManager( manager.config, {
+      list: function( callback ) { setImmediate( callback, new Error( 'No access' )); }
+    });
+
+    // there is no 'error' listener
+    return manager.scan()
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.equal( 'No access' );
+      });
+  });
+
+  it('should re-bind a device that moves to a new port', function(done) {
+
+    plug( 'COM1', 1 );
+
+    manager.on( 'removed', function( device ) {
+      expect( device.online ).to.equal( false );
+      expect( manager.get( '0000000001' ) ).to.equal( null );
+
+      // the device shows up again somewhere else
+      unplug( 'COM1' );
+      plug( 'COM7', 1 );
+      manager.scan().catch( done );
+    });
+
+    manager.on( 'rebound', function( device, oldPath ) {
+      expect( oldPath ).to.equal( 'COM1' );
+      expect( device.path ).to.equal( 'COM7' );
+
+      manager.get( '0000000001' ).getSlaveId()
+        .then( function( id ) {
+          expect( id.serialNumber ).to.equal( '0000000001' );
+          done();
+        })
+        .catch( done );
+    });
+
+    manager.scan()
+      .then( function() {
+        // simulate unplugging the device
+        manager.get( '0000000001' ).port.close();
+      })
+      .catch( done );
+  });
+
+});
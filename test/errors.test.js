@@ -0,0 +1,168 @@
+/**
+ * Test script to verify the errors reported by AcnPort
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Errors reported by the port
+var errors = require('../lib/errors');
+
+// Errors reported by the MODBUS master
+var ModbusErrors = require('@csllc/cs-modbus/lib/errors');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Creates a port connected to a simulated device
+ *
+ * @param  {object} simOptions options for the simulator
+ * @param  {number} timeout    response timeout in milliseconds
+ * @return {AcnPort}           the port
+ */
+function portFor( simOptions, timeout ) {
+  return simulated.createPort( { sim: simOptions, timeout: timeout } ).port;
+}
+
+
+describe('Errors', function() {
+
+  it('should decode MODBUS exception codes', function() {
+    var err = errors.fromModbus( null, { exceptionCode: 2 }, null, true );
+
+    expect( err ).to.be.an.instanceof( errors.ExceptionResponseError );
+    expect( err ).to.be.an.instanceof( errors.AcnError );
+    expect( err ).to.be.an.instanceof( Error );
+    expect( err.code ).to.equal( 2 );
+    expect( err.exception ).to.equal( 'IllegalDataAddress' );
+    expect( err.message ).to.equal( 'Exception 2 (IllegalDataAddress)' );
+  });
+
+  it('should report a busy device', function() {
+    var err = errors.fromModbus( null, { exceptionCode: 6 }, null, true );
+
+    expect( err ).to.be.an.instanceof( errors.DeviceBusyError );
+    expect( err ).to.be.an.instanceof( errors.ExceptionResponseError );
+    expect( err.name ).to.equal( 'DeviceBusyError' );
+    expect( err.exception ).to.equal( 'SlaveDeviceBusy' );
+  });
+
+  it('should translate transport errors', function() {
+    var timeout = new ModbusErrors.ResponseTimeoutError();
+    var checksum = new ModbusErrors.InvalidChecksumError();
+
+    expect( errors.fromModbus( timeout, null, null, true ) ).to.be.an.instanceof( errors.TimeoutError );
+    expect( errors.fromModbus( timeout, null, null, false ) ).to.be.an.instanceof( errors.DisconnectedError );
+    expect( errors.fromModbus( checksum, null, null, true ) ).to.be.an.instanceof( errors.InvalidResponseError );
+    expect( errors.fromModbus( checksum, null, null, true ).cause ).to.equal( checksum );
+    expect( errors.fromModbus( null, { values: [] }, null, true ) ).to.equal( null );
+  });
+
+  it('should carry the request that failed', function(done) {
+    var port = portFor();
+
+    port.open()
+      .then( function() { return port.setRegisters( 0x7000, [ 1 ] ); })
+      .then( function() { throw new Error( 'write should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.ExceptionResponseError );
+        expect( err.exception ).to.equal( 'IllegalDataAddress' );
+        expect( err.request.getAddress() ).to.equal( 0x7000 );
+      })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+  it('should reject values a register does not allow without sending them', function(done) {
+    var port = portFor();
+    var sent = 0;
+
+    port.open()
+      .then( function() {
+        port.master.getConnection().on( 'write', function() { sent++; });
+
+        return port.write( 'modbusSlaveId', 248 );
+      })
+      .then( function() { throw new Error( 'write should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.ValidationError );
+        expect( err ).to.be.an.instanceof( AcnPort.errors.AcnError );
+        expect( err.message ).to.equal( 'Slave ID must be from 1 to 247' );
+        expect( err.register ).to.equal( 'modbusSlaveId' );
+        expect( err.value ).to.equal( 248 );
+        expect( sent ).to.equal( 0 );
+      })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+  it('should not change any field of a bank unless every field is valid', function() {
+    var port = portFor();
+    var sent = 0;
+    var map;
+
+    return port.open()
+      .then( function() { return port.getMap(); })
+      .then( function( m ) {
+        map = m;
+        map.msBetweenStatusTx.value = 1000;
+        port.master.getConnection().on( 'write', function() { sent++; });
+
+        return port.write( 'config', { msBetweenStatusTx: 4321, pairingTimeout: 0 } );
+      })
+      .then( function() {
+        throw new Error( 'write should have failed' );
+      }, function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.ValidationError );
+        expect( err.register ).to.equal( 'pairingTimeout' );
+        expect( map.msBetweenStatusTx.value ).to.equal( 1000 );
+        expect( sent ).to.equal( 0 );
+      })
+      .finally( function() { port.destroy(); });
+  });
+
+  it('should keep the device\'s values for the fields a bank write leaves out', function() {
+    var fixture = simulated.createPort();
+    var port = fixture.port;
+
+    return port.open()
+      .then( function() { return port.getMap(); })
+      .then( function( map ) {
+        fixture.sim.setRegister( map.powerOffSec.addr, 600 );
+
+        // what the port last saw is out of date
+        map.powerOffSec.value = 0;
+
+        return port.write( 'config', { msBetweenStatusTx: 1234 } )
+          .then( function() {
+            expect( fixture.sim.getRegister( map.msBetweenStatusTx.addr ) ).to.equal( 1234 );
+            expect( fixture.sim.getRegister( map.powerOffSec.addr ) ).to.equal( 600 );
+          });
+      })
+      .finally( function() { port.destroy(); });
+  });
+
+  it('should report a timeout', function(done) {
+    var port = portFor( { latency: 300 }, 100 );
+
+    port.open()
+      .then( function() { return port.read( 'systemState' ); })
+      .then( function() { throw new Error( 'read should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.TimeoutError );
+        expect( err.cause ).to.be.an.instanceof( ModbusErrors.ResponseTimeoutError );
+      })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+});
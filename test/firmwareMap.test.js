@@ -0,0 +1,114 @@
+/**
+ * Test script to verify the register map is chosen by firmware version
+ *
+ * These tests run against simulated devices, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Register maps for each firmware version
+var maps = require('../lib/maps');
+
+// The default register map
+var map = require('../lib/Map');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Creates a port connected to a simulated device
+ *
+ * @param  {string} version firmware version of the device
+ * @return {AcnPort}        the port
+ */
+function portFor( version ) {
+  return simulated.createPort( { sim: { version: version } } ).port;
+}
+
+
+describe('Firmware Maps', function() {
+
+  // a map for a made-up firmware revision that has no fault register
+  var v2;
+
+  before( function() {
+    v2 = maps.add( {
+      firmware: { min: '2.0.0', max: '2.99.99' },
+      banks: [ {
+        name: 'bank2',
+        addr: '0x0200',
+        readOnly: true,
+        registers: [ { name: 'channel', title: 'Channel' } ]
+      }]
+    });
+  });
+
+  after( function() {
+    maps.remove( v2 );
+  });
+
+  it('should compare version strings', function() {
+    expect( maps.compareVersions( '1.10.0', '1.9.3' ) ).to.be.above( 0 );
+    expect( maps.compareVersions( '2.0', '2.0.0' ) ).to.equal( 0 );
+    expect( maps.compareVersions( '0.9.9', '1.0.0' ) ).to.be.below( 0 );
+  });
+
+  it('should choose the most specific map', function() {
+    expect( maps.forVersion( '1.0.0' ) ).to.equal( map );
+    expect( maps.forVersion( '2.1.0' ) ).to.equal( v2 );
+    expect( maps.forVersion( '3.0.0' ) ).to.equal( map );
+  });
+
+  it('should use the default map for 1.x firmware', function(done) {
+    var port = portFor( '1.0.0' );
+
+    port.open()
+      .then( function() { return port.getMap(); })
+      .then( function( m ) {
+        expect( m ).to.equal( map );
+        return port.read( 'systemState' );
+      })
+      .then( function( reg ) { expect( reg.format() ).to.equal( 'Idle' ); })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+  it('should reject registers the firmware does not support', function(done) {
+    var port = portFor( '2.1.0' );
+
+    port.open()
+      .then( function() { return port.getMap(); })
+      .then( function( m ) {
+        expect( m ).to.equal( v2 );
+        expect( port.firmwareVersion ).to.equal( '2.1.0' );
+        return port.read( map.channel );
+      })
+      .then( function( reg ) {
+        expect( reg ).to.equal( v2.channel );
+        return port.read( map.fault );
+      })
+      .then( function() { throw new Error( 'read should have failed' ); })
+      .catch( function( err ) {
+        expect( err.message ).to.equal( 'Fault is not supported by firmware 2.1.0' );
+      })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+  it('should reject unknown register names', function(done) {
+    var port = portFor( '1.0.0' );
+
+    port.read( 'flux capacitor' )
+      .then( function() { throw new Error( 'read should have failed' ); })
+      .catch( function( err ) {
+        expect( err.message ).to.equal( 'Unknown register: flux capacitor' );
+      })
+      .then( function() { port.destroy(); done(); } )
+      .catch( done );
+  });
+
+});
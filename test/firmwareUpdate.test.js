@@ -0,0 +1,190 @@
+/**
+ * Test script to verify firmware updates through the bootloader
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Intel HEX file reader
+var IntelHex = require('../lib/IntelHex');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Makes an Intel HEX record
+ *
+ * @param  {number} type    record type
+ * @param  {number} address 16-bit address
+ * @param  {Array} data     data bytes
+ * @return {string}         the record
+ */
+function record( type, address, data ) {
+  var bytes = [ data.length, address >> 8, address & 0xFF, type ].concat( data );
+  var sum = bytes.reduce( function( a, b ) { return a + b; }, 0 );
+
+  bytes.push( ( 0x100 - ( sum & 0xFF )) & 0xFF );
+
+  return ':' + new Buffer( bytes ).toString( 'hex' ).toUpperCase();
+}
+
+/**
+ * Makes an Intel HEX file containing count bytes starting at address
+ *
+ * @param  {number} address start address (32 bits)
+ * @param  {number} count   number of bytes
+ * @return {string}         contents of the file
+ */
+function hexFile( address, count ) {
+  var lines = [ record( 4, 0, [ address >> 24, ( address >> 16 ) & 0xFF ] ) ];
+
+  for( var offset = 0; offset < count; offset += 16 ) {
+    var data = [];
+
+    for( var i = offset; i < Math.min( offset + 16, count ); i++ ) {
+      data.push( i & 0xFF );
+    }
+    lines.push( record( 0, ( address + offset ) & 0xFFFF, data ));
+  }
+
+  lines.push( record( 1, 0, [] ));
+
+  return lines.join( '\r\n' );
+}
+
+
+describe('Intel HEX', function() {
+
+  it('should join consecutive records into segments', function() {
+    var image = IntelHex.parse( [
+      record( 0, 0x0000, [ 1, 2, 3, 4 ] ),
+      record( 0, 0x0004, [ 5, 6 ] ),
+      record( 4, 0, [ 0, 1 ] ),
+      record( 0, 0x0010, [ 7 ] ),
+      record( 1, 0, [] )
+    ].join( '\n' ));
+
+    expect( image.segments ).to.have.length( 2 );
+    expect( image.segments[0].address ).to.equal( 0 );
+    expect( image.segments[0].data ).to.deep.equal( new Buffer( [ 1, 2, 3, 4, 5, 6 ] ));
+    expect( image.segments[1].address ).to.equal( 0x10010 );
+  });
+
+  it('should split an image into blocks', function() {
+    var blocks = IntelHex.toBlocks( IntelHex.parse( hexFile( 0x1000, 100 )), 64 );
+
+    expect( blocks ).to.have.length( 2 );
+    expect( blocks[1].address ).to.equal( 0x1040 );
+    expect( blocks[1].data ).to.have.length( 36 );
+  });
+
+  it('should reject a bad checksum', function() {
+    var line = record( 0, 0, [ 1, 2 ] );
+    var bad = line.slice( 0, -2 ) + '00';
+
+    expect( function() { IntelHex.parse( bad + '\n' + record( 1, 0, [] )); } )
+      .to.throw( /Invalid checksum on line 1/ );
+  });
+
+  it('should reject a file without an end record', function() {
+    expect( function() { IntelHex.parse( record( 0, 0, [ 1 ] )); } )
+      .to.throw( /Missing end of file/ );
+  });
+
+});
+
+describe('Firmware Update', function() {
+
+  var sim;
+  var port;
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  it('should write and verify every block', function(done) {
+    var progress = [];
+
+    port.on( 'progress', function( p ) { progress.push( p.phase ); } );
+
+    port.updateFirmware( hexFile( 0x2000, 300 ), { blockSize: 128, unverified: true } )
+      .then( function( result ) {
+        expect( result ).to.deep.equal( { blocks: 3, bytes: 300, retries: 0 } );
+        expect( sim.flash[ 0x2000 + 257 ] ).to.equal( 1 );
+        expect( sim.flash[ 0x2000 + 300 ] ).to.equal( 0xFF );
+        expect( progress ).to.deep.equal( [ 'bootloader', 'write', 'write', 'write', 'reset' ] );
+
+        // the device is running the application again
+        return port.read( 'systemState' );
+      })
+      .then( function( state ) { expect( state.format() ).to.equal( 'Idle' ); })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+  it('should retry blocks that fail verification', function(done) {
+    sim.corruptBlocks = 2;
+
+    port.updateFirmware( hexFile( 0, 64 ), { unverified: true } )
+      .then( function( result ) {
+        expect( result.retries ).to.equal( 2 );
+        expect( sim.flash[0] ).to.equal( 0 );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+  it('should send nothing unless the caller opts in', function() {
+    return port.updateFirmware( hexFile( 0, 64 ) )
+      .then( function() {
+        throw new Error( 'update should have failed' );
+      }, function( err ) {
+        expect( err.message ).to.match( /has not been verified/ );
+
+        // the application is still running
+        return port.read( 'systemState' );
+      })
+      .then( function( state ) {
+        expect( state.format() ).to.equal( 'Idle' );
+      });
+  });
+
+  it('should give up after the allowed retries', function(done) {
+    sim.corruptBlocks = 5;
+
+    port.updateFirmware( hexFile( 0x100, 64 ), { retries: 1, unverified: true } )
+      .then( function() { throw new Error( 'update should have failed' ); })
+      .catch( function( err ) {
+        expect( err.message ).to.equal(
+          'Failed to write block at 0x100 after 2 attempts: Verification failed' );
+
+        // still in the bootloader, which doesn't answer register reads
+        return port.read( 'systemState' )
+          .then( function() { throw new Error( 'read should have failed' ); })
+          .catch( function( err ) {
+            expect( err ).to.be.an.instanceof( AcnPort.errors.ExceptionResponseError );
+            expect( err.exception ).to.equal( 'IllegalFunction' );
+          });
+      })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+});
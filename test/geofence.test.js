@@ -0,0 +1,159 @@
+/**
+ * Test script to verify geofence checking of GPS reports
+ *
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// The geofence engine
+var Geofence = require('../lib/Geofence');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+// about 11 meters of latitude
+var METERS_11 = 0.0001;
+
+/**
+ * Makes a sensor data message containing a GPS report
+ *
+ * @param  {number} latitude  degrees
+ * @param  {number} longitude degrees
+ * @param  {object} extra     other report fields (optional)
+ * @return {object}           the message
+ */
+function gps( latitude, longitude, extra ) {
+  return {
+    from: '0101',
+    msgtype: 1,
+    packet: Object.assign( {
+      datatype: 2,
+      serial: 'S0000123',
+      latitude: latitude,
+      longitude: longitude,
+      sats: 8,
+      fixValid: 1,
+      ehpe: 2,
+      boundaryViolated: 0,
+      boundaryAction: 0
+    }, extra )
+  };
+}
+
+/**
+ * Records the events emitted by a geofence
+ *
+ * @param  {Geofence} fences the geofence
+ * @return {Array}           list of 'event:fence' strings
+ */
+function record( fences ) {
+  var events = [];
+
+  [ 'enter', 'exit', 'violation' ].forEach( function( name ) {
+    fences.on( name, function( e ) { events.push( name + ':' + e.fence ); });
+  });
+
+  fences.on( 'disagreement', function( e ) { events.push( 'disagreement:' + e.violated ); });
+
+  return events;
+}
+
+
+describe('Geofence', function() {
+
+  var fences;
+  var events;
+
+  beforeEach( function() {
+    fences = new Geofence();
+    events = record( fences );
+
+    fences.add( 'S0000123', {
+      name: 'yard',
+      type: 'circle',
+      center: { latitude: 45, longitude: -93 },
+      radius: 100
+    });
+
+    fences.add( 'S0000123', {
+      name: 'pond',
+      type: 'polygon',
+      mode: 'outside',
+      points: [
+        { latitude: 45.0002, longitude: -93.0002 },
+        { latitude: 45.0002, longitude: -92.9998 },
+        { latitude: 45.0004, longitude: -92.9998 },
+        { latitude: 45.0004, longitude: -93.0002 }
+      ]
+    });
+  });
+
+  it('should measure the distance to each fence', function() {
+    var results = fences.check( gps( 45, -93 ) );
+
+    expect( results[0].state ).to.equal( 'inside' );
+    expect( results[0].distance ).to.be.closeTo( 100, 0.01 );
+    expect( results[1].state ).to.equal( 'outside' );
+    expect( results[1].distance ).to.be.closeTo( -22.2, 0.1 );
+  });
+
+  it('should emit enter, exit and violation events', function() {
+    fences.check( gps( 45, -93 ) );
+    fences.check( gps( 45.0003, -93 ) );
+    fences.check( gps( 45 + 20 * METERS_11, -93 ) );
+
+    expect( events ).to.deep.equal( [
+      'enter:pond', 'violation:pond', 'disagreement:true',
+      'exit:yard', 'violation:yard', 'exit:pond', 'disagreement:true'
+    ]);
+  });
+
+  it('should not decide while the position is within ehpe of an edge', function() {
+    fences.check( gps( 45, -93 ) );
+
+    // 5 meters outside the yard, but only accurate to 20 meters
+    var results = fences.check( gps( 45 + 105 / 111195, -93, { ehpe: 20 } ));
+
+    expect( results[0].state ).to.equal( null );
+    expect( events ).to.deep.equal( [] );
+  });
+
+  it('should ignore reports without a valid fix', function() {
+    expect( fences.check( gps( 0, 0, { fixValid: 0 } )) ).to.deep.equal( [] );
+    expect( events ).to.deep.equal( [] );
+  });
+
+  it('should report disagreement with the controller', function() {
+    fences.check( gps( 45, -93, { boundaryViolated: 1 } ));
+
+    expect( events ).to.deep.equal( [ 'disagreement:false' ] );
+  });
+
+  it('should check the reports from a sensor stream', function() {
+    function Stream() { EventEmitter.call( this ); }
+    util.inherits( Stream, EventEmitter );
+
+    var stream = new Stream();
+
+    fences.watch( stream );
+    stream.emit( 'gpsReport', gps( 45, -92 ) );
+    fences.unwatch( stream );
+    stream.emit( 'gpsReport', gps( 45, -93 ) );
+
+    expect( events ).to.deep.equal( [ 'violation:yard', 'disagreement:true' ] );
+  });
+
+  it('should reject invalid fences', function() {
+    expect( function() { fences.add( 'x', { name: 'a', type: 'polygon', points: [] } ); } )
+      .to.throw( /at least 3 points/ );
+    expect( function() { fences.add( 'x', { name: 'a', type: 'square' } ); } )
+      .to.throw( /Unknown geofence type/ );
+  });
+
+});
@@ -0,0 +1,64 @@
+/**
+ * Set-up shared by the tests that run against a simulated device
+ *
+ */
+'use strict';
+
+// Configuration defaults
+var baseConfig = require('../../config');
+
+// Load the object that handles communication to the device
+var AcnPort = require('../../acn-port');
+
+// Simulated device
+var AcnSimulator = require('../../lib/AcnSimulator');
+
+
+/**
+ * Makes a copy of the default configuration that uses a connection
+ *
+ * @param  {object} connection connection options (optional)
+ * @return {object}            configuration for AcnPort
+ */
+function configFor( connection ) {
+  var config = JSON.parse( JSON.stringify( baseConfig ));
+
+  if( connection ) {
+    config.master.transport.connection = connection;
+  }
+
+  return config;
+}
+
+/**
+ * Creates a port connected to a new simulated device
+ *
+ * @param  {object} options optional settings:
+ *   name: the port name (default 'sim')
+ *   sim: options for the simulator
+ *   timeout: response timeout in milliseconds
+ * @return {object}         { sim, port }; the port is not open yet
+ */
+function createPort( options ) {
+  options = options || {};
+
+  var sim = new AcnSimulator( options.sim );
+  var config = configFor( { type: 'generic', device: sim } );
+
+  if( options.timeout ) {
+    config.master.defaultTimeout = options.timeout;
+  }
+
+  return { sim: sim, port: new AcnPort( options.name || 'sim', config ) };
+}
+
+
+/**
+ * Public interface to this module
+ *
+ * @ignore
+ */
+module.exports = {
+  configFor: configFor,
+  createPort: createPort
+};
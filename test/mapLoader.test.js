@@ -0,0 +1,343 @@
+/**
+ * Test script to verify register maps built from a schema
+ *
+ * These tests don't communicate with a device.
+ *
+ */
+'use strict';
+
+// Object under test
+var MapLoader = require('../lib/MapLoader');
+
+// The ACN register map
+var map = require('../lib/Map');
+
+// The error reported for values a register doesn't allow
+var ValidationError = require('../lib/errors').ValidationError;
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('MapLoader', function() {
+
+  var schema = {
+    formats: {
+      output: {
+        fields: [
+          { name: 'active', shift: 0, width: 1 },
+          { name: 'duty', shift: 1, width: 2, enum: [ 25, 50, 75, 100 ] },
+          { name: 'period', shift: 3, width: 5, scale: 50, offset: 50 }
+        ]
+      }
+    },
+
+    banks: [ {
+      name: 'bank',
+      addr: '0x0100',
+      registers: [
+        { name: 'mode', enum: { 0: 'Off', 1: 'On' }, unknown: 'Unknown' },
+        { name: 'temperature', type: 'int16', scale: 0.1, units: 'C' },
+        { name: 'counter', type: 'uint32' },
+        { name: 'output', format: 'output' },
+        { name: 'mask', format: 'hex' }
+      ]
+    }],
+
+    objects: [ {
+      name: 'table',
+      id: 4,
+      endian: 'little',
+      entrySize: 4,
+      where: { 'flags.valid': true },
+      fields: [
+        { name: 'address', type: 'shortAddress' },
+        { name: 'level', type: 'uint8' },
+        { name: 'flags', fields: [ { name: 'valid', shift: 7, width: 1 } ] }
+      ]
+    }]
+  };
+
+  it('should assign register addresses within a bank', function() {
+    var m = MapLoader.load( schema );
+
+    expect( m.mode.addr ).to.equal( 0x100 );
+    expect( m.temperature.addr ).to.equal( 0x101 );
+    expect( m.counter.addr ).to.equal( 0x102 );
+    expect( m.output.addr ).to.equal( 0x104 );
+    expect( m.bank.addr ).to.equal( 0x100 );
+    expect( m.bank.length ).to.equal( 6 );
+  });
+
+  it('should decode a bank', function() {
+    var m = MapLoader.load( schema );
+
+    m.bank.fromBuffer( new Buffer( [ 0, 7, 0xFF, 0x9C, 0, 1, 0, 2, 0, 0x0B, 0, 0x12 ] ));
+
+    expect( m.bank.format() ).to.deep.equal( {
+      mode: 'Unknown',
+      temperature: -10,
+      counter: 65538,
+      output: { active: true, duty: 50, period: 100 },
+      mask: '0x0012'
+    });
+  });
+
+  it('should write back every register in a bank', function() {
+    var m = MapLoader.load( schema );
+
+    m.bank.unformat( {
+      mode: 'On',
+      temperature: 21.5,
+      counter: 1,
+      output: { active: false, duty: 100, period: 1600 },
+      mask: '0x00FF'
+    });
+
+    expect( m.bank.toBuffer() ).to.deep.equal(
+      new Buffer( [ 0, 1, 0, 215, 0, 0, 0, 1, 0, 0xFE, 0, 0xFF ] ));
+  });
+
+  it('should reject names that are not in an enum', function() {
+    var m = MapLoader.load( schema );
+
+    expect( function() { m.mode.unformat( 'Maybe' ); } ).to.throw( /Invalid value for mode: Maybe \(use Off, On\)/ );
+  });
+
+  it('should enforce register constraints', function() {
+    var m = MapLoader.load( {
+      banks: [ {
+        name: 'limits',
+        addr: 0,
+        registers: [
+          { name: 'level', title: 'Level', min: 10, max: 100, step: 5, units: '%' },
+          { name: 'flags', title: 'Flags', format: 'hex', mask: '0x00F0' },
+          { name: 'offset', title: 'Offset', type: 'int16' }
+        ]
+      }]
+    });
+
+    var reject = function( reg, value, message ) {
+      expect( function() { reg.unformat( value ); } ).to.throw( ValidationError, message );
+    };
+
+    reject( m.level, 5, 'Level must be from 10 to 100 %' );
+    reject( m.level, 101, /from 10 to 100/ );
+    reject( m.level, 12, 'Level must be 10 plus a multiple of 5' );
+    reject( m.level, 'high', 'Level must be a whole number, not "high"' );
+    reject( m.flags, '0x0101', 'Flags may only use the bits in 0xf0' );
+    reject( m.offset, 40000, 'Offset must be from -32768 to 32767' );
+
+    m.level.unformat( 95 );
+    m.flags.unformat( '0x0030' );
+    m.offset.unformat( -40 );
+
+    expect( m.limits.format() ).to.deep.equal( { level: 95, flags: '0x0030', offset: -40 } );
+
+    // a rejected value leaves the register as it was
+    reject( m.limits, { level: 15, offset: 'x' }, /Offset/ );
+    expect( m.offset.value ).to.equal( -40 );
+  });
+
+  it('should reject bitfield values that do not fit', function() {
+    var m = MapLoader.load( schema );
+
+    expect( function() {
+      m.output.unformat( { active: true, duty: 50, period: 1650 } );
+    }).to.throw( ValidationError, 'period must be from 50 to 1600' );
+
+    expect( function() {
+      m.output.unformat( { active: true, duty: 60, period: 100 } );
+    }).to.throw( ValidationError, /Invalid value for duty/ );
+  });
+
+  it('should decode a table object', function() {
+    var m = MapLoader.load( schema );
+
+    m.table.fromBuffer( new Buffer( [ 0x34, 0x12, 5, 0x80, 0, 0, 0, 0, 0xCD, 0xAB, 9, 0x80 ] ));
+
+    expect( m.table.format() ).to.deep.equal( [
+      { address: '1234', level: 5, flags: { valid: true } },
+      { address: 'abcd', level: 9, flags: { valid: true } }
+    ]);
+  });
+
+  it('should parse a YAML schema', function() {
+    var m = MapLoader.load( MapLoader.parse( [
+      'banks:',
+      '  - name: status',
+      '    addr: 0x0200',
+      '    readOnly: true',
+      '    registers:',
+      '      - name: channel',
+      '      - name: fault'
+    ].join('\n'), 'yaml' ));
+
+    expect( m.fault.addr ).to.equal( 0x201 );
+    expect( function() { m.status.toBuffer(); } ).to.throw( /read-only/ );
+  });
+
+});
+
+describe('ACN Map', function() {
+
+  // Raw values to try for each register of each bank
+  var samples = {
+    modbusSlaveId: [ 1, 247 ],
+    channelMap: [ 0, 0xFFFF ],
+    msBetweenStatusTx: [ 0, 0xFFFF ],
+    powerOffSec: [ 0, 0xFFFF ],
+    networkFormation: [ 0, 1 ],
+    pairingTimeout: [ 1, 0xFF ],
+    switchDefaults: [ 0, 1 ],
+    maxHops: [ 0, 15 ],
+    slowSpeed: [ 0x1010, 0xFFFF ],
+    fastSpeed: [ 0, 0x2020 ],
+    localSwitches: [ 0, 0xFFFF ],
+    remoteSwitches: [ 0x5555, 0xAAAA ],
+    remoteStatus: [ 0, 3 ],
+    remoteQuality: [ 0, 0xFFFF ],
+    systemState: [ 0, 5 ],
+    volts: [ 0, 0x0FFF ],
+    channel: [ 11, 26 ],
+    fault: [ 0, 1 ],
+    lo0: [ 0, 0xFF ],
+    lo1: [ 0x0D, 0xF6 ],
+    ro0: [ 0, 0xFF ],
+    ro1: [ 0x0D, 0xF6 ],
+    ro2: [ 0x55, 0xAA ]
+  };
+
+  // the other remote outputs are like the first three
+  for( var i = 3; i < 16; i++ ) {
+    samples[ 'ro' + i ] = samples[ 'ro' + ( i % 3 ) ];
+  }
+
+  /**
+   * Formats a value and converts it back, the way it would travel as JSON
+   *
+   * @param  {Register} reg the register or bank, which is unformatted
+   * @return {any}          the formatted value
+   */
+  function roundTrip( reg ) {
+    var formatted = JSON.parse( JSON.stringify( reg.format() ));
+
+    reg.unformat( formatted );
+
+    return formatted;
+  }
+
+  it('should round-trip every register of every bank', function() {
+    map.schema.banks.forEach( function( bank ) {
+      bank.registers.forEach( function( desc ) {
+        var reg = Object.create( map[ desc.name ] );
+
+        expect( samples, 'samples for ' + desc.name ).to.have.property( desc.name );
+
+        samples[ desc.name ].forEach( function( raw ) {
+          var buf = new Buffer( 2 );
+
+          buf.writeUInt16BE( raw, 0 );
+          reg.fromBuffer( buf );
+          roundTrip( reg );
+
+          expect( reg.value, desc.name ).to.equal( raw );
+
+          if( !reg.readOnly ) {
+            expect( reg.toBuffer(), desc.name ).to.deep.equal( buf );
+          }
+        });
+      });
+    });
+  });
+
+  it('should round-trip every bank', function() {
+    map.schema.banks.forEach( function( desc ) {
+      var bank = map[ desc.name ];
+
+      [ 0, 1 ].forEach( function( sample ) {
+        var buf = new Buffer( desc.registers.length * 2 );
+
+        desc.registers.forEach( function( reg, index ) {
+          buf.writeUInt16BE( samples[ reg.name ][ sample ], index * 2 );
+        });
+
+        bank.fromBuffer( buf );
+
+        var formatted = roundTrip( bank );
+
+        expect( bank.format(), desc.name ).to.deep.equal( formatted );
+
+        if( bank.readOnly ) {
+          expect( function() { bank.toBuffer(); } ).to.throw( /read-only/ );
+        }
+        else {
+          expect( bank.toBuffer(), desc.name ).to.deep.equal( buf );
+        }
+      });
+    });
+  });
+
+  it('should write every register in the config block', function() {
+    var buf = new Buffer( [ 0, 1, 0xFF, 0xFF, 0, 100, 0, 0, 0, 1, 0, 10, 0, 0, 0, 2, 0x10, 0x10, 0x20, 0x20 ] );
+
+    map.config.fromBuffer( buf );
+    map.config.unformat( map.config.format() );
+
+    expect( map.config.toBuffer() ).to.deep.equal( buf );
+    expect( map.config.format().fastSpeed ).to.equal( '0x2020' );
+  });
+
+  it('should name the values of enum and flag registers', function() {
+    var buf = new Buffer( 20 );
+
+    map.config.fromBuffer( buf.fill( 0 ));
+    map.config.unformat( { networkFormation: 2, switchDefaults: '1,0,true' } );
+
+    expect( map.switchDefaults.value ).to.equal( 5 );
+    expect( map.config.format().switchDefaults.slice( 0, 3 )).to.deep.equal( [ true, false, true ] );
+
+    // values whose names are not confirmed stay raw
+    expect( map.config.format().networkFormation ).to.equal( 2 );
+
+    map.bank2.fromBuffer( new Buffer( [ 0, 15, 0, 4 ] ));
+    expect( map.bank2.format() ).to.deep.equal( { channel: 15, fault: 4 } );
+
+    map.systemState.unformat( 'Pairing' );
+    expect( map.systemState.value ).to.equal( 5 );
+
+    expect( function() { map.systemState.unformat( 'Sleeping' ); })
+      .to.throw( ValidationError,
+        'Invalid value for systemState: Sleeping (use None, Reset, Powerup, Idle, Active, Pairing)' );
+  });
+
+  it('should decode and encode all 16 remote outputs', function() {
+    var buf = new Buffer( 32 );
+
+    buf.fill( 0 );
+    buf.writeUInt16BE( 0x0D, 30 );
+    map.remoteOutputs.fromBuffer( buf );
+
+    var outputs = map.remoteOutputs.format();
+
+    expect( outputs ).to.have.length( 16 );
+    expect( outputs[15] ).to.deep.equal( { active: true, duty: 75, period: 100 } );
+
+    outputs[0] = { active: true, duty: 100, period: 1600 };
+    map.remoteOutputs.unformat( outputs );
+
+    expect( map.remoteOutputs.toBuffer().readUInt16BE( 0 )).to.equal( 0xFF );
+    expect( function() { map.ro3.unformat( 'on' ); })
+      .to.throw( ValidationError, 'ro3 must be an object like { active, duty, period }, not "on"' );
+  });
+
+  it('should decode both local outputs', function() {
+    map.localOutputs.fromBuffer( new Buffer( [ 0, 0x01, 0, 0x0F ] ));
+
+    expect( map.localOutputs.format() ).to.deep.equal( [
+      { active: true, duty: 25, period: 50 },
+      { active: true, duty: 100, period: 100 }
+    ]);
+  });
+
+});
@@ -0,0 +1,145 @@
+/**
+ * Test script to verify switching outputs and remote switches
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Promise library
+var Promise = require('bluebird');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Outputs', function() {
+
+  var sim;
+  var port;
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  /**
+   * Pairs the simulated device with a remote
+   *
+   * @return {Promise} resolves when the remote has joined
+   */
+  function pairRemote() {
+    var paired = new Promise( function( resolve ) { sim.once( 'paired', resolve ); });
+
+    sim.addPeer( { macAddress: '00:04:A3:00:00:00:00:01', shortAddress: 0x0101 } );
+
+    return port.pair().then( function() { return paired; });
+  }
+
+  it('should switch a local output and keep its settings', function() {
+    return port.setLocalOutput( 1, { active: false, duty: 75, period: 400 } )
+      .then( function() {
+        return port.setLocalOutput( 1, true );
+      })
+      .then( function( output ) {
+        expect( output ).to.deep.equal( { active: true, duty: 75, period: 400 } );
+
+        // active (1), 75% (2 << 1) and 400 ms (7 << 3)
+        expect( sim.getRegister( 0x0301 )).to.equal( 0x3D );
+
+        return port.setLocalOutput( 2, true );
+      })
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.equal( 'No such output: lo2' );
+      });
+  });
+
+  it('should time out if the remote does not acknowledge', function() {
+    var errors = AcnPort.errors;
+
+    return port.setSwitchMask( 0x0005, { ackTimeout: 200, pollInterval: 50 } )
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err ).to.be.an.instanceof( errors.TimeoutError );
+        expect( err.message ).to.match( /remote did not acknowledge.*status 2/ );
+
+        // the switches were still written
+        expect( sim.getRegister( 0x0101 )).to.equal( 0x0005 );
+
+        // unless the status is one the caller accepts
+        return port.setSwitchMask( 0x0006, { acknowledged: [ 2 ] } );
+      })
+      .then( function( switches ) {
+        expect( switches.slice( 0, 4 )).to.deep.equal( [ false, true, true, false ] );
+      });
+  });
+
+  it('should set the remote switches once paired', function() {
+    return pairRemote()
+      .then( function() {
+        return port.setSwitchMask( [ true, false, true ] );
+      })
+      .then( function( switches ) {
+        expect( switches.slice( 0, 4 )).to.deep.equal( [ true, false, true, false ] );
+        expect( sim.getRegister( 0x0101 )).to.equal( 0x0005 );
+      });
+  });
+
+  it('should pulse a remote output', function() {
+    var writes = [];
+
+    sim.on( 'write', function( addr ) {
+      writes.push( { addr: addr, active: sim.getRegister( addr ) & 1 } );
+    });
+
+    return pairRemote()
+      .then( function() {
+        return port.pulseRemoteOutput( 15, 50 );
+      })
+      .then( function( output ) {
+        expect( output.active ).to.equal( false );
+        expect( writes ).to.deep.equal( [
+          { addr: 0x040F, active: 1 },
+          { addr: 0x040F, active: 0 }
+        ] );
+      });
+  });
+
+  it('should switch a pulsed output off even if switching it on fails', function() {
+    var writes = [];
+
+    sim.on( 'write', function( addr ) {
+      writes.push( { addr: addr, active: sim.getRegister( addr ) & 1 } );
+    });
+
+    // nothing is paired, so the remote never acknowledges
+    return port.pulseRemoteOutput( 14, 50, { ackTimeout: 150, pollInterval: 50 } )
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.TimeoutError );
+        expect( writes ).to.deep.equal( [
+          { addr: 0x040E, active: 1 },
+          { addr: 0x040E, active: 0 }
+        ] );
+      });
+  });
+
+});
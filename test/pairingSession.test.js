@@ -0,0 +1,169 @@
+/**
+ * Test script to verify pairing sessions
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Promise library
+var Promise = require('bluebird');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Pairing Session', function() {
+
+  var sim;
+  var port;
+
+  var PEER = { macAddress: '00:04:A3:00:00:00:00:01', shortAddress: 0x0101 };
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  it('should report the device that joins', function() {
+    var session = port.pairingSession( { pollInterval: 50 } );
+    var events = [];
+
+    session.on( 'progress', function( progress ) {
+      events.push( progress.state );
+
+      // the device joins once pairing is under way
+      if( events.length === 1 ) {
+        sim.addPeer( PEER );
+      }
+    });
+
+    session.on( 'paired', function( device ) {
+      events.push( 'paired ' + device.shortAddress );
+    });
+
+    return session.start()
+      .then( function( device ) {
+        expect( device.macAddress ).to.equal( '00:04:a3:00:00:00:00:01' );
+        expect( device.shortAddress ).to.equal( '0101' );
+        expect( events ).to.deep.equal( [ 'Pairing', 'paired 0101' ] );
+      });
+  });
+
+  it('should only report new devices', function() {
+    sim.addPeer( PEER );
+
+    return port.pairingSession().start()
+      .then( function() {
+        return port.pairingSession( { pollInterval: 50, timeout: 200 } ).start();
+      })
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.TimeoutError );
+        expect( err.message ).to.equal( 'No device joined within 200 ms' );
+      });
+  });
+
+  it('should fail when the device stops pairing', function() {
+    var session = port.pairingSession( { pollInterval: 50 } );
+    var failed;
+
+    session.on( 'failed', function( err ) { failed = err; });
+
+    return port.write( 'pairingTimeout', 1 )
+      .then( function() {
+        return session.start();
+      })
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.equal( 'Pairing ended without a device joining (state Idle)' );
+        expect( failed ).to.equal( err );
+      });
+  });
+
+  it('should wait for the device to enter the Pairing state', function() {
+    var session = port.pairingSession( { pollInterval: 50 } );
+    var read = port.read;
+    var states = [];
+
+    // the first polls see the state from before the pair command
+    port.read = function( item, options ) {
+      return read.call( port, item, options ).then( function( reg ) {
+        if( item === 'systemState' && states.length < 2 ) {
+          return { format: function() { return 'Idle'; } };
+        }
+
+        return reg;
+      });
+    };
+
+    session.on( 'progress', function( progress ) {
+      states.push( progress.state );
+
+      if( progress.state === 'Pairing' ) {
+        sim.addPeer( PEER );
+      }
+    });
+
+    return session.start()
+      .then( function( device ) {
+        expect( device.shortAddress ).to.equal( '0101' );
+        expect( states ).to.deep.equal( [ 'Idle', 'Idle', 'Pairing' ] );
+      });
+  });
+
+  it('should fail if the device does not start pairing', function() {
+    var read = port.read;
+
+    port.read = function( item, options ) {
+      if( item === 'systemState' ) {
+        return Promise.resolve( { format: function() { return 'Idle'; } } );
+      }
+
+      return read.call( port, item, options );
+    };
+
+    return port.pairingSession( { pollInterval: 50, startTimeout: 200 } ).start()
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.equal( 'The device did not start pairing (state Idle)' );
+      });
+  });
+
+  it('should stop waiting when cancelled', function() {
+    var session = port.pairingSession( { pollInterval: 50 } );
+
+    session.once( 'progress', function() { session.cancel(); });
+
+    return session.start()
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err ).to.be.an.instanceof( AcnPort.errors.CancelledError );
+
+        // the device carries on until its pairingTimeout
+        return port.read( 'systemState' );
+      })
+      .then( function( state ) {
+        expect( state.format() ).to.equal( 'Pairing' );
+      });
+  });
+
+});
@@ -0,0 +1,194 @@
+/**
+ * Test script to verify configuration profiles
+ *
+ * These tests run against simulated devices, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Configuration profiles
+var profiles = require('../lib/profiles');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Configuration Profiles', function() {
+
+  var ports;
+
+  /**
+   * Opens a port to a new simulated device
+   *
+   * @param  {string} name the port name
+   * @return {Promise}     resolves with the port
+   */
+  function open( name ) {
+    var port = simulated.createPort( { name: name } ).port;
+
+    ports.push( port );
+
+    return port.open().then( function() { return port; });
+  }
+
+  beforeEach( function() {
+    ports = [];
+  });
+
+  afterEach( function() {
+    ports.forEach( function( port ) { port.destroy(); });
+  });
+
+  it('should export the configuration with the device type', function() {
+    var port;
+
+    return open( 'sim' )
+      .then( function( p ) {
+        port = p;
+        return port.getSlaveId();
+      })
+      .then( function( id ) {
+        return profiles.exportProfile( port )
+          .then( function( profile ) {
+            expect( profile.profile ).to.equal( 'cs-acn' );
+            expect( profile.device ).to.deep.equal( {
+              product: id.product,
+              productType: id.productType,
+              firmware: id.version
+            });
+            expect( profile.config ).to.have.property( 'channelMap' );
+            expect( profile.config ).to.not.have.property( 'modbusSlaveId' );
+            expect( Object.keys( profile.outputs )).to.have.length( 18 );
+            expect( profile.outputs.ro15 ).to.have.all.keys( 'active', 'duty', 'period' );
+          });
+      });
+  });
+
+  it('should preview a profile without writing it', function() {
+    var port;
+
+    return open( 'sim' )
+      .then( function( p ) {
+        port = p;
+        return profiles.exportProfile( port );
+      })
+      .then( function( profile ) {
+        profile.config.powerOffSec = profile.config.powerOffSec + 1;
+
+        return profiles.apply( port, profile, { dryRun: true } )
+          .then( function( result ) {
+            expect( result.dryRun ).to.equal( true );
+            expect( result.changes.map( function( c ) { return c.name; }) ).to.deep.equal( [ 'powerOffSec' ] );
+
+            return profiles.exportProfile( port );
+          })
+          .then( function( current ) {
+            expect( current.config.powerOffSec ).to.equal( profile.config.powerOffSec - 1 );
+          });
+      });
+  });
+
+  it('should refuse a profile for another product unless forced', function() {
+    var port;
+    var profile;
+
+    return open( 'sim' )
+      .then( function( p ) {
+        port = p;
+        return profiles.exportProfile( port );
+      })
+      .then( function( p ) {
+        profile = p;
+        profile.device.product = profile.device.product + 1;
+        profile.device.productType = 'Other';
+
+        return profiles.apply( port, profile );
+      })
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.match( /Profile is for Other/ );
+
+        return profiles.apply( port, profile, { force: true, dryRun: true } );
+      })
+      .then( function( result ) {
+        expect( result.changes ).to.deep.equal( [] );
+      });
+  });
+
+  it('should apply the output configuration', function() {
+    var port;
+    var profile;
+
+    return open( 'sim' )
+      .then( function( p ) {
+        port = p;
+        return profiles.exportProfile( port );
+      })
+      .then( function( p ) {
+        profile = p;
+        profile.outputs.lo1 = { active: true, duty: 25, period: 500 };
+        profile.outputs.ro7 = { active: true, duty: 100, period: 1000 };
+
+        return profiles.apply( port, profile );
+      })
+      .then( function( result ) {
+        expect( result.changes.map( function( c ) { return c.name; }) ).to.deep.equal( [ 'lo1', 'ro7' ] );
+        expect( result.mismatches ).to.deep.equal( [] );
+
+        return profiles.exportProfile( port );
+      })
+      .then( function( current ) {
+        expect( current.outputs ).to.deep.equal( profile.outputs );
+
+        // nothing is written if any value is invalid
+        profile.config.msBetweenStatusTx = 10;
+        profile.outputs.ro7 = { active: true, duty: 100, period: 5000 };
+
+        return profiles.apply( port, profile );
+      })
+      .then( function() {
+        throw new Error( 'should have been rejected' );
+      }, function( err ) {
+        expect( err.message ).to.match( /period must be from 50 to 1600/ );
+
+        return profiles.exportProfile( port );
+      })
+      .then( function( current ) {
+        expect( current.config.msBetweenStatusTx ).to.not.equal( 10 );
+      });
+  });
+
+  it('should apply one profile to several devices', function() {
+    var profile;
+
+    return open( 'sim1' )
+      .then( function() { return open( 'sim2' ); })
+      .then( function() { return profiles.exportProfile( ports[0] ); })
+      .then( function( p ) {
+        profile = p;
+        profile.config.msBetweenStatusTx = 750;
+
+        // the second entry is not a port at all
+        return profiles.applyAll( [ ports[0], { name: 'bad' }, ports[1] ], profile );
+      })
+      .then( function( results ) {
+        expect( results.map( function( r ) { return r.port; }) ).to.deep.equal( [ 'sim1', 'bad', 'sim2' ] );
+        expect( results[1].error ).to.be.a( 'string' );
+
+        [ results[0], results[2] ].forEach( function( result ) {
+          expect( result.changes.map( function( c ) { return c.name; }) ).to.deep.equal( [ 'msBetweenStatusTx' ] );
+          expect( result.mismatches ).to.deep.equal( [] );
+        });
+
+        return profiles.exportProfile( ports[1] );
+      })
+      .then( function( profile ) {
+        expect( profile.config.msBetweenStatusTx ).to.equal( 750 );
+      });
+  });
+
+});
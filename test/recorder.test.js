@@ -0,0 +1,202 @@
+/**
+ * Test script to verify the telemetry recorder and its storage backends
+ *
+ * The SQLite tests are skipped if the optional sqlite3 package is not
+ * installed.
+ *
+ */
+'use strict';
+
+// File system
+var fs = require('fs');
+
+// Operating system utilities
+var os = require('os');
+
+// File path utilities
+var path = require('path');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// The telemetry recorder
+var Recorder = require('../lib/Recorder');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+// a time to record values at
+var T0 = Date.parse( '2017-03-01T12:00:00Z' );
+
+/**
+ * Checks whether the sqlite3 package is installed
+ *
+ * @return {boolean} true if it can be loaded
+ */
+function haveSqlite() {
+  try {
+    require('sqlite3');
+    return true;
+  }
+  catch( e ) {
+    return false;
+  }
+}
+
+
+[ 'jsonl', 'csv', 'sqlite' ].forEach( function( type ) {
+
+  describe('Recorder (' + type + ')', function() {
+
+    var file = path.join( os.tmpdir(), 'cs-acn-recorder-test.' + type );
+    var recorder;
+
+    /**
+     * Opens a recorder on the test file
+     *
+     * @param  {object} options more recorder options (optional)
+     * @return {Promise}        resolves when it is open
+     */
+    function open( options ) {
+      recorder = new Recorder( Object.assign( { type: type, file: file }, options ));
+      return recorder.open();
+    }
+
+    before( function() {
+      if( type === 'sqlite' && !haveSqlite() ) {
+        this.skip();
+      }
+    });
+
+    beforeEach( function() {
+      [ file, file + '.tmp' ].forEach( function( name ) {
+        if( fs.existsSync( name )) {
+          fs.unlinkSync( name );
+        }
+      });
+    });
+
+    afterEach( function() {
+      return recorder ? recorder.close()
+        .then( function() {
+          recorder = null;
+          fs.unlinkSync( file );
+        }) : null;
+    });
+
+    it('should return the values for a device and register', function() {
+      return open()
+        .then( function() { return recorder.record( 'S0000001', 'bank1', { speed: 10 }, T0 ); })
+        .then( function() { return recorder.record( 'S0000002', 'bank1', { speed: 20 }, T0 + 1 ); })
+        .then( function() { return recorder.record( 'S0000001', 'bank1', { speed: 11 }, T0 + 2 ); })
+        .then( function() { return recorder.record( 'S0000001', 'coord', 'a,"b"', T0 + 3 ); })
+        .then( function() { return recorder.query( { device: 'S0000001', register: 'bank1' } ); })
+        .then( function( records ) {
+          expect( records ).to.deep.equal( [
+            { time: T0, device: 'S0000001', register: 'bank1', value: { speed: 10 } },
+            { time: T0 + 2, device: 'S0000001', register: 'bank1', value: { speed: 11 } }
+          ]);
+
+          return recorder.query( { register: 'coord' } );
+        })
+        .then( function( records ) {
+          expect( records[0].value ).to.equal( 'a,"b"' );
+        });
+    });
+
+    it('should select a time range and the most recent values', function() {
+      return open()
+        .then( function() {
+          return [ 0, 1, 2, 3, 4 ].reduce( function( done, i ) {
+            return done.then( function() { return recorder.record( 'S1', 'r', i, T0 + i * 1000 ); });
+          }, recorder.prune() );
+        })
+        .then( function() {
+          return recorder.query( { from: new Date( T0 + 1000 ), to: T0 + 3000 } );
+        })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.value; }) ).to.deep.equal( [ 1, 2, 3 ] );
+
+          return recorder.query( { device: 'S1', limit: 2 } );
+        })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.value; }) ).to.deep.equal( [ 3, 4 ] );
+
+          // as they arrive from the web page or the command line
+          return recorder.query( { from: String( T0 + 3000 ), to: new Date( T0 + 4000 ).toISOString() } );
+        })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.value; }) ).to.deep.equal( [ 3, 4 ] );
+
+          return recorder.query( { from: 'yesterday' } );
+        })
+        .then( function() {
+          throw new Error( 'should have been rejected' );
+        }, function( err ) {
+          expect( err.message ).to.equal( 'Invalid time for from' );
+        });
+    });
+
+    it('should remove old records', function() {
+      var now = Date.now();
+
+      return open( { maxAge: 60000, maxRecords: 2 } )
+        .then( function() { return recorder.record( 'S1', 'r', 'expired', now - 120000 ); })
+        .then( function() { return recorder.record( 'S1', 'r', 'first', now - 3000 ); })
+        .then( function() { return recorder.record( 'S1', 'r', 'second', now - 2000 ); })
+        .then( function() { return recorder.record( 'S1', 'r', 'third', now - 1000 ); })
+        .then( function() { return recorder.prune(); })
+        .then( function( removed ) {
+          expect( removed ).to.equal( 2 );
+
+          return recorder.query( {} );
+        })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.value; }) ).to.deep.equal( [ 'second', 'third' ] );
+        });
+    });
+
+    it('should keep records when it is opened again', function() {
+      return open()
+        .then( function() { return recorder.record( 'S1', 'r', 1, T0 ); })
+        .then( function() { return recorder.close(); })
+        .then( function() { return open(); })
+        .then( function() { return recorder.record( 'S1', 'r', 2, T0 + 1 ); })
+        .then( function() { return recorder.query( {} ); })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.value; }) ).to.deep.equal( [ 1, 2 ] );
+        });
+    });
+
+    it('should record sensor stream packets', function() {
+      var stream = new EventEmitter();
+
+      return open()
+        .then( function() {
+          recorder.watch( stream );
+          stream.emit( 'data', { from: '0101', packet: { serial: 'S0000123', latitude: 45 } } );
+          stream.emit( 'data', { from: '0102', packet: {} } );
+          recorder.unwatch( stream );
+          stream.emit( 'data', { from: '0103', packet: {} } );
+
+          return recorder.close();
+        })
+        .then( function() { return open(); })
+        .then( function() { return recorder.query( { register: 'sensorData' } ); })
+        .then( function( records ) {
+          expect( records.map( function( r ) { return r.device; }) ).to.deep.equal( [ 'S0000123', '0102' ] );
+          expect( records[0].value.packet.latitude ).to.equal( 45 );
+        });
+    });
+
+  });
+});
+
+describe('Recorder', function() {
+
+  it('should reject unknown types', function() {
+    expect( function() { return new Recorder( { type: 'xml', file: 'x' } ); }).to.throw( /Unknown recorder type/ );
+  });
+
+});
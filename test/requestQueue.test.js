@@ -0,0 +1,207 @@
+/**
+ * Test script to verify the queue that AcnPort sends requests through
+ *
+ * These tests use a fake MODBUS master, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// built-in node utility module
+var util = require('util');
+
+// Node event emitter module
+var EventEmitter = require('events').EventEmitter;
+
+// The request queue
+var RequestQueue = require('../lib/RequestQueue');
+
+// Errors reported by the port
+var errors = require('../lib/errors');
+
+// Errors reported by the MODBUS master
+var ModbusErrors = require('@csllc/cs-modbus/lib/errors');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * A MODBUS master that answers each request with the next result in a list
+ *
+ * Each result is {response} or {error}; requests are answered when
+ * answer() is called, in the order they were sent.
+ *
+ * @param {Array} results the results to give
+ */
+function FakeMaster( results ) {
+  this.results = results || [];
+  this.sent = [];
+  this.waiting = [];
+}
+
+FakeMaster.prototype.isConnected = function() {
+  return true;
+};
+
+FakeMaster.prototype.readObject = function( id, options ) {
+  var transaction = {
+    id: id,
+    options: options,
+    cancelled: false,
+    getRequest: function() { return { id: id }; },
+    cancel: function() { this.cancelled = true; }
+  };
+
+  this.sent.push( id );
+  this.waiting.push( transaction );
+
+  return transaction;
+};
+
+FakeMaster.prototype.answer = function() {
+  var transaction = this.waiting.shift();
+  var result = this.results.shift() || { response: { values: [] } };
+
+  transaction.options.onComplete( result.error || null, result.response || null );
+};
+
+
+/**
+ * A cancellation token for versions of node without AbortController
+ */
+function Token() {
+  EventEmitter.call( this );
+  this.aborted = false;
+}
+
+util.inherits( Token, EventEmitter );
+
+Token.prototype.abort = function() {
+  this.aborted = true;
+  this.emit( 'abort' );
+};
+
+
+describe('Request Queue', function() {
+
+  it('should send higher priority requests first', function() {
+    var master = new FakeMaster();
+    var queue = new RequestQueue( master );
+
+    queue.request( 'readObject', [ 1 ] );
+    queue.request( 'readObject', [ 2 ] );
+    queue.request( 'readObject', [ 3 ], { priority: 5 } );
+    queue.request( 'readObject', [ 4 ], { priority: 1 } );
+
+    expect( master.sent ).to.deep.equal( [ 1 ] );
+
+    master.answer();
+    master.answer();
+    master.answer();
+
+    expect( master.sent ).to.deep.equal( [ 1, 3, 4, 2 ] );
+  });
+
+  it('should pass the timeout to the master', function() {
+    var master = new FakeMaster();
+
+    new RequestQueue( master ).request( 'readObject', [ 1 ], { timeout: 1234 } );
+
+    expect( master.waiting[0].options.timeout ).to.equal( 1234 );
+    expect( master.waiting[0].options.maxRetries ).to.equal( 0 );
+  });
+
+  it('should retry timeouts and busy responses', function(done) {
+    var master = new FakeMaster( [
+      { error: new ModbusErrors.ResponseTimeoutError() },
+      { response: { exceptionCode: 6 } },
+      { response: { values: [ 42 ] } }
+    ]);
+
+    new RequestQueue( master ).request( 'readObject', [ 1 ], { retries: 2 } )
+      .then( function( response ) {
+        expect( response.values ).to.deep.equal( [ 42 ] );
+        expect( master.sent ).to.deep.equal( [ 1, 1, 1 ] );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+
+    master.answer();
+    master.answer();
+    master.answer();
+  });
+
+  it('should not retry other exceptions', function(done) {
+    var master = new FakeMaster( [ { response: { exceptionCode: 2 } } ] );
+
+    new RequestQueue( master, { retries: 3 } ).request( 'readObject', [ 1 ] )
+      .then( function() { throw new Error( 'request should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( errors.ExceptionResponseError );
+        expect( err.request ).to.deep.equal( { id: 1 } );
+        expect( master.sent ).to.deep.equal( [ 1 ] );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+
+    master.answer();
+  });
+
+  it('should cancel a queued request', function(done) {
+    var master = new FakeMaster();
+    var queue = new RequestQueue( master );
+    var token = new Token();
+
+    queue.request( 'readObject', [ 1 ] );
+
+    queue.request( 'readObject', [ 2 ], { signal: token } )
+      .then( function() { throw new Error( 'request should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( errors.CancelledError );
+
+        master.answer();
+        expect( master.sent ).to.deep.equal( [ 1 ] );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+
+    token.abort();
+  });
+
+  it('should cancel a request that was sent', function(done) {
+    var master = new FakeMaster();
+    var queue = new RequestQueue( master );
+    var token = new Token();
+
+    queue.request( 'readObject', [ 1 ], { signal: token } )
+      .then( function() { throw new Error( 'request should have failed' ); })
+      .catch( function( err ) {
+        expect( err ).to.be.an.instanceof( errors.CancelledError );
+        expect( master.waiting[0].cancelled ).to.equal( true );
+
+        // the next request waits until the cancelled one is finished
+        queue.request( 'readObject', [ 2 ] );
+        expect( master.sent ).to.deep.equal( [ 1 ] );
+
+        master.answer();
+        expect( master.sent ).to.deep.equal( [ 1, 2 ] );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+
+    token.abort();
+  });
+
+  it('should reject a request that was cancelled before it was made', function(done) {
+    var token = new Token();
+
+    token.abort();
+
+    new RequestQueue( new FakeMaster() ).request( 'readObject', [ 1 ], { signal: token } )
+      .then( function() { throw new Error( 'request should have failed' ); })
+      .catch( function( err ) { expect( err ).to.be.an.instanceof( errors.CancelledError ); })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+});
@@ -0,0 +1,204 @@
+/**
+ * Test script to verify the HTTP JSON interface
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// built-in HTTP module
+var http = require('http');
+
+// Promise library
+var Promise = require('bluebird');
+
+// The REST API
+var RestApi = require('../lib/RestApi');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('REST API', function() {
+
+  var port;
+  var server;
+
+  beforeEach( function( done ) {
+    var api;
+
+    port = simulated.createPort().port;
+    api = new RestApi( port );
+
+    server = http.createServer( function( req, res ) {
+      if( !api.handle( req, res )) {
+        res.writeHead( 200 );
+        res.end( 'page' );
+      }
+    });
+
+    server.listen( 0, '127.0.0.1', function() {
+      port.open().then( function() { done(); } ).catch( done );
+    });
+  });
+
+  afterEach( function( done ) {
+    port.destroy();
+    server.close( done );
+  });
+
+  /**
+   * Sends a request to the API
+   *
+   * @param  {string} method HTTP method
+   * @param  {string} path   the path
+   * @param  {any} body      JSON body, or a string to send as is (optional)
+   * @return {Promise}       resolves with { status, body }
+   */
+  function call( method, path, body ) {
+    return new Promise( function( resolve, reject ) {
+      var req = http.request( {
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: path
+      }, function( res ) {
+        var text = '';
+
+        res.on( 'data', function( chunk ) { text += chunk; });
+        res.on( 'end', function() {
+          var json = /json/.test( res.headers['content-type'] ) ? JSON.parse( text ) : text;
+
+          resolve( { status: res.statusCode, body: json } );
+        });
+      });
+
+      req.on( 'error', reject );
+
+      if( body !== undefined ) {
+        req.write( 'string' === typeof( body ) ? body : JSON.stringify( body ));
+      }
+
+      req.end();
+    });
+  }
+
+  it('should identify the device', function() {
+    return call( 'GET', '/device' )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 200 );
+        expect( res.body.result.port ).to.equal( 'sim' );
+        expect( res.body.result ).to.have.property( 'serialNumber' );
+        expect( res.body.result ).to.have.property( 'version' );
+      });
+  });
+
+  it('should write and read a register', function() {
+    return call( 'PUT', '/registers/msBetweenStatusTx', { value: 250 } )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 200 );
+        expect( res.body.result ).to.equal( 250 );
+
+        return call( 'GET', '/registers/msBetweenStatusTx' );
+      })
+      .then( function( res ) {
+        expect( res.status ).to.equal( 200 );
+        expect( res.body.result ).to.equal( 250 );
+
+        return call( 'GET', '/registers/config' );
+      })
+      .then( function( res ) {
+        expect( res.body.result.msBetweenStatusTx ).to.equal( 250 );
+      });
+  });
+
+  it('should read objects', function() {
+    return call( 'GET', '/objects/networkStatus' )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 200 );
+        expect( res.body.result ).to.be.an( 'object' );
+      });
+  });
+
+  it('should reject unknown names', function() {
+    return Promise.all( [
+      call( 'GET', '/registers/noSuchRegister' ),
+      call( 'GET', '/registers/networkStatus' ),
+      call( 'GET', '/objects/config' ),
+      call( 'POST', '/commands/selfDestruct' )
+    ])
+    .then( function( results ) {
+      results.forEach( function( res ) {
+        expect( res.status ).to.equal( 404 );
+        expect( res.body.error.name ).to.equal( 'RequestError' );
+      });
+    });
+  });
+
+  it('should reject invalid writes before sending them', function() {
+    return Promise.all( [
+      call( 'PUT', '/registers/bank1', { value: {} } ),
+      call( 'PUT', '/registers/msBetweenStatusTx', {} ),
+      call( 'PUT', '/registers/msBetweenStatusTx', '{ value: ' ),
+      call( 'PUT', '/registers/msBetweenStatusTx', [ 1 ] ),
+      call( 'PUT', '/registers/pairingTimeout', { value: 0 } ),
+      call( 'PUT', '/registers/%E0', { value: 1 } ),
+      call( 'PUT', '/registers/config', { value: { msBetweenStatusTx: 4321, pairingTimeout: 0 } } )
+    ])
+    .then( function( results ) {
+      expect( results[0].body.error.message ).to.match( /read-only/ );
+      expect( results[1].body.error.message ).to.match( /value/ );
+      expect( results[4].body.error.message ).to.equal( 'Pairing Timeout must be from 1 to 65535 s' );
+      expect( results[5].body.error.message ).to.equal( 'Invalid path: /registers/%E0' );
+      expect( results[6].body.error.message ).to.equal( 'Pairing Timeout must be from 1 to 65535 s' );
+
+      results.forEach( function( res ) {
+        expect( res.status ).to.equal( 400 );
+      });
+
+      return port.getMap();
+    })
+    .then( function( map ) {
+      // the valid field of the bank was not changed either
+      expect( map.msBetweenStatusTx.value ).to.not.equal( 4321 );
+    });
+  });
+
+  it('should check command parameters', function() {
+    return call( 'POST', '/commands/scan', { type: 7, duration: 1 } )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 400 );
+        expect( res.body.error.message ).to.match( /type/ );
+
+        return call( 'POST', '/commands/ping', { address: 'nowhere' } );
+      })
+      .then( function( res ) {
+        expect( res.status ).to.equal( 400 );
+      });
+  });
+
+  it('should run commands', function() {
+    return call( 'POST', '/commands/pair' )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 200 );
+      });
+  });
+
+  it('should reject unsupported methods', function() {
+    return call( 'DELETE', '/device' )
+      .then( function( res ) {
+        expect( res.status ).to.equal( 405 );
+      });
+  });
+
+  it('should leave other paths to the server', function() {
+    return call( 'GET', '/index.html' )
+      .then( function( res ) {
+        expect( res.body ).to.equal( 'page' );
+      });
+  });
+
+});
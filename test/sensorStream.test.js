@@ -0,0 +1,153 @@
+/**
+ * Test script to verify the sensor data stream
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Makes a controller report packet
+ *
+ * @param  {number} fault current fault code
+ * @param  {Array} log    fault log codes, most recent first (optional)
+ * @return {Buffer}       the packet
+ */
+function controllerReport( fault, log ) {
+  var packet = new Buffer( 40 );
+
+  packet.fill( 0 );
+  packet[0] = 1;
+
+  // serial number S0000123
+  packet.writeUInt32BE( 0x2000007B, 1 );
+  new Buffer( log || [] ).copy( packet, 5 );
+  packet[30] = fault;
+
+  return packet;
+}
+
+/**
+ * Makes a GPS report packet
+ *
+ * @return {Buffer} the packet
+ */
+function gpsReport() {
+  var packet = new Buffer( 40 );
+
+  packet.fill( 0 );
+  packet[0] = 2;
+  packet.writeInt32LE( 449778000, 5 );
+  packet.writeInt32LE( -932650000, 9 );
+  packet[13] = 7;
+
+  return packet;
+}
+
+
+describe('Sensor Stream', function() {
+
+  var sim;
+  var port;
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  it('should emit controller and GPS reports', function(done) {
+    var controller = [];
+
+    sim.queueSensorData( controllerReport( 3 ), { from: 0x0101, rssi: 40 } );
+    sim.queueSensorData( gpsReport(), { from: 0x0102 } );
+
+    port.sensorStream()
+      .on( 'controllerReport', function( msg ) { controller.push( msg ); })
+      .on( 'gpsReport', function( msg ) {
+        expect( controller ).to.have.length( 1 );
+        expect( controller[0].from ).to.equal( '0101' );
+        expect( controller[0].rssi ).to.equal( 40 );
+        expect( controller[0].packet.serial ).to.equal( 'S0000123' );
+        expect( controller[0].packet.currentFault.code ).to.equal( 3 );
+
+        expect( msg.from ).to.equal( '0102' );
+        expect( msg.packet.latitude ).to.equal( 44.9778 );
+        expect( msg.packet.sats ).to.equal( 7 );
+        done();
+      });
+  });
+
+  it('should drop repeated packets', function(done) {
+    var faults = [];
+
+    sim.queueSensorData( controllerReport( 1 ), { from: 0x0101, rssi: 40 } );
+    sim.queueSensorData( controllerReport( 1 ), { from: 0x0101, rssi: 52 } );
+    sim.queueSensorData( controllerReport( 1 ), { from: 0x0102 } );
+    sim.queueSensorData( controllerReport( 2 ), { from: 0x0101 } );
+    sim.queueSensorData( controllerReport( 1 ), { from: 0x0101 } );
+    sim.queueSensorData( gpsReport(), { from: 0x0101 } );
+
+    port.sensorStream()
+      .on( 'controllerReport', function( msg ) { faults.push( msg.packet.currentFault.code ); })
+      .on( 'gpsReport', function() {
+        expect( faults ).to.deep.equal( [ 1, 1, 2 ] );
+        done();
+      });
+  });
+
+  it('should report faults added to the fault log', function(done) {
+    var faults = [];
+
+    sim.queueSensorData( controllerReport( 0, [ 1 ] ), { from: 0x0101 } );
+    sim.queueSensorData( controllerReport( 4, [ 4, 3, 1 ] ), { from: 0x0101 } );
+    sim.queueSensorData( gpsReport(), { from: 0x0101 } );
+
+    port.sensorStream()
+      .on( 'fault', function( fault, msg ) {
+        expect( msg.packet.serial ).to.equal( 'S0000123' );
+        faults.push( fault.code );
+      })
+      .on( 'gpsReport', function() {
+        expect( faults ).to.deep.equal( [ 3, 4 ] );
+        done();
+      });
+  });
+
+  it('should poll less often when the link is idle', function(done) {
+    var stream = port.sensorStream( { maxInterval: 50 } );
+
+    setTimeout( function() {
+      expect( stream.interval ).to.equal( 50 );
+
+      // packets are picked up again immediately
+      sim.queueSensorData( gpsReport(), { from: 0x0101 } );
+      stream.once( 'gpsReport', function() {
+        expect( stream.interval ).to.equal( 0 );
+        stream.stop();
+        done();
+      });
+    }, 600 );
+  });
+
+  it('should return the same stream for each call', function() {
+    var stream = port.sensorStream();
+
+    expect( port.sensorStream() ).to.equal( stream );
+  });
+
+});
@@ -0,0 +1,127 @@
+/**
+ * Test script to verify the static file server used by acn-ws
+ *
+ */
+'use strict';
+
+// built-in HTTP module
+var http = require('http');
+
+// File path utilities
+var path = require('path');
+
+// Promise library
+var Promise = require('bluebird');
+
+// The static file server
+var StaticFiles = require('../lib/StaticFiles');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Static Files', function() {
+
+  var server;
+
+  before( function( done ) {
+    var files = new StaticFiles( { '/static/test/': __dirname } );
+
+    server = http.createServer( function( req, res ) {
+      if( !files.handle( req, res )) {
+        res.writeHead( 200 );
+        res.end( 'page' );
+      }
+    });
+
+    server.listen( 0, '127.0.0.1', done );
+  });
+
+  after( function( done ) {
+    server.close( done );
+  });
+
+  /**
+   * Sends a request
+   *
+   * @param  {string} method  HTTP method
+   * @param  {string} urlPath the path
+   * @param  {object} headers request headers (optional)
+   * @return {Promise}        resolves with { res, body }
+   */
+  function get( method, urlPath, headers ) {
+    return new Promise( function( resolve, reject ) {
+      var req = http.request( {
+        host: '127.0.0.1',
+        port: server.address().port,
+        method: method,
+        path: urlPath,
+        headers: headers || {}
+      }, function( res ) {
+        var body = '';
+
+        res.on( 'data', function( chunk ) { body += chunk; });
+        res.on( 'end', function() { resolve( { res: res, body: body } ); });
+      });
+
+      req.on( 'error', reject );
+      req.end();
+    });
+  }
+
+  it('should serve files with their content type and cache headers', function() {
+    return get( 'GET', '/static/test/staticFiles.test.js' )
+      .then( function( result ) {
+        expect( result.res.statusCode ).to.equal( 200 );
+        expect( result.res.headers['content-type'] ).to.match( /^application\/javascript/ );
+        expect( result.res.headers['cache-control'] ).to.equal( 'public, max-age=86400' );
+        expect( result.body ).to.contain( 'static file server' );
+
+        return get( 'GET', '/static/test/staticFiles.test.js', { 'If-None-Match': result.res.headers.etag } );
+      })
+      .then( function( result ) {
+        expect( result.res.statusCode ).to.equal( 304 );
+        expect( result.body ).to.equal( '' );
+      });
+  });
+
+  it('should refuse paths outside the directory', function() {
+    return Promise.all( [
+      get( 'GET', '/static/test/..%2Fpackage.json' ),
+      get( 'GET', '/static/test/%2e%2e/package.json' )
+    ])
+    .then( function( results ) {
+      results.forEach( function( result ) {
+        expect( result.res.statusCode ).to.equal( 403 );
+      });
+    });
+  });
+
+  it('should answer missing files and other methods', function() {
+    return Promise.all( [
+      get( 'GET', '/static/test/missing.js' ),
+      get( 'POST', '/static/test/staticFiles.test.js' ),
+      get( 'GET', '/index.html' )
+    ])
+    .then( function( results ) {
+      expect( results[0].res.statusCode ).to.equal( 404 );
+      expect( results[1].res.statusCode ).to.equal( 405 );
+      expect( results[2].body ).to.equal( 'page' );
+    });
+  });
+
+  it('should include the libraries used by the web page', function() {
+    var files = new StaticFiles();
+
+    [ '/static/jquery/jquery.min.js',
+      '/static/bootstrap/css/bootstrap.min.css',
+      '/static/bootstrap/css/bootstrap-theme.min.css',
+      '/static/bootstrap/js/bootstrap.min.js',
+      '/static/flot/jquery.flot.js' ].forEach( function( urlPath ) {
+      expect( require('fs').existsSync( files.resolve( urlPath ))).to.equal( true );
+    });
+
+    expect( files.resolve( '/static/jquery/' + path.join( '..', '..' ))).to.equal( null );
+  });
+
+});
@@ -0,0 +1,96 @@
+/**
+ * Test script to verify the connection table and coordinator status
+ *
+ * These tests run against a simulated device, so no hardware is needed.
+ *
+ */
+'use strict';
+
+// Promise library
+var Promise = require('bluebird');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+describe('Network Tables', function() {
+
+  var sim;
+  var port;
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  /**
+   * Pairs the simulated device with a peer
+   *
+   * @param  {object} peer {macAddress, shortAddress}
+   * @return {Promise}     resolves when the peer has joined
+   */
+  function pairWith( peer ) {
+    var paired = new Promise( function( resolve ) { sim.once( 'paired', resolve ); });
+
+    sim.addPeer( peer );
+
+    return port.pair().then( function() { return paired; });
+  }
+
+  it('should be empty before pairing', function(done) {
+    port.getConnections()
+      .then( function( connections ) {
+        expect( connections ).to.deep.equal( [] );
+        return port.getCoord();
+      })
+      .then( function( coord ) {
+        expect( coord.roleType ).to.equal( 'End Device' );
+        expect( coord.known ).to.deep.equal( [ false, false, false, false, false, false, false, false ] );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+  it('should decode every entry of the connection table', function(done) {
+    pairWith( { macAddress: '00:04:A3:00:00:00:00:01', shortAddress: 0x0101 } )
+      .then( function() {
+        return pairWith( { macAddress: '00:04:A3:00:00:00:00:02', shortAddress: 0x0102 } );
+      })
+      .then( function() { return port.getConnections(); })
+      .then( function( connections ) {
+        expect( connections ).to.have.length( 2 );
+        expect( connections[0].address ).to.equal( '00:04:a3:00:00:00:00:01' );
+        expect( connections[1].address ).to.equal( '00:04:a3:00:00:00:00:02' );
+        expect( connections[1].altAddress ).to.equal( '0102' );
+        expect( connections[1].status.isFamily ).to.equal( true );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+  it('should report the role, known coordinators and routes', function(done) {
+    pairWith( { macAddress: '00:04:A3:00:00:00:00:01', shortAddress: 0x0101 } )
+      .then( function() { return port.getCoord(); })
+      .then( function( coord ) {
+        expect( coord.role ).to.equal( 2 );
+        expect( coord.roleType ).to.equal( 'Net Coordinator' );
+        expect( coord.known[0] ).to.equal( true );
+        expect( coord.route ).to.have.length( 8 );
+        expect( coord.route[0] ).to.deep.equal( { to: 0, nextHop: 0, errors: 0 } );
+      })
+      .then( function() { done(); } )
+      .catch( done );
+  });
+
+});
@@ -0,0 +1,192 @@
+/**
+ * Test script to verify network topology discovery
+ *
+ */
+'use strict';
+
+// Load the object that handles communication to the device
+var AcnPort = require('../acn-port');
+
+// Promise library
+var Promise = require('bluebird');
+
+// Topology discovery
+var topology = require('../lib/topology');
+
+// Ports to simulated devices
+var simulated = require('./helpers/simulated');
+
+// Test helpers
+var expect = require('chai').expect;
+
+
+/**
+ * Makes a port that answers with fixed network information
+ *
+ * @param  {string} name the port name
+ * @param  {object} info { network, coord, connections }
+ * @return {object}      an object that looks enough like an AcnPort
+ */
+function fakePort( name, info ) {
+  return {
+    name: name,
+    getSlaveId: function() { return Promise.resolve( { serialNumber: name } ); },
+    read: function() { return Promise.resolve( { format: function() { return info.network; } } ); },
+    getCoord: function() { return Promise.resolve( info.coord ); },
+    getConnections: function() { return Promise.resolve( info.connections || [] ); },
+    ping: function() { return Promise.resolve( { error: 'No Response' } ); }
+  };
+}
+
+/**
+ * Makes the coordinator status of a device
+ *
+ * @param  {string} roleType the device's role
+ * @param  {object} routes   the next hop to each coordinator, keyed by its
+ *                           number
+ * @return {object}          as returned by AcnPort.getCoord
+ */
+function coordStatus( roleType, routes ) {
+  var status = { roleType: roleType, known: [], route: [] };
+
+  for( var i = 0; i < 8; i++ ) {
+    status.known.push( i in routes );
+    status.route.push( { to: i, nextHop: ( i in routes ) ? routes[i] : 0xFF, errors: 0 } );
+  }
+
+  return status;
+}
+
+
+describe('Network Topology', function() {
+
+  var sim;
+  var port;
+
+  beforeEach( function() {
+    var fixture = simulated.createPort();
+
+    sim = fixture.sim;
+    port = fixture.port;
+
+    return port.open();
+  });
+
+  afterEach( function() {
+    port.destroy();
+  });
+
+  /**
+   * Pairs the simulated device with a peer
+   *
+   * @param  {object} peer {macAddress, shortAddress, lqi, rssi}
+   * @return {Promise}     resolves when the peer has joined
+   */
+  function pairWith( peer ) {
+    var paired = new Promise( function( resolve ) { sim.once( 'paired', resolve ); });
+
+    sim.addPeer( peer );
+
+    return port.pair().then( function() { return paired; });
+  }
+
+  it('should list a device that is not in a network', function() {
+    return topology.discover( port )
+      .then( function( graph ) {
+        expect( graph.nodes ).to.deep.equal( [ {
+          id: 'port:sim',
+          role: 'End Device',
+          channel: 255,
+          port: 'sim',
+          serialNumber: '0000000001'
+        } ] );
+        expect( graph.edges ).to.deep.equal( [] );
+      });
+  });
+
+  it('should measure the links to its peers', function() {
+    var gone = fakePort( 'gone', {} );
+
+    gone.getSlaveId = function() { return Promise.reject( new AcnPort.errors.TimeoutError() ); };
+
+    return pairWith( { macAddress: '00:04:A3:00:00:00:00:01', shortAddress: 0x0101, lqi: 180, rssi: 90 } )
+      .then( function() {
+        return pairWith( { macAddress: '00:04:A3:00:00:00:00:02', shortAddress: 0x0102 } );
+      })
+      .then( function() {
+        return topology.discover( [ port, gone ] );
+      })
+      .then( function( graph ) {
+        expect( graph.nodes.map( function( node ) { return node.id; }) )
+          .to.deep.equal( [ '0001:0000', '0001:0101', '0001:0102' ] );
+        expect( graph.nodes[0].role ).to.equal( 'Net Coordinator' );
+        expect( graph.nodes[1] ).to.deep.equal( {
+          id: '0001:0101',
+          role: 'End Device',
+          panId: '0001',
+          shortAddress: '0101',
+          longAddress: '00:04:a3:00:00:00:00:01'
+        });
+        expect( graph.edges[0] ).to.deep.equal( {
+          from: '0001:0000', to: '0001:0101', type: 'connection', hops: 1, lqi: 180, rssi: 90
+        });
+        expect( graph.edges[1].lqi ).to.equal( 255 );
+        expect( graph.errors ).to.have.length( 1 );
+        expect( graph.errors[0].port ).to.equal( 'gone' );
+
+        var dot = topology.toDot( graph );
+
+        expect( dot ).to.match( /^digraph acn \{/ );
+        expect( dot ).to.contain( '"0001:0000" [label="Net Coordinator\\n0000\\nsim", style=bold];' );
+        expect( dot ).to.contain( '"0001:0000" -> "0001:0101" ' +
+          '[label="connection, 1 hop, LQI 180, RSSI 90", style=solid];' );
+      });
+  });
+
+  it('should combine the routes seen by several coordinators', function() {
+    // coordinator 1 reaches coordinator 3 through coordinator 2
+    var one = fakePort( 'one', {
+      network: { shortAddress: '0100', parent: 0, panId: 'abcd', currentChannel: 15 },
+      coord: coordStatus( 'Coordinator', { 0: 0, 2: 2, 3: 2 } )
+    });
+    var two = fakePort( 'two', {
+      network: { shortAddress: '0200', parent: 0, panId: 'abcd', currentChannel: 15 },
+      coord: coordStatus( 'Coordinator', { 0: 0, 1: 1, 3: 3 } ),
+      connections: [ {
+        panId: 'abcd', altAddress: '0201', address: '00:04:a3:00:00:00:00:09',
+        status: { directConnection: true }
+      } ]
+    });
+
+    return topology.discover( [ one, two ], { ping: false } )
+      .then( function( graph ) {
+        var routes = graph.edges.filter( function( edge ) { return edge.type === 'route'; })
+          .map( function( edge ) { return [ edge.from, edge.to, edge.nextHop, edge.hops ].join( ' ' ); });
+
+        expect( routes ).to.deep.equal( [
+          'abcd:0100 abcd:0000 abcd:0000 1',
+          'abcd:0100 abcd:0200 abcd:0200 1',
+          'abcd:0100 abcd:0300 abcd:0200 2',
+          'abcd:0200 abcd:0000 abcd:0000 1',
+          'abcd:0200 abcd:0100 abcd:0100 1',
+          'abcd:0200 abcd:0300 abcd:0300 1'
+        ] );
+
+        expect( graph.edges.filter( function( edge ) { return edge.type === 'parent'; }) ).to.have.length( 2 );
+        expect( graph.edges.filter( function( edge ) { return edge.type === 'connection'; })[0].lqi ).to.equal( null );
+
+        var roles = {};
+
+        graph.nodes.forEach( function( node ) { roles[ node.id ] = node.role; });
+
+        expect( roles ).to.deep.equal( {
+          'abcd:0100': 'Coordinator',
+          'abcd:0200': 'Coordinator',
+          'abcd:0000': 'Net Coordinator',
+          'abcd:0300': 'Coordinator',
+          'abcd:0201': 'End Device'
+        });
+      });
+  });
+
+});
@@ -16,12 +16,24 @@ var AcnPort = require('../acn-port');
 // Load the object that handles communication to the device
 var map = require('../lib/Map');
 
+// Simulated device, used when no real port is specified
+var AcnSimulator = require('../lib/AcnSimulator');
+
 // Test helpers
 var assert = require('assert');
 var expect = require('chai').expect;
 
-// use environment variable for port name if specified
-config.port.name = process.env.MODBUS_PORT || config.port.name;
+// use environment variable for port name if specified; otherwise
+// run the tests against a simulated device
+if( process.env.MODBUS_PORT ) {
+  config.port.name = process.env.MODBUS_PORT;
+}
+else {
+  config.master.transport.connection = {
+    type: 'generic',
+    device: new AcnSimulator()
+  };
+}
 
 // Create interface to the device
 var port = new AcnPort( config.port.name, config );
@@ -169,16 +181,15 @@ describe('Configuration', function() {
       .finally( function() { done(); });
   });
 
-  it('networkFormation', function(done) {
-    port.write( map.networkFormation, 0x0001 )
+  it('networkFormation', function() {
+    return port.write( map.networkFormation, 0x0001 )
       .then( function (d ) { return port.read( map.networkFormation ); })
       .then( function (d ) { expect( d.value).to.equal(1); })
       .then( function () { return port.write( map.networkFormation, 0x2 ); })
       .then( function () { return port.read( map.networkFormation ); })
       .then( function (d ) { expect( d.value).to.equal(0x2); })
       .then( function () { return port.read( map.config ); })
-      .then( function (d ) { expect( d.format().networkFormation).to.equal(0x2); })
-      .finally( function() { done(); });
+      .then( function (d ) { expect( d.format().networkFormation).to.equal(0x2); });
   });
 
   it('pairingTimeout', function(done) {
@@ -193,5 +204,80 @@ describe('Configuration', function() {
       .finally( function() { done(); });
   });
 
+  it('switchDefaults', function() {
+    return port.write( map.switchDefaults, 1 )
+      .then( function () { return port.read( map.switchDefaults ); })
+      .then( function (d ) { expect( d.value).to.equal(1); })
+      .then( function () { return port.write( map.switchDefaults, 0 ); })
+      .then( function () { return port.read( map.config ); })
+
+      // switchDefaults formats as flags; 0 is none of them set
+      .then( function (d ) { expect( d.format().switchDefaults.indexOf( true )).to.equal(-1); });
+  });
+
+  it('switchDefaults flags', function() {
+    return port.write( map.switchDefaults, [ false, false, true ] )
+      .then( function () { return port.read( map.config ); })
+      .then( function (d ) {
+        expect( d.format().switchDefaults.slice( 0, 4 )).to.deep.equal( [ false, false, true, false ] );
+      });
+  });
+
+  it('maxHops', function() {
+    return port.write( map.maxHops, 4 )
+      .then( function () { return port.read( map.maxHops ); })
+      .then( function (d ) { expect( d.value).to.equal(4); })
+      .then( function () { return port.read( map.config ); })
+      .then( function (d ) { expect( d.format().maxHops).to.equal(4); });
+  });
+
+  it('slowSpeed', function() {
+    return port.write( map.slowSpeed, 0x1020 )
+      .then( function () { return port.read( map.slowSpeed ); })
+      .then( function (d ) { expect( d.value).to.equal(0x1020); })
+      .then( function () { return port.write( map.slowSpeed, '0xfffe' ); })
+      .then( function () { return port.read( map.config ); })
+      .then( function (d ) { expect( d.format().slowSpeed).to.equal('0xfffe'); });
+  });
+
+  it('fastSpeed', function() {
+    return port.write( map.fastSpeed, 0x3040 )
+      .then( function () { return port.read( map.fastSpeed ); })
+      .then( function (d ) { expect( d.value).to.equal(0x3040); })
+      .then( function () { return port.write( map.fastSpeed, '0x0001' ); })
+      .then( function () { return port.read( map.config ); })
+      .then( function (d ) { expect( d.format().fastSpeed).to.equal('0x0001'); });
+  });
+
+  it('whole block', function() {
+    // the user configuration that acn-finit programs
+    var userConfig = {
+      modbusSlaveId: 1,
+      channelMap: 0xFFFF,
+      msBetweenStatusTx: 100,
+      powerOffSec: 0,
+      networkFormation: 0,
+      pairingTimeout: 10,
+      switchDefaults: 0,
+      maxHops: 2,
+      slowSpeed: 0x1010,
+      fastSpeed: 0x2020
+    };
+
+    return port.write( map.config, userConfig )
+      .then( function () { return port.read( map.config ); })
+      .then( function (d ) {
+        var config = d.format();
+
+        expect( config.slowSpeed ).to.equal( '0x1010' );
+        expect( config.fastSpeed ).to.equal( '0x2020' );
+
+        // writing back what was read changes nothing
+        return port.write( map.config, config )
+          .then( function () { return port.read( map.config ); })
+          .then( function (again ) { expect( again.format() ).to.deep.equal( config ); });
+      });
+  });
+
 
 });
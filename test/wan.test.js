@@ -17,12 +17,24 @@ var AcnPort = require('../acn-port');
 // Load the object that handles communication to the device
 var map = require('../lib/Map');
 
+// Simulated device, used when no real port is specified
+var AcnSimulator = require('../lib/AcnSimulator');
+
 // Test helpers
 var assert = require('chai').assert;
 var expect = require('chai').expect;
 
-// use environment variable for port name if specified
-config.port.name = process.env.MODBUS_PORT || config.port.name;
+// use environment variable for port name if specified; otherwise
+// run the tests against a simulated device
+if( process.env.MODBUS_PORT ) {
+  config.port.name = process.env.MODBUS_PORT;
+}
+else {
+  config.master.transport.connection = {
+    type: 'generic',
+    device: new AcnSimulator()
+  };
+}
 
 // Create interface to the device
 var port = new AcnPort( config.port.name, config );